@@ -0,0 +1,89 @@
+/**
+ * Cancellation Module
+ * Helpers for stopping probes through an AbortSignal
+ */
+
+/**
+ * Creates the error probes reject with once their signal is aborted
+ * @returns {Error} - Error named AbortError
+ */
+function createAbortError() {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Checks whether an error comes from an aborted signal
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True for abort errors
+ */
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError();
+    }
+}
+
+/**
+ * Settles with a promise, or rejects with an AbortError as soon as the signal is aborted
+ * Work that cannot be stopped (such as a spawned ping) keeps running, its result is dropped
+ * @param {Promise<*>} promise - Promise to race against the signal
+ * @param {AbortSignal} [signal] - Signal to race against
+ * @returns {Promise<*>} - Promise result
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(createAbortError());
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(
+            value => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
+
+/**
+ * Waits for a delay, rejecting early with an AbortError if the signal is aborted
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Signal that cuts the delay short
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+module.exports = { createAbortError, isAbortError, throwIfAborted, abortable, sleep };
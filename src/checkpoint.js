@@ -0,0 +1,192 @@
+/**
+ * Checkpoint Module
+ * Records completed ping results so an interrupted scan can be resumed
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+    SAVE_PATH,
+    CHECKPOINT,
+    PING_TIMEOUT,
+    PING_RETRIES,
+    PING_COUNT,
+    PING_INTERVAL,
+    IP_VERSION,
+    PROBE_MODE,
+    PROBE_PORT,
+    WG_HANDSHAKE_PROBE,
+    WG_PORT,
+    ADAPTIVE_SCAN,
+    CITY_SAMPLING
+} = require('./config');
+const { parseLine } = require('./ndjson');
+
+// Bumped when the checkpoint format changes so old files are not misread
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Gets the path of the checkpoint file
+ * Each link of a multi-link run resumes on its own, so scans from an interface or address keep a file per source
+ * @param {Object} [source] - Local interface/address probes are sent from
+ * @returns {string} - Checkpoint file path
+ */
+function getCheckpointPath(source = null) {
+    const suffix = source ? `_${source.label.replace(/[^\w.-]/g, '_')}` : '';
+    return path.join(SAVE_PATH, '.cache', `scan_checkpoint${suffix}.ndjson`);
+}
+
+/**
+ * Hashes a value into a short fingerprint
+ * @param {*} value - JSON-serializable value
+ * @returns {string} - Hex fingerprint
+ */
+function fingerprint(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fingerprints the server list, independent of its order
+ * @param {Array} servers - Array of server objects
+ * @returns {string} - Hex fingerprint
+ */
+function fingerprintServers(servers) {
+    return fingerprint(servers
+        .map(server => [server.hostname, server.ipv4_addr_in || '', server.ipv6_addr_in || ''].join('|'))
+        .sort());
+}
+
+/**
+ * Fingerprints the settings that change what a measurement means
+ * @param {Object} [source] - Local interface/address probes are sent from
+ * @returns {string} - Hex fingerprint
+ */
+function fingerprintConfig(source = null) {
+    return fingerprint({
+        PING_TIMEOUT,
+        PING_RETRIES,
+        PING_COUNT: Number(PING_COUNT),
+        PING_INTERVAL: Number(PING_INTERVAL),
+        IP_VERSION,
+        PROBE_MODE,
+        PROBE_PORT: Number(PROBE_PORT),
+        WG_HANDSHAKE_PROBE,
+        WG_PORT: Number(WG_PORT),
+        ADAPTIVE_SCAN: ADAPTIVE_SCAN.ENABLED ? ADAPTIVE_SCAN.SWEEP_COUNT : false,
+        CITY_SAMPLING: Number(CITY_SAMPLING.PER_CITY),
+        SOURCE: source && [source.v4, source.v6]
+    });
+}
+
+/**
+ * Reads the results of a previous scan that still apply to this one
+ * @param {Array} servers - Servers about to be scanned
+ * @param {Object} header - Header the checkpoint must match
+ * @param {Object} [source] - Local interface/address probes are sent from
+ * @returns {Object} - {results, createdAt} or {results: [], reason} when the checkpoint is unusable
+ */
+function readCheckpoint(servers, header, source = null) {
+    let lines;
+    try {
+        lines = fs.readFileSync(getCheckpointPath(source), 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+        return { results: [], reason: 'no checkpoint found' };
+    }
+
+    let saved;
+    try {
+        saved = JSON.parse(lines[0]);
+    } catch (error) {
+        return { results: [], reason: 'checkpoint is corrupted' };
+    }
+
+    const age = Date.now() - new Date(saved.createdAt).getTime();
+    if (saved.version !== CHECKPOINT_VERSION) {
+        return { results: [], reason: 'checkpoint format changed' };
+    }
+    if (!(age <= CHECKPOINT.MAX_AGE_HOURS * 60 * 60 * 1000)) {
+        return { results: [], reason: `checkpoint is older than ${CHECKPOINT.MAX_AGE_HOURS} hours` };
+    }
+    if (saved.servers !== header.servers) {
+        return { results: [], reason: 'server list changed' };
+    }
+    if (saved.config !== header.config) {
+        return { results: [], reason: 'ping settings changed' };
+    }
+
+    const hostnames = new Set(servers.map(server => server.hostname));
+    const results = new Map();
+    // A forced exit can leave the last line half-written, parseLine skips it
+    lines.slice(1).map(parseLine).forEach(result => {
+        if (result && hostnames.has(result.hostname)) {
+            results.set(result.hostname, result);
+        }
+    });
+
+    return { results: [...results.values()], createdAt: saved.createdAt };
+}
+
+/**
+ * Opens the checkpoint for a scan, resuming a matching previous one if requested
+ * Writes are synchronous so every recorded result survives a forced exit
+ * @param {Array} servers - Servers about to be scanned
+ * @param {boolean} resume - Whether to reuse results of a previous scan
+ * @param {Object} [source] - Local interface/address probes are sent from
+ * @returns {Object} - Checkpoint {results, record, remove}
+ */
+function openCheckpoint(servers, resume, source = null) {
+    const header = {
+        version: CHECKPOINT_VERSION,
+        createdAt: new Date().toISOString(),
+        servers: fingerprintServers(servers),
+        config: fingerprintConfig(source)
+    };
+    let results = [];
+
+    if (resume) {
+        const previous = readCheckpoint(servers, header, source);
+        if (previous.reason) {
+            console.log(`Cannot resume: ${previous.reason}. Starting a new scan.`);
+        } else {
+            results = previous.results;
+            header.createdAt = previous.createdAt;
+        }
+    }
+
+    const checkpointPath = getCheckpointPath(source);
+    fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+    fs.writeFileSync(
+        checkpointPath,
+        [header, ...results].map(entry => JSON.stringify(entry) + '\n').join('')
+    );
+
+    return {
+        results,
+
+        /**
+         * Appends a completed result to the checkpoint
+         * @param {Object} result - Ping result
+         */
+        record(result) {
+            fs.appendFileSync(checkpointPath, JSON.stringify(result) + '\n');
+        },
+
+        /**
+         * Deletes the checkpoint once the scan has finished
+         */
+        remove() {
+            removeCheckpoint(source);
+        }
+    };
+}
+
+/**
+ * Deletes the checkpoint of a source, for runs that finish after the scan that wrote it
+ * @param {Object} [source] - Local interface/address probes are sent from
+ */
+function removeCheckpoint(source = null) {
+    fs.rmSync(getCheckpointPath(source), { force: true });
+}
+
+module.exports = { openCheckpoint, removeCheckpoint, getCheckpointPath, fingerprintServers, fingerprintConfig };
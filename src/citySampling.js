@@ -0,0 +1,64 @@
+/**
+ * City Sampling Module
+ * Estimates city latency from a few relays per city to decide which cities to probe in full
+ */
+
+const { percentile } = require('./statistics');
+
+/**
+ * Picks up to k relays per city, spread evenly over the hostname-sorted relay list
+ * @param {Map<string, Array>} groups - Servers by city key
+ * @param {number} perCity - Relays to sample per city
+ * @returns {Array} - Sampled servers
+ */
+function selectCitySample(groups, perCity) {
+    const sample = [];
+
+    groups.forEach(servers => {
+        const sorted = [...servers].sort((a, b) => a.hostname.localeCompare(b.hostname));
+        if (sorted.length <= perCity) {
+            sample.push(...sorted);
+            return;
+        }
+
+        for (let i = 0; i < perCity; i++) {
+            sample.push(sorted[Math.floor((i * sorted.length) / perCity)]);
+        }
+    });
+
+    return sample;
+}
+
+/**
+ * Estimates each city's latency as the median ping of its sampled relays
+ * @param {Map<string, Array>} groups - Servers by city key
+ * @param {Array} sampleResults - Ping results of the sampled relays
+ * @returns {Array} - Cities {key, country, country_code, city, relays, sampled, reachable, estimate},
+ *                    best first; cities without a reachable relay have an estimate of 9999
+ */
+function estimateCities(groups, sampleResults) {
+    const resultsByHost = new Map(sampleResults.map(result => [result.hostname, result]));
+    const cities = [];
+
+    groups.forEach((servers, key) => {
+        const sampled = servers.map(server => resultsByHost.get(server.hostname)).filter(Boolean);
+        if (sampled.length === 0) return;
+
+        const pings = sampled.filter(result => result.ping < 9999).map(result => result.ping);
+
+        cities.push({
+            key,
+            country: servers[0].country_name,
+            country_code: servers[0].country_code,
+            city: servers[0].city_name,
+            relays: servers.length,
+            sampled: sampled.length,
+            reachable: pings.length,
+            estimate: pings.length ? percentile(pings, 50) : 9999
+        });
+    });
+
+    return cities.sort((a, b) => a.estimate - b.estimate);
+}
+
+module.exports = { selectCitySample, estimateCities };
@@ -3,7 +3,26 @@
  * Handles command line arguments and options
  */
 
+const fs = require('fs');
 const config = require('./config');
+const { parseLocation } = require('./geography');
+const { compileFilter } = require('./filterExpression');
+const { resolveSource, getSourceSpecs } = require('./sourceAddress');
+const { parseWeights, getWeights } = require('./serverScore');
+const { parseDays, parseHour } = require('./hourOfWeek');
+
+/**
+ * Parses a duration such as 90, 90s, 15m or 1h
+ * @param {string} value - Duration, seconds if no unit is given
+ * @returns {number|null} - Duration in seconds or null if invalid
+ */
+function parseDuration(value) {
+    const match = /^(\d+)(s|m|h)?$/.exec(value);
+    if (!match || Number(match[1]) === 0) return null;
+    
+    const multipliers = { s: 1, m: 60, h: 3600 };
+    return Number(match[1]) * multipliers[match[2] || 's'];
+}
 
 /**
  * Parses command line arguments and updates configuration
@@ -28,6 +47,18 @@ function parseCommandLineArgs() {
         config.CITY_FILTER = args[cityIndex + 1];
     }
     
+    // Check for --filter flag
+    const filterIndex = args.findIndex(arg => arg === '--filter');
+    if (filterIndex !== -1 && args[filterIndex + 1]) {
+        try {
+            compileFilter(args[filterIndex + 1]);
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        config.SERVER_FILTER = args[filterIndex + 1];
+    }
+    
     // Check for --timeout flag
     const timeoutIndex = args.findIndex(arg => arg === '--timeout' || arg === '-t');
     if (timeoutIndex !== -1 && args[timeoutIndex + 1]) {
@@ -40,12 +71,393 @@ function parseCommandLineArgs() {
         config.PING_RETRIES = parseInt(args[retriesIndex + 1], 10);
     }
     
+    // Check for --count flag
+    const countIndex = args.findIndex(arg => arg === '--count');
+    if (countIndex !== -1 && args[countIndex + 1]) {
+        const count = Number(args[countIndex + 1]);
+        if (!Number.isInteger(count) || count < 1) {
+            console.error(`Invalid packet count: ${args[countIndex + 1]}. Use a whole number of at least 1`);
+            process.exit(1);
+        }
+        config.PING_COUNT = count;
+    }
+    
+    // Check for --interval flag
+    const intervalIndex = args.findIndex(arg => arg === '--interval');
+    if (intervalIndex !== -1 && args[intervalIndex + 1]) {
+        const interval = Number(args[intervalIndex + 1]);
+        if (!(interval >= 0)) {
+            console.error(`Invalid packet interval: ${args[intervalIndex + 1]}. Use a number of ms, 0 or more`);
+            process.exit(1);
+        }
+        config.PING_INTERVAL = interval;
+    }
+    
+    // Check for --status-metric flag
+    const metricIndex = args.findIndex(arg => arg === '--status-metric');
+    if (metricIndex !== -1 && args[metricIndex + 1]) {
+        const metric = args[metricIndex + 1];
+        const metrics = ['ping', 'min', 'max', 'avg', 'p50', 'p95', 'p99', 'jitter'];
+        if (!metrics.includes(metric)) {
+            console.error(`Unknown status metric: ${metric}. Available: ${metrics.join(', ')}`);
+            process.exit(1);
+        }
+        config.PING_THRESHOLDS.METRIC = metric;
+    }
+    
+    // Check for --adaptive flag
+    if (args.includes('--adaptive')) {
+        config.ADAPTIVE_SCAN.ENABLED = true;
+    }
+    
+    // Check for --deep-top flag
+    const deepTopIndex = args.findIndex(arg => arg === '--deep-top');
+    if (deepTopIndex !== -1 && args[deepTopIndex + 1]) {
+        const top = Number(args[deepTopIndex + 1]);
+        if (!Number.isInteger(top) || top < 1) {
+            console.error(`Invalid deep probe count: ${args[deepTopIndex + 1]}. Use a whole number of servers, at least 1`);
+            process.exit(1);
+        }
+        config.ADAPTIVE_SCAN.TOP_N = top;
+    }
+    
+    // Check for --deep-within flag
+    const deepWithinIndex = args.findIndex(arg => arg === '--deep-within');
+    if (deepWithinIndex !== -1 && args[deepWithinIndex + 1]) {
+        const within = Number(args[deepWithinIndex + 1]);
+        if (!(within >= 0)) {
+            console.error(`Invalid deep probe margin: ${args[deepWithinIndex + 1]}. Use a number of ms, 0 or more`);
+            process.exit(1);
+        }
+        config.ADAPTIVE_SCAN.WITHIN_MS = within;
+    }
+    
+    // Check for --deep-count flag
+    const deepCountIndex = args.findIndex(arg => arg === '--deep-count');
+    if (deepCountIndex !== -1 && args[deepCountIndex + 1]) {
+        const count = Number(args[deepCountIndex + 1]);
+        if (!Number.isInteger(count) || count < 1) {
+            console.error(`Invalid deep probe packet count: ${args[deepCountIndex + 1]}. Use a whole number of at least 1`);
+            process.exit(1);
+        }
+        config.ADAPTIVE_SCAN.DEEP_COUNT = count;
+    }
+    
+    // Check for --sample-per-city flag
+    const samplePerCityIndex = args.findIndex(arg => arg === '--sample-per-city');
+    if (samplePerCityIndex !== -1 && args[samplePerCityIndex + 1]) {
+        const perCity = Number(args[samplePerCityIndex + 1]);
+        if (!Number.isInteger(perCity) || perCity < 1) {
+            console.error(`Invalid relays per city: ${args[samplePerCityIndex + 1]}. Use a whole number of at least 1`);
+            process.exit(1);
+        }
+        config.CITY_SAMPLING.PER_CITY = perCity;
+    }
+    
+    // Check for --top-cities flag
+    const topCitiesIndex = args.findIndex(arg => arg === '--top-cities');
+    if (topCitiesIndex !== -1 && args[topCitiesIndex + 1]) {
+        const topCities = Number(args[topCitiesIndex + 1]);
+        if (!Number.isInteger(topCities) || topCities < 1) {
+            console.error(`Invalid number of top cities: ${args[topCitiesIndex + 1]}. Use a whole number of at least 1`);
+            process.exit(1);
+        }
+        config.CITY_SAMPLING.TOP_CITIES = topCities;
+    }
+    
+    // Check for --relay-type flag
+    const relayTypeIndex = args.findIndex(arg => arg === '--relay-type');
+    if (relayTypeIndex !== -1 && args[relayTypeIndex + 1]) {
+        const type = args[relayTypeIndex + 1].toLowerCase();
+        if (!['wireguard', 'openvpn', 'bridge', 'all'].includes(type)) {
+            console.error(`Unknown relay type: ${type}. Available: wireguard, openvpn, bridge, all`);
+            process.exit(1);
+        }
+        config.RELAY_TYPE = type;
+    }
+    
+    // Check for --offline flag
+    if (args.includes('--offline')) {
+        config.RELAY_CACHE.OFFLINE = true;
+    }
+    
+    // Check for --cache-ttl flag
+    const cacheTtlIndex = args.findIndex(arg => arg === '--cache-ttl');
+    if (cacheTtlIndex !== -1 && args[cacheTtlIndex + 1]) {
+        const ttl = parseDuration(args[cacheTtlIndex + 1]);
+        if (ttl === null) {
+            console.error(`Invalid cache TTL: ${args[cacheTtlIndex + 1]}. Use e.g. 90s, 15m or 1h`);
+            process.exit(1);
+        }
+        config.RELAY_CACHE.TTL = ttl;
+    }
+    
+    // Check for --pinned flag
+    const pinnedIndex = args.findIndex(arg => arg === '--pinned');
+    if (pinnedIndex !== -1 && args[pinnedIndex + 1]) {
+        config.PINNED_RELAYS = args[pinnedIndex + 1];
+    }
+    
+    // Check for the recommend command
+    if (args[0] === 'recommend') {
+        config.RECOMMEND.ENABLED = true;
+    }
+    
+    // Check for the best-at command
+    if (args[0] === 'best-at') {
+        const hour = parseHour(args[1] || '');
+        if (hour === null) {
+            console.error(`Invalid hour: ${args[1] || ''}. Use 0-23 or HH:MM, e.g. best-at 20:00`);
+            process.exit(1);
+        }
+        config.BEST_AT.HOUR = hour;
+    }
+    
+    // Check for --days flag
+    const daysIndex = args.findIndex(arg => arg === '--days');
+    if (daysIndex !== -1 && args[daysIndex + 1]) {
+        try {
+            parseDays(args[daysIndex + 1]);
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+        config.BEST_AT.DAYS = args[daysIndex + 1];
+    }
+    
+    // Check for --per-country flag
+    const perCountryIndex = args.findIndex(arg => arg === '--per-country');
+    if (perCountryIndex !== -1 && args[perCountryIndex + 1]) {
+        const count = parseInt(args[perCountryIndex + 1], 10);
+        if (!(count > 0)) {
+            console.error(`Invalid relays per country: ${args[perCountryIndex + 1]}`);
+            process.exit(1);
+        }
+        config.RECOMMEND.PER_COUNTRY = count;
+    }
+    
+    // Check for --weights flag
+    const weightsIndex = args.findIndex(arg => arg === '--weights');
+    if (weightsIndex !== -1 && args[weightsIndex + 1]) {
+        try {
+            Object.entries(parseWeights(args[weightsIndex + 1])).forEach(([component, weight]) => {
+                config.SCORE.WEIGHTS[component.toUpperCase()] = weight;
+            });
+            getWeights();
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+    }
+    
+    // Check for --import-history flag
+    if (args.includes('--import-history')) {
+        config.HISTORY.IMPORT = true;
+    }
+    
+    // Check for --history-raw-days flag
+    const rawDaysIndex = args.findIndex(arg => arg === '--history-raw-days');
+    if (rawDaysIndex !== -1 && args[rawDaysIndex + 1]) {
+        const days = Number(args[rawDaysIndex + 1]);
+        if (!(days > 0)) {
+            console.error(`Invalid raw history retention: ${args[rawDaysIndex + 1]}. Use a number of days`);
+            process.exit(1);
+        }
+        config.HISTORY.RETENTION.RAW_DAYS = days;
+    }
+    
+    // Check for --history-hourly-weeks flag
+    const hourlyWeeksIndex = args.findIndex(arg => arg === '--history-hourly-weeks');
+    if (hourlyWeeksIndex !== -1 && args[hourlyWeeksIndex + 1]) {
+        const weeks = Number(args[hourlyWeeksIndex + 1]);
+        if (!(weeks > 0)) {
+            console.error(`Invalid hourly history retention: ${args[hourlyWeeksIndex + 1]}. Use a number of weeks`);
+            process.exit(1);
+        }
+        config.HISTORY.RETENTION.HOURLY_WEEKS = weeks;
+    }
+    
+    // Check for --baseline-runs flag
+    const baselineRunsIndex = args.findIndex(arg => arg === '--baseline-runs');
+    if (baselineRunsIndex !== -1 && args[baselineRunsIndex + 1]) {
+        const runs = parseInt(args[baselineRunsIndex + 1], 10);
+        if (!(runs > 0)) {
+            console.error(`Invalid baseline: ${args[baselineRunsIndex + 1]}. Use a number of runs`);
+            process.exit(1);
+        }
+        config.REGRESSION.BASELINE_RUNS = runs;
+    }
+    
+    // Check for --min-confidence flag
+    const confidenceIndex = args.findIndex(arg => arg === '--min-confidence');
+    if (confidenceIndex !== -1 && args[confidenceIndex + 1]) {
+        const confidence = Number(args[confidenceIndex + 1]);
+        if (!(confidence > 0 && confidence < 1)) {
+            console.error(`Invalid confidence: ${args[confidenceIndex + 1]}. Use a number between 0 and 1, e.g. 0.95`);
+            process.exit(1);
+        }
+        config.REGRESSION.MIN_CONFIDENCE = confidence;
+    }
+    
+    // Check for --servers-from flag
+    const serversFromIndex = args.findIndex(arg => arg === '--servers-from');
+    if (serversFromIndex !== -1 && args[serversFromIndex + 1]) {
+        const from = args[serversFromIndex + 1];
+        if (from !== '-' && !fs.existsSync(from)) {
+            console.error(`Relay list file not found: ${from}`);
+            process.exit(1);
+        }
+        config.SERVERS_FROM = from;
+    }
+    
+    // Check for --location flag
+    const locationIndex = args.findIndex(arg => arg === '--location');
+    if (locationIndex !== -1 && args[locationIndex + 1]) {
+        if (!parseLocation(args[locationIndex + 1])) {
+            console.error(`Unknown location: ${args[locationIndex + 1]}. Use a known city name or 'lat,lng'`);
+            process.exit(1);
+        }
+        config.USER_LOCATION = args[locationIndex + 1];
+    }
+    
+    // Check for --ip-version flag
+    const ipVersionIndex = args.findIndex(arg => arg === '--ip-version');
+    if (ipVersionIndex !== -1 && args[ipVersionIndex + 1]) {
+        const version = args[ipVersionIndex + 1].toLowerCase();
+        if (!['4', '6', 'both'].includes(version)) {
+            console.error(`Unknown IP version: ${version}. Available: 4, 6, both`);
+            process.exit(1);
+        }
+        config.IP_VERSION = version;
+    }
+    
+    // Check for --probe flag
+    const probeIndex = args.findIndex(arg => arg === '--probe');
+    if (probeIndex !== -1 && args[probeIndex + 1]) {
+        const mode = args[probeIndex + 1].toLowerCase();
+        if (!['icmp', 'tcp'].includes(mode)) {
+            console.error(`Unknown probe mode: ${mode}. Available: icmp, tcp`);
+            process.exit(1);
+        }
+        config.PROBE_MODE = mode;
+    }
+    
+    // Check for --port flag
+    const portIndex = args.findIndex(arg => arg === '--port');
+    if (portIndex !== -1 && args[portIndex + 1]) {
+        const port = Number(args[portIndex + 1]);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            console.error(`Invalid port: ${args[portIndex + 1]}. Use a port number from 1 to 65535`);
+            process.exit(1);
+        }
+        config.PROBE_PORT = port;
+    }
+    
+    // Check for --wg-handshake flag
+    if (args.includes('--wg-handshake')) {
+        config.WG_HANDSHAKE_PROBE = true;
+    }
+    
+    // Check for --wg-port flag
+    const wgPortIndex = args.findIndex(arg => arg === '--wg-port');
+    if (wgPortIndex !== -1 && args[wgPortIndex + 1]) {
+        const port = Number(args[wgPortIndex + 1]);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            console.error(`Invalid WireGuard port: ${args[wgPortIndex + 1]}. Use a port number from 1 to 65535`);
+            process.exit(1);
+        }
+        config.WG_PORT = port;
+    }
+    
+    // Check for --interface flag
+    const interfaceIndex = args.findIndex(arg => arg === '--interface');
+    if (interfaceIndex !== -1 && args[interfaceIndex + 1]) {
+        config.SOURCE_INTERFACE = args[interfaceIndex + 1];
+    }
+    
+    // Check for --source-address flag
+    const sourceAddressIndex = args.findIndex(arg => arg === '--source-address');
+    if (sourceAddressIndex !== -1 && args[sourceAddressIndex + 1]) {
+        config.SOURCE_ADDRESS = args[sourceAddressIndex + 1];
+    }
+    
+    // Check for --compare-interfaces flag
+    const compareIndex = args.findIndex(arg => arg === '--compare-interfaces');
+    if (compareIndex !== -1 && args[compareIndex + 1]) {
+        config.COMPARE_INTERFACES = args[compareIndex + 1];
+    }
+    
     // Check for --parallel flag
     const parallelIndex = args.findIndex(arg => arg === '--parallel' || arg === '-p');
     if (parallelIndex !== -1 && args[parallelIndex + 1]) {
         config.CONCURRENT_PINGS = parseInt(args[parallelIndex + 1], 10);
     }
     
+    // Check for --watch flag
+    const watchIndex = args.findIndex(arg => arg === '--watch');
+    if (watchIndex !== -1 && args[watchIndex + 1]) {
+        const interval = parseDuration(args[watchIndex + 1]);
+        if (interval === null) {
+            console.error(`Invalid watch interval: ${args[watchIndex + 1]}. Use e.g. 90s, 15m or 1h`);
+            process.exit(1);
+        }
+        config.WATCH.INTERVAL = interval;
+    }
+    
+    // Check for --watchlist flag
+    const watchlistIndex = args.findIndex(arg => arg === '--watchlist');
+    if (watchlistIndex !== -1 && args[watchlistIndex + 1]) {
+        config.WATCH.WATCHLIST = args[watchlistIndex + 1];
+    }
+    
+    // Check for --watchlist-interval flag
+    const watchlistIntervalIndex = args.findIndex(arg => arg === '--watchlist-interval');
+    if (watchlistIntervalIndex !== -1 && args[watchlistIntervalIndex + 1]) {
+        const interval = parseDuration(args[watchlistIntervalIndex + 1]);
+        if (interval === null) {
+            console.error(`Invalid watchlist interval: ${args[watchlistIntervalIndex + 1]}. Use e.g. 90s, 15m or 1h`);
+            process.exit(1);
+        }
+        config.WATCH.WATCHLIST_INTERVAL = interval;
+    }
+    
+    // Check for --recommend-multihop flag
+    const multihopIndex = args.findIndex(arg => arg === '--recommend-multihop');
+    if (multihopIndex !== -1 && args[multihopIndex + 1]) {
+        if (!/^[a-z]{2}$/i.test(args[multihopIndex + 1])) {
+            console.error(`Invalid exit country: ${args[multihopIndex + 1]}. Use a country code, e.g. ch`);
+            process.exit(1);
+        }
+        config.MULTIHOP.EXIT_COUNTRY = args[multihopIndex + 1];
+    }
+    
+    // Check for --multihop-agent flag
+    const multihopAgentIndex = args.findIndex(arg => arg === '--multihop-agent');
+    if (multihopAgentIndex !== -1 && args[multihopAgentIndex + 1]) {
+        config.MULTIHOP.AGENT_URL = args[multihopAgentIndex + 1];
+    }
+    
+    // Check for --resume flag
+    if (args.includes('--resume')) {
+        config.CHECKPOINT.RESUME = true;
+    }
+    
+    // Check for --auto-concurrency flag
+    if (args.includes('--auto-concurrency')) {
+        config.ADAPTIVE_CONCURRENCY.ENABLED = true;
+    }
+    
+    // Check for --max-rate flag
+    const maxRateIndex = args.findIndex(arg => arg === '--max-rate');
+    if (maxRateIndex !== -1 && args[maxRateIndex + 1]) {
+        const rate = Number(args[maxRateIndex + 1]);
+        if (!Number.isInteger(rate) || rate < 1) {
+            console.error(`Invalid packet rate: ${args[maxRateIndex + 1]}. Use a whole number of packets per second, at least 1`);
+            process.exit(1);
+        }
+        config.MAX_PACKET_RATE = rate;
+    }
+    
     // Check for --format flag
     const formatIndex = args.findIndex(arg => arg === '--format' || arg === '-f');
     if (formatIndex !== -1 && args[formatIndex + 1]) {
@@ -63,6 +475,32 @@ function parseCommandLineArgs() {
         showHelp();
         process.exit(0);
     }
+    
+    // Relays drop handshakes from keys not registered to an account, every relay would seem down
+    if (config.WG_HANDSHAKE_PROBE) {
+        if (!config.WG_PRIVATE_KEY) {
+            console.error('--wg-handshake needs WG_PRIVATE_KEY, the private key of a WireGuard device registered to your Mullvad account');
+            process.exit(1);
+        }
+        if (Buffer.from(config.WG_PRIVATE_KEY, 'base64').length !== 32) {
+            console.error('Invalid WG_PRIVATE_KEY: use the base64 private key of a registered WireGuard device');
+            process.exit(1);
+        }
+    }
+    
+    // Check the source interfaces once the IP version is known
+    if (config.SOURCE_INTERFACE && config.SOURCE_ADDRESS) {
+        console.error('Use either --interface or --source-address, not both');
+        process.exit(1);
+    }
+    for (const spec of getSourceSpecs(config)) {
+        try {
+            resolveSource(spec, config.IP_VERSION);
+        } catch (error) {
+            console.error(error.message);
+            process.exit(1);
+        }
+    }
 }
 
 /**
@@ -73,18 +511,85 @@ function showHelp() {
 Mullvad Server Ping Tester
 
 Usage: node index.js [options]
+       node index.js recommend [options]
+       node index.js best-at <HH:MM> [options]
+
+Commands:
+  recommend                Print the best relays per country from the latest run, rated
+                           by latency, jitter, loss, reliability and stability
+  best-at <HH:MM>          Rank relays by their usual ping at an hour of the day
+                           over the last weeks of history
 
 Options:
   -c, --country <codes>    Filter servers by country code (comma-separated)
   -C, --city <names>       Filter servers by city name (comma-separated)
+      --filter <expr>      Filter servers by an expression over relay fields, e.g.
+                           'owned && provider != "M247" && country in (SE, DE)'
+      --relay-type <type>  Relays to test: wireguard (default), openvpn, bridge, all
+      --cache-ttl <time>   Reuse the cached relay list this long (e.g. 30m, default: 1h)
+      --offline            Use the cached relay list without contacting the API
+      --pinned <hosts>     Warn when these relays change key or address or are removed
+                           (comma-separated hostnames)
+      --servers-from <file>
+                           Test relays from a JSON, CSV or hostname list file
+                           instead of the API (- for stdin)
   -t, --timeout <ms>       Ping timeout in milliseconds
   -r, --retries <number>   Number of ping retries
+      --count <number>     Packets sent to each server (default: 2)
+      --interval <ms>      Delay between packets in milliseconds (default: 200)
+      --status-metric <m>  Metric for good/medium/bad status: ping, min, max, avg,
+                           p50, p95, p99, jitter (default: ping)
+      --adaptive           Sweep every server with one packet, then deep probe the best
+      --deep-top <number>  Servers to deep probe in adaptive mode (default: 20)
+      --deep-within <ms>   Deep probe every server within <ms> of the best instead
+      --deep-count <n>     Packets per server in the deep probe (default: 20)
+      --sample-per-city <k>
+                           Probe k relays per city, then every relay in the best cities
+      --top-cities <n>     Cities probed in full in sampling mode (default: 5)
+      --location <place>   Your city or 'lat,lng', flags relays that break the speed-of-light bound
+      --recommend-multihop <country>
+                           Best multihop entry/exit pairs for an exit country code
+      --multihop-agent <url>
+                           Agent that measures entry-to-exit RTTs instead of estimating them
+      --ip-version <v>     IP family to probe: 4 (default), 6 or both
+      --probe <mode>       Latency probe: icmp (default) or tcp
+      --port <number>      Port for TCP probes (default: 443)
+      --wg-handshake       Also time WireGuard handshakes to each relay (needs WG_PRIVATE_KEY,
+                           a key registered to your account)
+      --wg-port <number>   Relay port for WireGuard handshakes (default: 51820)
+      --interface <name>   Send probes from a network interface (e.g. wlan0)
+      --source-address <ip>
+                           Send probes from a local address
+      --compare-interfaces <list>
+                           Scan over each interface/address in turn (comma-separated)
+                           and report per-link latency side by side
   -p, --parallel <number>  Number of parallel pings
+      --resume             Continue an interrupted scan from its checkpoint
+      --watch <interval>   Rescan every <interval> (e.g. 90s, 15m, 1h) until stopped
+      --watchlist <hosts>  Hostnames to probe more often in watch mode (comma-separated)
+      --watchlist-interval <interval>
+                           Time between watchlist scans (default: 60s)
+      --auto-concurrency   Tune parallelism from loss and latency drift (up to --parallel)
+      --max-rate <pps>     Cap on packets per second across all probes
   -f, --format <formats>   Output formats (comma-separated: json,html,csv)
   -o, --output <path>      Path to save results
+      --import-history     Import existing result files into the history store and exit
+      --history-raw-days <n>
+                           Keep raw runs and their report files n days, then roll them
+                           up hourly (default: 14)
+      --history-hourly-weeks <n>
+                           Keep hourly rollups n weeks, then merge them daily (default: 8)
+      --baseline-runs <n>  Previous runs changes are detected against (default: 10)
+      --min-confidence <p> Confidence a change needs to count as improved or degraded
+                           (default: 0.95)
+      --per-country <n>    Relays recommended per country (default: 3)
+      --weights <list>     Score weights, e.g. latency=0.5,loss=0.3 (components: latency,
+                           jitter, loss, reliability, stability)
+      --days <days>        Days best-at looks at: weekdays, weekends, all (default)
+                           or names such as mon,tue
   -w, --web                Start web server for interactive results
   -h, --help               Show this help information
 `);
 }
 
-module.exports = { parseCommandLineArgs }; 
\ No newline at end of file
+module.exports = { parseCommandLineArgs, parseDuration }; 
\ No newline at end of file
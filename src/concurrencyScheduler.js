@@ -0,0 +1,195 @@
+/**
+ * Concurrency Scheduler Module
+ * Runs probe tasks with a fixed or self-tuning concurrency and an optional packet rate cap
+ */
+
+const pLimit = require('p-limit');
+const { percentile } = require('./statistics');
+
+// Minimum number of completed probes evaluated before adjusting concurrency
+const MIN_WINDOW = 5;
+
+/**
+ * Creates a scheduler with fixed concurrency
+ * @param {number} concurrency - Number of concurrent probes
+ * @returns {Object} - Scheduler {run, record, getMetadata}
+ */
+function createFixedScheduler(concurrency) {
+    const limit = pLimit(concurrency);
+
+    return {
+        run: fn => limit(fn),
+        record: () => {},
+        getMetadata: () => ({
+            mode: 'fixed',
+            initial: concurrency,
+            final: concurrency,
+            min: concurrency,
+            max: concurrency,
+            average: concurrency,
+            maxPacketRate: 0,
+            adjustments: []
+        })
+    };
+}
+
+/**
+ * Creates a scheduler that tunes concurrency from probe results
+ *
+ * Local saturation shows up as packet loss on servers that otherwise answer and as queueing
+ * delay inside a probe (avg - min). Both are measured per window of completed probes:
+ * concurrency is halved when either rises, and grown by a quarter while the link looks idle.
+ *
+ * @param {Object} options - Scheduler options
+ * @param {number} options.initial - Starting concurrency
+ * @param {number} options.min - Lowest concurrency
+ * @param {number} options.max - Highest concurrency
+ * @param {number} options.lossThreshold - Partial loss (%) that signals saturation
+ * @param {number} options.driftMs - Queueing delay growth over the baseline that signals saturation
+ * @param {number} [options.maxPacketRate] - Cap on packets per second across all probes (0 = off)
+ * @param {boolean} [options.adaptive] - Whether to tune concurrency (false keeps it fixed)
+ * @returns {Object} - Scheduler {run, record, getMetadata, concurrency}
+ */
+function createAdaptiveScheduler({
+    initial,
+    min,
+    max,
+    lossThreshold,
+    driftMs,
+    maxPacketRate = 0,
+    adaptive = true
+}) {
+    const clamp = value => Math.max(min, Math.min(max, value));
+
+    let concurrency = clamp(initial);
+    let active = 0;
+    let nextSlot = 0;
+    let pacingTimer = null;
+    let completed = 0;
+    let started = 0;
+    let concurrencySum = 0;
+    let lowest = concurrency;
+    let highest = concurrency;
+    let baselineDelay = null;
+    const queue = [];
+    const window = [];
+    const adjustments = [];
+
+    const startNext = () => {
+        if (pacingTimer) return;
+
+        while (active < concurrency && queue.length > 0) {
+            const now = Date.now();
+
+            // Pace task starts so the estimated packet rate stays under the cap
+            if (maxPacketRate > 0 && nextSlot > now) {
+                pacingTimer = setTimeout(() => {
+                    pacingTimer = null;
+                    startNext();
+                }, nextSlot - now);
+                return;
+            }
+
+            const task = queue.shift();
+            if (maxPacketRate > 0) {
+                nextSlot = Math.max(nextSlot, now) + (task.packets / maxPacketRate) * 1000;
+            }
+
+            active++;
+            started++;
+            concurrencySum += concurrency;
+
+            task.fn()
+                .then(task.resolve, task.reject)
+                .then(() => {
+                    active--;
+                    startNext();
+                });
+        }
+    };
+
+    const adjust = (target, reason, lossRate, queueDelay) => {
+        const next = clamp(target);
+        if (next === concurrency) return;
+
+        adjustments.push({
+            afterProbes: completed,
+            from: concurrency,
+            to: next,
+            reason,
+            lossRate: Number(lossRate.toFixed(2)),
+            queueDelay: Number(queueDelay.toFixed(2))
+        });
+
+        concurrency = next;
+        lowest = Math.min(lowest, next);
+        highest = Math.max(highest, next);
+        startNext();
+    };
+
+    return {
+        /**
+         * Queues a probe task
+         * @param {Function} fn - Task returning a promise
+         * @param {number} [packets] - Estimated packets the task sends, for the rate cap
+         * @returns {Promise<*>} - Task result
+         */
+        run(fn, packets = 1) {
+            return new Promise((resolve, reject) => {
+                queue.push({ fn, packets, resolve, reject });
+                startNext();
+            });
+        },
+
+        /**
+         * Feeds a completed probe result into the tuning window
+         * @param {Object} result - Ping result
+         */
+        record(result) {
+            completed++;
+            if (!adaptive) return;
+
+            window.push(result);
+            if (window.length < Math.max(MIN_WINDOW, concurrency)) return;
+
+            const reachable = window.filter(r => r.ping < 9999);
+            window.length = 0;
+            if (reachable.length === 0) return;
+
+            const lossRate = reachable.reduce((sum, r) => sum + r.packetLoss, 0) / reachable.length;
+            const queueDelay = percentile(reachable.map(r => Math.max(0, r.avg - r.min)), 50);
+            baselineDelay = baselineDelay === null ? queueDelay : Math.min(baselineDelay, queueDelay);
+
+            if (lossRate > lossThreshold) {
+                adjust(Math.floor(concurrency / 2), 'loss', lossRate, queueDelay);
+            } else if (queueDelay - baselineDelay > driftMs) {
+                adjust(Math.floor(concurrency / 2), 'latency-drift', lossRate, queueDelay);
+            } else if (lossRate === 0) {
+                adjust(concurrency + Math.max(1, Math.floor(concurrency / 4)), 'idle', lossRate, queueDelay);
+            }
+        },
+
+        /**
+         * Describes the concurrency actually used, for the run metadata
+         * @returns {Object} - Concurrency metadata
+         */
+        getMetadata() {
+            return {
+                mode: adaptive ? 'adaptive' : 'fixed',
+                initial: clamp(initial),
+                final: concurrency,
+                min: lowest,
+                max: highest,
+                average: started ? Number((concurrencySum / started).toFixed(2)) : concurrency,
+                maxPacketRate,
+                adjustments
+            };
+        },
+
+        get concurrency() {
+            return concurrency;
+        }
+    };
+}
+
+module.exports = { createFixedScheduler, createAdaptiveScheduler };
@@ -5,13 +5,129 @@
 
 module.exports = {
     // Network settings
-    API_URL: 'https://api.mullvad.net/www/relays/wireguard/',
+    API_URL: 'https://api.mullvad.net/www/relays/', // Relay list endpoint, the relay type is appended
+    RELAY_TYPE: process.env.RELAY_TYPE || 'wireguard', // Relays to test: wireguard, openvpn, bridge, all
+    RELAY_CACHE: {
+        TTL: process.env.RELAY_CACHE_TTL || 3600, // Seconds the cached relay list is used without asking the API
+        OFFLINE: process.env.OFFLINE === 'true' || false // Never contact the API, use the cached list
+    },
+    PINNED_RELAYS: process.env.PINNED_RELAYS || '', // Hostnames whose key or address changes are warned about (comma-separated)
+    SERVERS_FROM: process.env.SERVERS_FROM || '', // Relay list file (JSON, CSV or hostnames) used instead of the API, - for stdin
     PING_TIMEOUT: 1500, // Timeout for ping requests in ms
     PING_RETRIES: 1, // Number of retries for failed pings
+    PING_COUNT: process.env.PING_COUNT || 2, // Packets sent to each server per attempt
+    PING_INTERVAL: process.env.PING_INTERVAL || 200, // Delay between packets in ms
+    IP_VERSION: process.env.IP_VERSION || '4', // IP family to probe: 4, 6, both
+    IPV6_DEGRADED_MS: process.env.IPV6_DEGRADED_MS || 20, // Flag IPv6 paths slower than IPv4 by this much
+    PROBE_MODE: process.env.PROBE_MODE || 'icmp', // Latency probe: icmp, tcp
+    PROBE_PORT: process.env.PROBE_PORT || 443, // Port for TCP probes
+    WG_HANDSHAKE_PROBE: process.env.WG_HANDSHAKE_PROBE === 'true' || false, // Also time WireGuard handshakes
+    WG_PORT: process.env.WG_PORT || 51820, // Relay port for WireGuard handshakes
+    WG_PRIVATE_KEY: process.env.WG_PRIVATE_KEY || '', // Registered key (base64), required for handshakes
+    SOURCE_INTERFACE: process.env.SOURCE_INTERFACE || '', // Send probes from this interface (empty = default route)
+    SOURCE_ADDRESS: process.env.SOURCE_ADDRESS || '', // Send probes from this local address
+    COMPARE_INTERFACES: process.env.COMPARE_INTERFACES || '', // Interfaces/addresses scanned one after another (comma-separated)
+    
+    // Speed-of-light check against the user's location: city name or 'lat,lng' (empty = off)
+    USER_LOCATION: process.env.USER_LOCATION || '',
+    GEO_ANOMALY: {
+        MAX_STRETCH: 3, // Flag routes slower than this multiple of the fiber bound...
+        MIN_EXCESS_MS: 20, // ...and at least this many ms above it
+        TOLERANCE_KM: 100 // Location uncertainty allowed before a relay counts as misplaced
+    },
+    
+    // Multihop recommendation: best entry/exit pairs for an exit country (empty = off)
+    MULTIHOP: {
+        EXIT_COUNTRY: process.env.MULTIHOP_EXIT_COUNTRY || '',
+        ENTRY_CANDIDATES: 20, // Fastest measured entry relays paired with exits
+        TOP_PAIRS: 10, // Pairs shown
+        ROUTE_STRETCH: 1.5, // Relay-to-relay RTT as a multiple of the fiber bound
+        AGENT_URL: process.env.MULTIHOP_AGENT_URL || '' // Agent that measures entry-to-exit RTTs
+    },
+    
+    // Two-phase scan: single-packet sweep, then deep probe of the best servers
+    ADAPTIVE_SCAN: {
+        ENABLED: process.env.ADAPTIVE_SCAN === 'true' || false,
+        SWEEP_COUNT: 1, // Packets per server in the sweep
+        TOP_N: process.env.ADAPTIVE_TOP_N || 20, // Fastest servers to deep probe
+        WITHIN_MS: process.env.ADAPTIVE_WITHIN_MS || 0, // Deep probe all within X ms of best (0 = off)
+        DEEP_COUNT: process.env.ADAPTIVE_DEEP_COUNT || 20 // Packets per server in the deep probe
+    },
+    
+    // City sampling: probe a few relays per city, then every relay in the best cities
+    CITY_SAMPLING: {
+        PER_CITY: process.env.SAMPLE_PER_CITY || 0, // Relays sampled per city (0 = off)
+        TOP_CITIES: process.env.SAMPLE_TOP_CITIES || 5 // Best cities whose relays are all probed
+    },
+    
+    // History store of every run and its retention
+    HISTORY: {
+        IMPORT: false, // Import existing ping_results_*.json files into the history store and exit
+        RETENTION: {
+            RAW_DAYS: process.env.HISTORY_RAW_DAYS || 14, // Days raw runs and their report files are kept
+            HOURLY_WEEKS: process.env.HISTORY_HOURLY_WEEKS || 8 // Weeks hourly rollups are kept, daily ones after that
+        }
+    },
+    
+    // Change detection: each server's ping is tested against an EWMA baseline of its previous runs
+    REGRESSION: {
+        BASELINE_RUNS: process.env.BASELINE_RUNS || 10, // Previous runs the baseline is built from
+        MIN_CONFIDENCE: process.env.MIN_CONFIDENCE || 0.95, // Confidence a change needs to be reported (0-1)
+        EWMA_ALPHA: 0.3, // Weight of each newer run in the baseline
+        MIN_NOISE_MS: 2 // Noise floor, so a flat baseline does not turn every wobble into a change
+    },
+    
+    // Composite quality score of the recommend command, the weights are relative to each other
+    SCORE: {
+        WEIGHTS: {
+            LATENCY: process.env.SCORE_WEIGHT_LATENCY || 0.4, // Current ping
+            JITTER: process.env.SCORE_WEIGHT_JITTER || 0.15, // Current jitter
+            LOSS: process.env.SCORE_WEIGHT_LOSS || 0.2, // Current packet loss
+            RELIABILITY: process.env.SCORE_WEIGHT_RELIABILITY || 0.15, // Share of past runs the server was reachable in
+            STABILITY: process.env.SCORE_WEIGHT_STABILITY || 0.1 // Spread of past pings
+        },
+        HISTORY_DAYS: process.env.SCORE_HISTORY_DAYS || 30 // Days of history reliability and stability cover
+    },
+    RECOMMEND: {
+        ENABLED: false, // Print the best relays per country from the latest run and exit
+        PER_COUNTRY: process.env.RECOMMEND_PER_COUNTRY || 3 // Relays recommended per country
+    },
+    
+    // Hour-of-week patterns of the history, in local time
+    HEATMAP: {
+        WEEKS: process.env.HEATMAP_WEEKS || 4, // Weeks of history the heatmaps and best-at cover
+        CITIES: process.env.HEATMAP_CITIES || 5 // Best cities of a run shown as heatmaps in the HTML report (0 = off)
+    },
+    BEST_AT: {
+        HOUR: null, // Hour of the best-at command: rank relays by their usual ping at this hour and exit
+        DAYS: 'all' // Days the hour is taken on: weekdays, weekends, all or names such as mon,tue
+    },
+    
+    // Checkpoint of completed results for resuming interrupted scans
+    CHECKPOINT: {
+        RESUME: process.env.RESUME === 'true' || false,
+        MAX_AGE_HOURS: process.env.CHECKPOINT_MAX_AGE_HOURS || 12 // Older checkpoints are not resumed
+    },
+    
+    // Watch mode: rescan on a schedule and keep the results fresh
+    WATCH: {
+        INTERVAL: process.env.WATCH_INTERVAL || 0, // Seconds between full scans (0 = single run)
+        WATCHLIST: process.env.WATCHLIST || '', // Favourite hostnames (e.g. 'se-sto-wg-001,de-fra-wg-002')
+        WATCHLIST_INTERVAL: process.env.WATCHLIST_INTERVAL || 60 // Seconds between watchlist scans
+    },
     
     // Performance settings
     CONCURRENT_PINGS: process.env.CONCURRENT_PINGS || 30,
-    MAX_THREADS: process.env.MAX_THREADS || 0, // 0 = auto (based on CPU cores)
+    MAX_THREADS: process.env.MAX_THREADS || 0, // Worker threads for probing, 0 = auto (one per CPU core)
+    MAX_PACKET_RATE: process.env.MAX_PACKET_RATE || 0, // Packets per second across all probes (0 = unlimited)
+    
+    // Self-tuning concurrency: backs off when the local link looks saturated
+    ADAPTIVE_CONCURRENCY: {
+        ENABLED: process.env.ADAPTIVE_CONCURRENCY === 'true' || false,
+        MIN: 2, // Lowest concurrency
+        LOSS_THRESHOLD: 5, // Loss (%) on reachable servers that signals saturation
+        DRIFT_MS: 10 // Queueing delay growth (ms) over the baseline that signals saturation
+    },
     
     // Output settings
     TOP_SERVERS_COUNT: 20, // Number of servers to show in console output
@@ -21,6 +137,7 @@ module.exports = {
     // Filter settings
     COUNTRY_FILTER: process.env.COUNTRY_FILTER || '', // Filter by country code (e.g. 'US,GB')
     CITY_FILTER: process.env.CITY_FILTER || '', // Filter by city name
+    SERVER_FILTER: process.env.SERVER_FILTER || '', // Filter expression over relay fields (e.g. 'owned && country in (SE, DE)')
     
     // UI settings
     TABLE_STYLE: {
@@ -39,7 +156,8 @@ module.exports = {
     // Ping thresholds for color coding (in ms)
     PING_THRESHOLDS: {
         GOOD: 50,
-        MEDIUM: 100
+        MEDIUM: 100,
+        METRIC: process.env.PING_STATUS_METRIC || 'ping' // ping, min, max, avg, p50, p95, p99, jitter
     },
     
     // Web server settings (for interactive mode)
@@ -140,6 +258,66 @@ module.exports = {
             color: #c0392b; 
             font-weight: bold;
         }
+        .ipv6-degraded {
+            color: #c0392b;
+            font-weight: bold;
+        }
+        .geo-misplaced, .geo-bad-routing {
+            color: #c0392b;
+            font-weight: bold;
+        }
+        .best-link {
+            color: #27ae60;
+            font-weight: bold;
+        }
+        .heatmap {
+            border-collapse: collapse;
+            margin-bottom: 20px;
+            font-size: 11px;
+            width: auto;
+        }
+        .heatmap th, .heatmap td {
+            padding: 3px;
+            text-align: center;
+            min-width: 22px;
+            border: 1px solid #fff;
+        }
+        .heat-good { background-color: #abebc6; }
+        .heat-medium { background-color: #f9e79f; }
+        .heat-bad { background-color: #f5b7b1; }
+        .heat-down { background-color: #7b7d7d; color: #fff; }
+        .heat-empty { background-color: #f2f3f4; }
+        .stale-notice {
+            background-color: #fcf3cf;
+            color: #7d6608;
+            padding: 10px 15px;
+            border-radius: 4px;
+            margin-bottom: 20px;
+        }
+        .relay-changes {
+            background-color: #eaf2f8;
+            padding: 10px 15px;
+            border-radius: 4px;
+            margin-bottom: 20px;
+        }
+        .relay-changes h3 {
+            margin: 0 0 10px 0;
+        }
+        .regressions {
+            background-color: #fdedec;
+            padding: 10px 15px;
+            border-radius: 4px;
+            margin-bottom: 20px;
+        }
+        .regressions h3 {
+            color: #c0392b;
+            margin: 0 0 10px 0;
+        }
+        .pinned-warning {
+            color: #c0392b;
+            font-weight: bold;
+            margin-bottom: 5px;
+        }
         .map-container {
             height: 400px;
             margin: 20px 0;
@@ -0,0 +1,326 @@
+/**
+ * Filter Expression Module
+ * Compiles --filter expressions over relay fields into server predicates, e.g.
+ * owned && provider != "M247" && country in (SE, DE) && hostname =~ /wg-0[1-5]/
+ */
+
+// Field names usable in expressions, with short aliases for the common ones
+const FIELDS = {
+    hostname: 'hostname',
+    fqdn: 'fqdn',
+    country: 'country_code',
+    country_code: 'country_code',
+    country_name: 'country_name',
+    city: 'city_name',
+    city_name: 'city_name',
+    city_code: 'city_code',
+    active: 'active',
+    owned: 'owned',
+    provider: 'provider',
+    type: 'type',
+    ipv4: 'ipv4_addr_in',
+    ipv4_addr_in: 'ipv4_addr_in',
+    ipv6: 'ipv6_addr_in',
+    ipv6_addr_in: 'ipv6_addr_in',
+    public_key: 'public_key',
+    multihop_port: 'multihop_port'
+};
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'true', 'false', 'null'];
+const SYMBOLS = ['&&', '||', '==', '!=', '=~', '!~', '<=', '>=', '<', '>', '!', '(', ')', ','];
+const COMPARISONS = ['==', '!=', '=~', '!~', '<=', '>=', '<', '>'];
+const WORD = /[A-Za-z0-9_.:-]/;
+
+/**
+ * Creates an error pointing at the offending part of the expression
+ * @param {string} source - Filter expression
+ * @param {number} position - Index of the offending character
+ * @param {string} message - What went wrong
+ * @returns {Error} - Error with the expression and a caret under the position
+ */
+function syntaxError(source, position, message) {
+    const error = new Error(`Invalid filter at position ${position + 1}: ${message}\n  ${source}\n  ${' '.repeat(position)}^`);
+    error.position = position;
+    return error;
+}
+
+/**
+ * Describes a token for error messages
+ * @param {Object} token - Token
+ * @returns {string} - Quoted token text, or 'end of filter'
+ */
+function describeToken(token) {
+    return token.type === 'end' ? 'end of filter' : `'${token.text}'`;
+}
+
+/**
+ * Reads a quoted string or regular expression body
+ * @param {string} source - Filter expression
+ * @param {number} start - Index of the opening delimiter
+ * @param {string} what - Name of the literal for the error message
+ * @returns {Object} - {body, end} with the index after the closing delimiter
+ * @throws {Error} - If the literal is not closed
+ */
+function readDelimited(source, start, what) {
+    const delimiter = source[start];
+    let body = '';
+    let i = start + 1;
+
+    while (i < source.length && source[i] !== delimiter) {
+        // Strings unescape, regular expressions keep escapes for RegExp
+        if (source[i] === '\\' && i + 1 < source.length) {
+            body += delimiter === '/' && source[i + 1] !== '/' ? source.slice(i, i + 2) : source[i + 1];
+            i += 2;
+        } else {
+            body += source[i++];
+        }
+    }
+
+    if (i >= source.length) {
+        throw syntaxError(source, start, `Unterminated ${what}`);
+    }
+
+    return { body, end: i + 1 };
+}
+
+/**
+ * Splits a filter expression into tokens
+ * @param {string} source - Filter expression
+ * @returns {Array<Object>} - Tokens {type, text, value, position}, ending with an end token
+ * @throws {Error} - On characters and literals that cannot start a token
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+        const previous = tokens[tokens.length - 1];
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '"' || char === "'") {
+            const { body, end } = readDelimited(source, i, 'string');
+            tokens.push({ type: 'value', text: source.slice(i, end), value: body, position: i });
+            i = end;
+        } else if (char === '/' && previous && (previous.text === '=~' || previous.text === '!~')) {
+            const { body, end } = readDelimited(source, i, 'regular expression');
+            const flags = source.slice(end).match(/^[a-z]*/)[0];
+            let value;
+            try {
+                // A global flag would make test() stateful across servers
+                value = new RegExp(body, flags.replace(/[gy]/g, ''));
+            } catch (error) {
+                throw syntaxError(source, i, `Invalid regular expression: ${error.message.replace(/^Invalid regular expression: /, '')}`);
+            }
+            tokens.push({ type: 'value', text: source.slice(i, end + flags.length), value, position: i });
+            i = end + flags.length;
+        } else if (WORD.test(char)) {
+            let end = i;
+            while (end < source.length && WORD.test(source[end])) end++;
+            const text = source.slice(i, end);
+            const type = KEYWORDS.includes(text.toLowerCase()) ? 'keyword' : 'word';
+            tokens.push({ type, text, value: type === 'keyword' ? text.toLowerCase() : text, position: i });
+            i = end;
+        } else {
+            const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, i));
+            if (!symbol) {
+                throw syntaxError(source, i, `Unexpected character '${char}'`);
+            }
+            tokens.push({ type: 'symbol', text: symbol, value: symbol, position: i });
+            i += symbol.length;
+        }
+    }
+
+    tokens.push({ type: 'end', text: '', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Parses a filter expression into a syntax tree
+ * Precedence from loosest: ||/or, &&/and, !/not, comparisons and parentheses
+ * @param {string} source - Filter expression
+ * @returns {Object} - Syntax tree
+ * @throws {Error} - With the position of the first syntax error
+ */
+function parseFilter(source) {
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+    const is = (token, ...values) => (token.type === 'symbol' || token.type === 'keyword') && values.includes(token.value);
+    const fail = (token, message) => syntaxError(source, token.position, message);
+
+    const expect = (value, context) => {
+        const token = peek();
+        if (!is(token, value)) {
+            throw fail(token, `Expected '${value}' ${context}, got ${describeToken(token)}`);
+        }
+        index++;
+    };
+
+    const parseValue = operator => {
+        const token = peek();
+        index++;
+
+        if (token.type === 'value') return token.value;
+        if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+            return { true: true, false: false, null: null }[token.value];
+        }
+        if (token.type === 'word') {
+            return /^-?\d+(\.\d+)?$/.test(token.text) ? Number(token.text) : token.text;
+        }
+        throw fail(token, `Expected a value after '${operator}', got ${describeToken(token)}`);
+    };
+
+    const parseList = operator => {
+        expect('(', `to start the list after '${operator}'`);
+        const values = [parseValue(operator)];
+        while (is(peek(), ',')) {
+            index++;
+            values.push(parseValue(operator));
+        }
+        expect(')', 'to close the list');
+        return values;
+    };
+
+    const parseComparison = () => {
+        const token = peek();
+        if (token.type !== 'word') {
+            throw fail(token, `Expected a field name, got ${describeToken(token)}`);
+        }
+        const field = FIELDS[token.text.toLowerCase()];
+        if (!field) {
+            throw fail(token, `Unknown field '${token.text}'. Available: ${Object.keys(FIELDS).join(', ')}`);
+        }
+        index++;
+
+        if (is(peek(), 'in') || (is(peek(), 'not') && is(peek(1), 'in'))) {
+            const negated = is(peek(), 'not');
+            index += negated ? 2 : 1;
+            const node = { type: 'in', field, values: parseList(negated ? 'not in' : 'in') };
+            return negated ? { type: 'not', operand: node } : node;
+        }
+
+        const operator = peek();
+        if (!is(operator, ...COMPARISONS)) {
+            return { type: 'truthy', field };
+        }
+        index++;
+
+        const valueToken = peek();
+        let value = parseValue(operator.text);
+
+        if (operator.text === '=~' || operator.text === '!~') {
+            if (typeof value === 'string') {
+                value = new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            } else if (!(value instanceof RegExp)) {
+                throw fail(valueToken, `Expected a /regular expression/ or string after '${operator.text}'`);
+            }
+        } else if (['<', '<=', '>', '>='].includes(operator.text) && typeof value !== 'number') {
+            throw fail(valueToken, `Expected a number after '${operator.text}', got ${describeToken(valueToken)}`);
+        } else if (value instanceof RegExp) {
+            throw fail(valueToken, `Regular expressions need '=~' or '!~', not '${operator.text}'`);
+        }
+
+        return { type: 'compare', field, operator: operator.text, value };
+    };
+
+    const parseUnary = () => {
+        if (is(peek(), '!', 'not')) {
+            index++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        if (is(peek(), '(')) {
+            index++;
+            const node = parseOr();
+            expect(')', 'to close the group');
+            return node;
+        }
+        return parseComparison();
+    };
+
+    const parseBinary = (type, operators, parseOperand) => () => {
+        let node = parseOperand();
+        while (is(peek(), ...operators)) {
+            index++;
+            node = { type, left: node, right: parseOperand() };
+        }
+        return node;
+    };
+
+    const parseAnd = parseBinary('and', ['&&', 'and'], parseUnary);
+    const parseOr = parseBinary('or', ['||', 'or'], parseAnd);
+
+    const tree = parseOr();
+    if (peek().type !== 'end') {
+        throw fail(peek(), `Unexpected ${describeToken(peek())}, expected '&&', '||' or end of filter`);
+    }
+
+    return tree;
+}
+
+/**
+ * Compares a relay field with an expression value
+ * Text compares case-insensitively so country codes and providers match in any case
+ * @param {*} actual - Relay field value
+ * @param {*} expected - Expression value
+ * @returns {boolean} - True if equal
+ */
+function valuesEqual(actual, expected) {
+    if (expected === null || actual === null || actual === undefined) {
+        return expected === null && (actual === null || actual === undefined);
+    }
+    if (typeof expected === 'boolean') return actual === expected;
+    if (typeof expected === 'number' && typeof actual === 'number') return actual === expected;
+    return String(actual).toLowerCase() === String(expected).toLowerCase();
+}
+
+/**
+ * Evaluates a syntax tree against a server
+ * @param {Object} node - Syntax tree node
+ * @param {Object} server - Server object
+ * @returns {boolean} - True if the server matches
+ */
+function evaluate(node, server) {
+    switch (node.type) {
+        case 'or':
+            return evaluate(node.left, server) || evaluate(node.right, server);
+        case 'and':
+            return evaluate(node.left, server) && evaluate(node.right, server);
+        case 'not':
+            return !evaluate(node.operand, server);
+        case 'truthy':
+            return Boolean(server[node.field]);
+        case 'in':
+            return node.values.some(value => valuesEqual(server[node.field], value));
+        case 'compare': {
+            const actual = server[node.field];
+            switch (node.operator) {
+                case '==': return valuesEqual(actual, node.value);
+                case '!=': return !valuesEqual(actual, node.value);
+                case '=~': return actual !== null && actual !== undefined && node.value.test(String(actual));
+                case '!~': return actual === null || actual === undefined || !node.value.test(String(actual));
+                case '<': return typeof actual === 'number' && actual < node.value;
+                case '<=': return typeof actual === 'number' && actual <= node.value;
+                case '>': return typeof actual === 'number' && actual > node.value;
+                default: return typeof actual === 'number' && actual >= node.value;
+            }
+        }
+        default:
+            throw new Error(`Unknown filter node: ${node.type}`);
+    }
+}
+
+/**
+ * Compiles a filter expression into a server predicate
+ * @param {string} source - Filter expression
+ * @returns {Function} - (server) => boolean
+ * @throws {Error} - With the position of the first syntax error
+ */
+function compileFilter(source) {
+    const tree = parseFilter(source);
+    return server => evaluate(tree, server);
+}
+
+module.exports = { compileFilter, parseFilter, FIELDS };
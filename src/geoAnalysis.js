@@ -0,0 +1,70 @@
+/**
+ * Geo Analysis Module
+ * Compares measured latency with the speed-of-light bound for the distance to each relay
+ */
+
+const { getCityCoordinates, greatCircleDistance } = require('./geography');
+const { GEO_ANOMALY } = require('./config');
+
+// Distance light covers per ms in optical fiber and in vacuum
+const FIBER_KM_PER_MS = 200;
+const VACUUM_KM_PER_MS = 299.792;
+
+/**
+ * Computes the round-trip time light needs for a distance
+ * @param {number} distanceKm - One-way distance in km
+ * @param {number} kmPerMs - Propagation speed, fiber by default
+ * @returns {number} - Minimum RTT in ms
+ */
+function minimumRtt(distanceKm, kmPerMs = FIBER_KM_PER_MS) {
+    return (2 * distanceKm) / kmPerMs;
+}
+
+/**
+ * Classifies a round-trip time against the speed-of-light bound
+ * @param {number} rtt - Best measured RTT in ms
+ * @param {number} distanceKm - Distance to the relay in km
+ * @returns {string|null} - 'misplaced' if faster than light allows, 'bad-routing' if far above
+ *                          the fiber bound, null otherwise
+ */
+function classifyLatency(rtt, distanceKm) {
+    // Even light in vacuum cannot beat this, so the relay must be closer than the API says
+    const closestPossible = Math.max(0, distanceKm - GEO_ANOMALY.TOLERANCE_KM);
+    if (rtt < minimumRtt(closestPossible, VACUUM_KM_PER_MS)) {
+        return 'misplaced';
+    }
+
+    const fiberBound = minimumRtt(distanceKm);
+    if (rtt > fiberBound * GEO_ANOMALY.MAX_STRETCH && rtt - fiberBound > GEO_ANOMALY.MIN_EXCESS_MS) {
+        return 'bad-routing';
+    }
+
+    return null;
+}
+
+/**
+ * Adds distance, the fiber RTT bound and a geo anomaly flag to each result in a known city
+ * @param {Array} results - Array of ping results
+ * @param {Object} location - User's coordinates {lat, lng}
+ * @returns {Array} - Results with distanceKm, minRtt and geoAnomaly where the city is known
+ */
+function addGeoAnalysis(results, location) {
+    return results.map(result => {
+        const coordinates = getCityCoordinates(result.city);
+        if (!coordinates) {
+            return result;
+        }
+
+        const distanceKm = greatCircleDistance(location, coordinates);
+        const rtt = typeof result.min === 'number' && result.min < 9999 ? result.min : result.ping;
+
+        return {
+            ...result,
+            distanceKm: Math.round(distanceKm),
+            minRtt: Number(minimumRtt(distanceKm).toFixed(2)),
+            geoAnomaly: rtt < 9999 ? classifyLatency(rtt, distanceKm) : null
+        };
+    });
+}
+
+module.exports = { addGeoAnalysis, classifyLatency, minimumRtt };
@@ -0,0 +1,215 @@
+/**
+ * Geography Module
+ * City coordinates for the results map and distance calculations for latency analysis
+ */
+
+// Mean Earth radius in km
+const EARTH_RADIUS_KM = 6371;
+
+// Map of city coordinates
+const CITY_COORDINATES = {
+    // North America
+    'New York': { lat: 40.7128, lng: -74.0060 },
+    'Los Angeles': { lat: 34.0522, lng: -118.2437 },
+    'Chicago': { lat: 41.8781, lng: -87.6298 },
+    'Toronto': { lat: 43.6532, lng: -79.3832 },
+    'Montreal': { lat: 45.5017, lng: -73.5673 },
+    'Vancouver': { lat: 49.2827, lng: -123.1207 },
+    'Miami': { lat: 25.7617, lng: -80.1918 },
+    'Seattle': { lat: 47.6062, lng: -122.3321 },
+    'Dallas': { lat: 32.7767, lng: -96.7970 },
+    'Atlanta': { lat: 33.7490, lng: -84.3880 },
+    'Denver': { lat: 39.7392, lng: -104.9903 },
+    'Phoenix': { lat: 33.4484, lng: -112.0740 },
+    
+    // Europe
+    'London': { lat: 51.5074, lng: -0.1278 },
+    'Paris': { lat: 48.8566, lng: 2.3522 },
+    'Berlin': { lat: 52.5200, lng: 13.4050 },
+    'Madrid': { lat: 40.4168, lng: -3.7038 },
+    'Rome': { lat: 41.9028, lng: 12.4964 },
+    'Amsterdam': { lat: 52.3676, lng: 4.9041 },
+    'Brussels': { lat: 50.8503, lng: 4.3517 },
+    'Vienna': { lat: 48.2082, lng: 16.3738 },
+    'Stockholm': { lat: 59.3293, lng: 18.0686 },
+    'Oslo': { lat: 59.9139, lng: 10.7522 },
+    'Copenhagen': { lat: 55.6761, lng: 12.5683 },
+    'Helsinki': { lat: 60.1699, lng: 24.9384 },
+    'Warsaw': { lat: 52.2297, lng: 21.0122 },
+    'Prague': { lat: 50.0755, lng: 14.4378 },
+    'Budapest': { lat: 47.4979, lng: 19.0402 },
+    'Zurich': { lat: 47.3769, lng: 8.5417 },
+    'Geneva': { lat: 46.2044, lng: 6.1432 },
+    'Milan': { lat: 45.4642, lng: 9.1900 },
+    'Barcelona': { lat: 41.3851, lng: 2.1734 },
+    'Dublin': { lat: 53.3498, lng: -6.2603 },
+    'Lisbon': { lat: 38.7223, lng: -9.1393 },
+    'Athens': { lat: 37.9838, lng: 23.7275 },
+    'Frankfurt': { lat: 50.1109, lng: 8.6821 },
+    'Munich': { lat: 48.1351, lng: 11.5820 },
+    'Hamburg': { lat: 53.5511, lng: 9.9937 },
+    'Dusseldorf': { lat: 51.2277, lng: 6.7735 },
+    'Tallinn': { lat: 59.4370, lng: 24.7536 },
+    'Riga': { lat: 56.9496, lng: 24.1052 },
+    'Vilnius': { lat: 54.6872, lng: 25.2797 },
+    'Bucharest': { lat: 44.4268, lng: 26.1025 },
+    'Sofia': { lat: 42.6977, lng: 23.3219 },
+    'Belgrade': { lat: 44.7866, lng: 20.4489 },
+    'Zagreb': { lat: 45.8150, lng: 15.9819 },
+    'Bratislava': { lat: 48.1486, lng: 17.1077 },
+    'Ljubljana': { lat: 46.0569, lng: 14.5058 },
+    
+    // Asia
+    'Tokyo': { lat: 35.6762, lng: 139.6503 },
+    'Singapore': { lat: 1.3521, lng: 103.8198 },
+    'Hong Kong': { lat: 22.3193, lng: 114.1694 },
+    'Seoul': { lat: 37.5665, lng: 126.9780 },
+    'Taipei': { lat: 25.0330, lng: 121.5654 },
+    'Bangkok': { lat: 13.7563, lng: 100.5018 },
+    'Kuala Lumpur': { lat: 3.1390, lng: 101.6869 },
+    'Jakarta': { lat: -6.2088, lng: 106.8456 },
+    'Manila': { lat: 14.5995, lng: 120.9842 },
+    'Mumbai': { lat: 19.0760, lng: 72.8777 },
+    'Delhi': { lat: 28.6139, lng: 77.2090 },
+    'Dubai': { lat: 25.2048, lng: 55.2708 },
+    
+    // Australia & Oceania
+    'Sydney': { lat: -33.8688, lng: 151.2093 },
+    'Melbourne': { lat: -37.8136, lng: 144.9631 },
+    'Brisbane': { lat: -27.4698, lng: 153.0251 },
+    'Perth': { lat: -31.9505, lng: 115.8605 },
+    'Auckland': { lat: -36.8509, lng: 174.7645 },
+    
+    // South America
+    'Sao Paulo': { lat: -23.5505, lng: -46.6333 },
+    'Rio de Janeiro': { lat: -22.9068, lng: -43.1729 },
+    'Buenos Aires': { lat: -34.6037, lng: -58.3816 },
+    'Santiago': { lat: -33.4489, lng: -70.6693 },
+    'Bogota': { lat: 4.7110, lng: -74.0721 },
+    'Lima': { lat: -12.0464, lng: -77.0428 },
+    
+    // Africa
+    'Johannesburg': { lat: -26.2041, lng: 28.0473 },
+    'Cape Town': { lat: -33.9249, lng: 18.4241 },
+    'Cairo': { lat: 30.0444, lng: 31.2357 },
+    'Nairobi': { lat: -1.2921, lng: 36.8219 },
+    'Casablanca': { lat: 33.5731, lng: -7.5898 }
+};
+
+// Country coordinates, used when a city is not in the map above
+const COUNTRY_COORDINATES = {
+    'United States': { lat: 37.0902, lng: -95.7129 },
+    'Canada': { lat: 56.1304, lng: -106.3468 },
+    'United Kingdom': { lat: 55.3781, lng: -3.4360 },
+    'Germany': { lat: 51.1657, lng: 10.4515 },
+    'France': { lat: 46.2276, lng: 2.2137 },
+    'Italy': { lat: 41.8719, lng: 12.5674 },
+    'Spain': { lat: 40.4637, lng: -3.7492 },
+    'Netherlands': { lat: 52.1326, lng: 5.2913 },
+    'Sweden': { lat: 60.1282, lng: 18.6435 },
+    'Norway': { lat: 60.4720, lng: 8.4689 },
+    'Finland': { lat: 61.9241, lng: 25.7482 },
+    'Denmark': { lat: 56.2639, lng: 9.5018 },
+    'Poland': { lat: 51.9194, lng: 19.1451 },
+    'Switzerland': { lat: 46.8182, lng: 8.2275 },
+    'Austria': { lat: 47.5162, lng: 14.5501 },
+    'Belgium': { lat: 50.5039, lng: 4.4699 },
+    'Ireland': { lat: 53.1424, lng: -7.6921 },
+    'Portugal': { lat: 39.3999, lng: -8.2245 },
+    'Greece': { lat: 39.0742, lng: 21.8243 },
+    'Czech Republic': { lat: 49.8175, lng: 15.4730 },
+    'Hungary': { lat: 47.1625, lng: 19.5033 },
+    'Romania': { lat: 45.9432, lng: 24.9668 },
+    'Bulgaria': { lat: 42.7339, lng: 25.4858 },
+    'Serbia': { lat: 44.0165, lng: 21.0059 },
+    'Croatia': { lat: 45.1000, lng: 15.2000 },
+    'Slovakia': { lat: 48.6690, lng: 19.6990 },
+    'Slovenia': { lat: 46.1512, lng: 14.9955 },
+    'Estonia': { lat: 58.5953, lng: 25.0136 },
+    'Latvia': { lat: 56.8796, lng: 24.6032 },
+    'Lithuania': { lat: 55.1694, lng: 23.8813 },
+    'Japan': { lat: 36.2048, lng: 138.2529 },
+    'Singapore': { lat: 1.3521, lng: 103.8198 },
+    'Australia': { lat: -25.2744, lng: 133.7751 },
+    'New Zealand': { lat: -40.9006, lng: 174.8860 },
+    'Brazil': { lat: -14.2350, lng: -51.9253 },
+    'Argentina': { lat: -38.4161, lng: -63.6167 },
+    'Chile': { lat: -35.6751, lng: -71.5430 },
+    'Colombia': { lat: 4.5709, lng: -74.2973 },
+    'Peru': { lat: -9.1900, lng: -75.0152 },
+    'South Africa': { lat: -30.5595, lng: 22.9375 },
+    'Egypt': { lat: 26.8206, lng: 30.8025 },
+    'Kenya': { lat: -0.0236, lng: 37.9062 },
+    'Morocco': { lat: 31.7917, lng: -7.0926 }
+};
+
+/**
+ * Gets coordinates for a city
+ * @param {string} city - City name
+ * @param {string} country - Country name
+ * @returns {Object} - Coordinates {lat, lng}, approximate when only the country is known
+ */
+function getCoordinatesForCity(city, country) {
+    // Check if we have coordinates for this city
+    if (CITY_COORDINATES[city]) {
+        return CITY_COORDINATES[city];
+    }
+    
+    // If city not found, use country coordinates
+    if (COUNTRY_COORDINATES[country]) {
+        // Add a small random offset to avoid all servers in a country being at the exact same spot
+        const offset = 0.5; // ~50km offset
+        return {
+            lat: COUNTRY_COORDINATES[country].lat + (Math.random() * offset * 2 - offset),
+            lng: COUNTRY_COORDINATES[country].lng + (Math.random() * offset * 2 - offset)
+        };
+    }
+    
+    // Default coordinates (center of the map)
+    return { lat: 0, lng: 0 };
+}
+
+/**
+ * Gets the exact coordinates of a known city
+ * Unlike getCoordinatesForCity there is no country fallback, so the result is precise enough for analysis
+ * @param {string} city - City name
+ * @returns {Object|null} - Coordinates {lat, lng} or null if the city is unknown
+ */
+function getCityCoordinates(city) {
+    const name = Object.keys(CITY_COORDINATES).find(known => known.toLowerCase() === String(city).toLowerCase());
+    return name ? CITY_COORDINATES[name] : null;
+}
+
+/**
+ * Parses a location given as a known city name or as 'lat,lng'
+ * @param {string} value - Location
+ * @returns {Object|null} - Coordinates {lat, lng} or null if the location is not recognized
+ */
+function parseLocation(value) {
+    const match = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/.exec(value);
+    if (match) {
+        const lat = Number(match[1]);
+        const lng = Number(match[2]);
+        return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+    }
+    
+    return getCityCoordinates(value.trim());
+}
+
+/**
+ * Computes the great-circle distance between two points (haversine formula)
+ * @param {Object} from - Coordinates {lat, lng}
+ * @param {Object} to - Coordinates {lat, lng}
+ * @returns {number} - Distance in km
+ */
+function greatCircleDistance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = { getCoordinatesForCity, getCityCoordinates, parseLocation, greatCircleDistance };
@@ -5,14 +5,27 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const { SAVE_PATH } = require('./config');
+const { SAVE_PATH, REGRESSION, HEATMAP } = require('./config');
+const { listRuns, loadRun, loadLatestResults, queryHistory } = require('./historyStore');
+const { queryRollups } = require('./historyRollups');
+const { ewma, normalConfidence } = require('./statistics');
+const { bucketByHourOfWeek, combineCells } = require('./hourOfWeek');
+
+// Reachable share (%) below which relays rank after all others in findBestRelays
+const BEST_RELAY_MIN_RELIABILITY = 80;
 
 /**
- * Loads the most recent previous results file
+ * Loads the results of the most recent previous run
+ * Until the history store holds a run, the newest result file is used
  * @returns {Promise<Array|null>} - Previous results or null if not found
  */
 async function loadPreviousResults() {
     try {
+        const latest = await loadLatestResults();
+        if (latest) {
+            return latest.results;
+        }
+        
         const files = await fs.readdir(SAVE_PATH);
         
         // Filter JSON result files and sort by date (newest first)
@@ -38,13 +51,71 @@ async function loadPreviousResults() {
     }
 }
 
+/**
+ * Loads the results of each server's last stored runs, the baseline changes are detected against
+ * @param {number} [runCount] - Number of runs per server
+ * @returns {Promise<Map>} - Hostname to its results, oldest first; empty if nothing is stored
+ */
+async function loadBaseline(runCount = REGRESSION.BASELINE_RUNS) {
+    const baseline = new Map();
+    try {
+        // Watchlist runs hold only their own servers, so they add to the last full runs instead of displacing them
+        const runs = await listRuns();
+        const fullRuns = runs.filter(run => run.scope !== 'watchlist').slice(-runCount);
+        const since = fullRuns.length ? fullRuns[0].time : '';
+        for (const run of runs.filter(run => run.time >= since)) {
+            (await loadRun(run)).forEach(result => {
+                if (!baseline.has(result.hostname)) baseline.set(result.hostname, []);
+                const samples = baseline.get(result.hostname);
+                // Watchlist runs stored before they kept only their own servers repeat earlier rows
+                const last = samples[samples.length - 1];
+                if (last && result.timestamp && last.timestamp === result.timestamp) return;
+                samples.push(result);
+            });
+        }
+        baseline.forEach((samples, hostname) => baseline.set(hostname, samples.slice(-runCount)));
+    } catch (error) {
+        console.error('Error loading baseline:', error.message);
+    }
+    return baseline;
+}
+
+/**
+ * Tests a server's ping against the EWMA baseline of its previous runs
+ * The noise is the spread of the baseline, but at least the measured jitter and MIN_NOISE_MS,
+ * as a baseline of one run or of equal pings has no spread
+ * @param {Object} current - Current result
+ * @param {Array} samples - Reachable previous results of the server, oldest first
+ * @returns {Object} - {baselinePing, baselineRuns, pingDiff, percentChange, zScore, confidence}
+ */
+function detectChange(current, samples) {
+    const { mean, stdDev } = ewma(samples.map(sample => sample.ping), REGRESSION.EWMA_ALPHA);
+    const jitters = [current, ...samples].map(result => result.jitter).filter(jitter => typeof jitter === 'number');
+    const jitter = jitters.length ? jitters.reduce((sum, value) => sum + value, 0) / jitters.length : 0;
+    const noise = Math.max(stdDev, jitter, REGRESSION.MIN_NOISE_MS);
+    const pingDiff = current.ping - mean;
+    const zScore = pingDiff / noise;
+
+    return {
+        baselinePing: mean,
+        baselineRuns: samples.length,
+        pingDiff,
+        percentChange: (pingDiff / mean) * 100,
+        zScore,
+        confidence: normalConfidence(zScore)
+    };
+}
+
 /**
  * Compares current results with previous results
+ * A server counts as improved or degraded only if its ping left the baseline of its previous runs
+ * with at least REGRESSION.MIN_CONFIDENCE; without a baseline the previous results are one
  * @param {Array} currentResults - Current ping results
  * @param {Array} previousResults - Previous ping results
+ * @param {Map} [baseline] - Results of the previous runs by hostname, oldest first (see loadBaseline)
  * @returns {Object} - Comparison analysis
  */
-function compareWithPrevious(currentResults, previousResults) {
+function compareWithPrevious(currentResults, previousResults, baseline = new Map()) {
     if (!previousResults || !Array.isArray(previousResults) || previousResults.length === 0) {
         return {
             hasPrevious: false,
@@ -72,26 +143,24 @@ function compareWithPrevious(currentResults, previousResults) {
             return;
         }
         
-        // Skip unreachable servers in either dataset
-        if (current.ping === 9999 || previous.ping === 9999) {
+        // Skip servers unreachable now or in every baseline run
+        const samples = (baseline.get(current.hostname) || [previous]).filter(sample => sample.ping !== 9999);
+        if (current.ping === 9999 || samples.length === 0) {
             return;
         }
         
-        const pingDiff = current.ping - previous.ping;
-        const percentChange = (pingDiff / previous.ping) * 100;
-        
         // Add comparison data
+        const change = detectChange(current, samples);
         const serverWithComparison = {
             ...current,
             previousPing: previous.ping,
-            pingDiff,
-            percentChange
+            ...change
         };
         
-        // Categorize based on change
-        if (Math.abs(pingDiff) < 5) { // Less than 5ms difference is considered unchanged
+        // Categorize based on how confidently the ping left the baseline
+        if (change.confidence < REGRESSION.MIN_CONFIDENCE) {
             unchanged.push(serverWithComparison);
-        } else if (pingDiff < 0) {
+        } else if (change.pingDiff < 0) {
             improved.push(serverWithComparison);
         } else {
             degraded.push(serverWithComparison);
@@ -133,7 +202,8 @@ function compareWithPrevious(currentResults, previousResults) {
             newCount: newServers.length,
             removedCount: removedServers.length,
             avgImprovement,
-            avgDegradation
+            avgDegradation,
+            minConfidence: Number(REGRESSION.MIN_CONFIDENCE)
         },
         highlights: {
             mostImproved: mostImproved ? {
@@ -142,8 +212,10 @@ function compareWithPrevious(currentResults, previousResults) {
                 city: mostImproved.city,
                 currentPing: mostImproved.ping,
                 previousPing: mostImproved.previousPing,
+                baselinePing: mostImproved.baselinePing.toFixed(2),
                 improvement: Math.abs(mostImproved.pingDiff).toFixed(2),
-                percentImprovement: Math.abs(mostImproved.percentChange).toFixed(2)
+                percentImprovement: Math.abs(mostImproved.percentChange).toFixed(2),
+                confidence: (mostImproved.confidence * 100).toFixed(1)
             } : null,
             mostDegraded: mostDegraded ? {
                 hostname: mostDegraded.hostname,
@@ -151,8 +223,10 @@ function compareWithPrevious(currentResults, previousResults) {
                 city: mostDegraded.city,
                 currentPing: mostDegraded.ping,
                 previousPing: mostDegraded.previousPing,
+                baselinePing: mostDegraded.baselinePing.toFixed(2),
                 degradation: mostDegraded.pingDiff.toFixed(2),
-                percentDegradation: mostDegraded.percentChange.toFixed(2)
+                percentDegradation: mostDegraded.percentChange.toFixed(2),
+                confidence: (mostDegraded.confidence * 100).toFixed(1)
             } : null
         },
         details: {
@@ -164,45 +238,141 @@ function compareWithPrevious(currentResults, previousResults) {
     };
 }
 
+/**
+ * Loads history points from the raw runs and the rollups of the history store
+ * Each point covers one raw run or every run of a rollup
+ * @param {Object} [query] - Query {hostname, country, from, to}, every part optional
+ * @returns {Promise<Array>} - Points {timestamp, date, hostname, country_code, country, city, ping, packetLoss,
+ *                             resolution, runs, reachable, min, p95}, oldest first
+ */
+async function loadHistoryPoints(query = {}) {
+    const [records, rollups] = await Promise.all([queryHistory(query), queryRollups(query)]);
+    const location = item => ({
+        hostname: item.hostname,
+        country_code: item.country_code,
+        country: item.country,
+        city: item.city
+    });
+    
+    return [
+        ...rollups.map(rollup => ({
+            timestamp: rollup.time,
+            date: new Date(rollup.time).toLocaleString(),
+            ...location(rollup),
+            ping: rollup.reachable ? rollup.avg : 9999,
+            packetLoss: rollup.loss,
+            resolution: rollup.resolution,
+            runs: rollup.runs,
+            reachable: rollup.reachable,
+            min: rollup.min,
+            p95: rollup.p95
+        })),
+        ...records.map(record => ({
+            timestamp: record.run,
+            date: new Date(record.run).toLocaleString(),
+            ...location(record),
+            ping: record.ping,
+            packetLoss: record.packetLoss,
+            resolution: 'raw',
+            runs: 1,
+            reachable: record.ping < 9999 ? 1 : 0,
+            min: record.ping
+        }))
+    ].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Buckets the history of each server or city by hour of week
+ * Daily rollups are left out, they do not know the hour of their runs
+ * @param {Object} [query] - Query, every part optional
+ * @param {string} [query.by] - 'server' (default) or 'city'
+ * @param {string} [query.hostname] - Server hostname
+ * @param {string} [query.country] - Country code or name
+ * @param {string} [query.city] - City name
+ * @param {string|Date} [query.from] - Earliest run, inclusive, HEATMAP.WEEKS weeks ago by default
+ * @param {string|Date} [query.to] - Latest run, inclusive
+ * @returns {Promise<Array>} - Heatmaps {key, hostname?, city, country, country_code, runs, grid} by key
+ */
+async function buildHeatmaps({
+    by = 'server',
+    hostname,
+    country,
+    city,
+    from = new Date(Date.now() - HEATMAP.WEEKS * 7 * 24 * 3600 * 1000).toISOString(),
+    to
+} = {}) {
+    const wantedCity = city && city.toLowerCase();
+    const points = (await loadHistoryPoints({ hostname, country, from, to }))
+        .filter(point => point.resolution !== 'daily')
+        .filter(point => !wantedCity || String(point.city).toLowerCase() === wantedCity);
+    
+    const groups = new Map();
+    points.forEach(point => {
+        const key = by === 'city' ? `${point.city}, ${point.country}` : point.hostname;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(point);
+    });
+    
+    return [...groups.entries()]
+        .map(([key, group]) => {
+            const latest = group[group.length - 1];
+            return {
+                key,
+                ...(by === 'city' ? {} : { hostname: latest.hostname }),
+                city: latest.city,
+                country: latest.country,
+                country_code: latest.country_code,
+                runs: group.reduce((sum, point) => sum + point.runs, 0),
+                grid: bucketByHourOfWeek(group)
+            };
+        })
+        .sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Ranks servers by their usual ping at an hour on some days, e.g. 20:00 on weekdays
+ * @param {Object} query - Query
+ * @param {number} query.hour - Hour 0-23
+ * @param {Array<number>} query.days - Day indexes, Monday first
+ * @param {string} [query.country] - Country code or name
+ * @param {string} [query.city] - City name
+ * @param {string|Date} [query.from] - Earliest run, inclusive, HEATMAP.WEEKS weeks ago by default
+ * @param {string|Date} [query.to] - Latest run, inclusive
+ * @returns {Promise<Array>} - Servers {hostname, city, country, country_code, avg, min, runs, reliability}, best first
+ *                             by average ping, relays below BEST_RELAY_MIN_RELIABILITY last
+ */
+async function findBestRelays({ hour, days, country, city, from, to }) {
+    const heatmaps = await buildHeatmaps({ by: 'server', country, city, from, to });
+    
+    return heatmaps
+        .map(heatmap => ({ heatmap, cell: combineCells(heatmap.grid, days, hour) }))
+        .filter(({ cell }) => cell && cell.reachable > 0)
+        .map(({ heatmap, cell }) => ({
+            hostname: heatmap.hostname,
+            city: heatmap.city,
+            country: heatmap.country,
+            country_code: heatmap.country_code,
+            avg: cell.avg,
+            min: cell.min,
+            runs: cell.runs,
+            reliability: Math.round((cell.reachable / cell.runs) * 10000) / 100
+        }))
+        // A relay often down at that time is not usually best, however fast it answers otherwise
+        .sort((a, b) => Number(b.reliability >= BEST_RELAY_MIN_RELIABILITY) - Number(a.reliability >= BEST_RELAY_MIN_RELIABILITY)
+            || a.avg - b.avg);
+}
+
 /**
  * Analyzes historical trends for a specific server
+ * Runs past the raw retention period are read from the hourly and daily rollups
  * @param {string} hostname - Server hostname to analyze
+ * @param {Object} [range] - Time range {from, to} of the runs analyzed, all runs by default
  * @returns {Promise<Object>} - Historical analysis
  */
-async function analyzeServerHistory(hostname) {
+async function analyzeServerHistory(hostname, { from, to } = {}) {
     try {
-        const files = await fs.readdir(SAVE_PATH);
-        
-        // Filter and sort result files
-        const resultFiles = files
-            .filter(file => file.startsWith('ping_results_') && file.endsWith('.json') && file !== 'ping_results_latest.json')
-            .sort(); // Chronological order
-        
-        if (resultFiles.length === 0) {
-            return {
-                hostname,
-                error: 'No historical data available'
-            };
-        }
-        
-        // Load all historical data for this server
-        const history = [];
-        
-        for (const file of resultFiles) {
-            const data = await fs.readFile(path.join(SAVE_PATH, file), 'utf8');
-            const results = JSON.parse(data);
-            
-            const server = results.find(s => s.hostname === hostname);
-            if (server) {
-                const timestamp = file.replace('ping_results_', '').replace('.json', '').replace(/-/g, ':');
-                history.push({
-                    timestamp,
-                    date: new Date(timestamp).toLocaleString(),
-                    ping: server.ping,
-                    packetLoss: server.packetLoss
-                });
-            }
-        }
+        // Load all historical data for this server from the history store
+        const history = await loadHistoryPoints({ hostname, from, to });
         
         if (history.length === 0) {
             return {
@@ -211,20 +381,22 @@ async function analyzeServerHistory(hostname) {
             };
         }
         
-        // Calculate statistics
-        const pings = history.map(h => h.ping).filter(p => p < 9999);
-        const min = Math.min(...pings);
-        const max = Math.max(...pings);
-        const avg = pings.reduce((sum, p) => sum + p, 0) / pings.length;
+        // Calculate statistics, weighting rollups by the runs they cover
+        const reachable = history.filter(h => h.reachable > 0);
+        const reachableRuns = reachable.reduce((sum, h) => sum + h.reachable, 0);
+        const totalRuns = history.reduce((sum, h) => sum + h.runs, 0);
+        const min = Math.min(...reachable.map(h => h.min));
+        const max = Math.max(...reachable.map(h => h.ping));
+        const avg = reachable.reduce((sum, h) => sum + h.ping * h.reachable, 0) / reachableRuns;
         const stdDev = Math.sqrt(
-            pings.reduce((sum, p) => sum + Math.pow(p - avg, 2), 0) / pings.length
+            reachable.reduce((sum, h) => sum + h.reachable * Math.pow(h.ping - avg, 2), 0) / reachableRuns
         );
         
         // Calculate stability (lower standard deviation means more stable)
         const stability = 100 - Math.min(100, (stdDev / avg) * 100);
         
         // Calculate reliability (percentage of times the server was reachable)
-        const reliability = (pings.length / history.length) * 100;
+        const reliability = (reachableRuns / totalRuns) * 100;
         
         return {
             hostname,
@@ -250,6 +422,9 @@ async function analyzeServerHistory(hostname) {
 
 module.exports = {
     loadPreviousResults,
+    loadBaseline,
     compareWithPrevious,
-    analyzeServerHistory
+    analyzeServerHistory,
+    buildHeatmaps,
+    findBestRelays
 }; 
\ No newline at end of file
@@ -0,0 +1,297 @@
+/**
+ * History Rollups Module
+ * Applies the history retention policy: raw runs are kept for a number of days, then rolled up
+ * into hourly aggregates per server, which are merged into daily aggregates after some weeks
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { SAVE_PATH, HISTORY } = require('./config');
+const { percentile } = require('./statistics');
+const { listRuns, loadRun, removeRuns, listServers, parseBound } = require('./historyStore');
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Gets the directory of the rollups of a resolution, one file per server
+ * @param {string} resolution - 'hourly' or 'daily'
+ * @returns {string} - Rollup directory
+ */
+function getRollupDir(resolution) {
+    return path.join(SAVE_PATH, 'history', 'rollups', resolution);
+}
+
+/**
+ * Gets the rollup file of a server
+ * @param {string} resolution - 'hourly' or 'daily'
+ * @param {string} hostname - Server hostname
+ * @returns {string} - Rollup file path
+ */
+function getRollupPath(resolution, hostname) {
+    return path.join(getRollupDir(resolution), `${encodeURIComponent(hostname)}.ndjson`);
+}
+
+/**
+ * Gets the start of the hour or day a time falls in
+ * @param {string} time - ISO time
+ * @param {string} resolution - 'hourly' or 'daily'
+ * @returns {string} - ISO time of the bucket start
+ */
+function getBucket(time, resolution) {
+    return resolution === 'hourly' ? `${time.slice(0, 13)}:00:00.000Z` : `${time.slice(0, 10)}T00:00:00.000Z`;
+}
+
+/**
+ * Rounds a latency to hundredths
+ * @param {number|null} value - Latency in ms
+ * @returns {number|null} - Rounded latency
+ */
+function round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Groups items by server and bucket
+ * @param {Array} items - Items with hostname and an ISO time
+ * @param {string} resolution - 'hourly' or 'daily'
+ * @param {Function} getTime - Gets an item's time
+ * @returns {Array<Array>} - Groups, each with the items of one server in one bucket
+ */
+function groupByBucket(items, resolution, getTime) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = `${item.hostname}|${getBucket(getTime(item), resolution)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Aggregates raw results into one rollup per server and hour
+ * @param {Array} records - Stored results with the time of their run
+ * @returns {Array} - Rollups {time, resolution, hostname, country_code, country, city, runs, reachable, min, avg, p95, loss}
+ */
+function rollUpResults(records) {
+    return groupByBucket(records, 'hourly', record => record.run).map(group => {
+        const pings = group.filter(record => record.ping < 9999).map(record => record.ping);
+        const latest = group[group.length - 1];
+        return {
+            time: getBucket(latest.run, 'hourly'),
+            resolution: 'hourly',
+            hostname: latest.hostname,
+            country_code: latest.country_code || null,
+            country: latest.country || null,
+            city: latest.city || null,
+            runs: group.length,
+            reachable: pings.length,
+            min: pings.length ? round(Math.min(...pings)) : null,
+            avg: pings.length ? round(pings.reduce((sum, ping) => sum + ping, 0) / pings.length) : null,
+            p95: round(percentile(pings, 95)),
+            loss: round(group.reduce((sum, record) => sum + (Number(record.packetLoss) || 0), 0) / group.length)
+        };
+    });
+}
+
+/**
+ * Merges hourly rollups into one rollup per server and day
+ * The daily p95 is the 95th percentile of the hourly ones, the samples themselves are gone
+ * @param {Array} hourly - Hourly rollups
+ * @returns {Array} - Daily rollups
+ */
+function mergeRollups(hourly) {
+    return groupByBucket(hourly, 'daily', rollup => rollup.time).map(group => {
+        const measured = group.filter(rollup => rollup.reachable > 0);
+        const reachable = measured.reduce((sum, rollup) => sum + rollup.reachable, 0);
+        const runs = group.reduce((sum, rollup) => sum + rollup.runs, 0);
+        const latest = group[group.length - 1];
+        return {
+            ...latest,
+            time: getBucket(latest.time, 'daily'),
+            resolution: 'daily',
+            runs,
+            reachable,
+            min: measured.length ? Math.min(...measured.map(rollup => rollup.min)) : null,
+            avg: measured.length ? round(measured.reduce((sum, rollup) => sum + rollup.avg * rollup.reachable, 0) / reachable) : null,
+            p95: round(percentile(measured.map(rollup => rollup.p95), 95)),
+            loss: round(group.reduce((sum, rollup) => sum + rollup.loss * rollup.runs, 0) / runs)
+        };
+    });
+}
+
+/**
+ * Appends rollups to the files of their servers
+ * @param {Array} rollups - Rollups of one resolution
+ * @returns {Promise<void>}
+ */
+async function appendRollups(rollups) {
+    const byFile = new Map();
+    rollups.forEach(rollup => {
+        const file = getRollupPath(rollup.resolution, rollup.hostname);
+        if (!byFile.has(file)) byFile.set(file, []);
+        byFile.get(file).push(JSON.stringify(rollup) + '\n');
+    });
+
+    for (const [file, lines] of byFile) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, lines.join(''));
+    }
+}
+
+/**
+ * Reads the rollups of a server
+ * @param {string} resolution - 'hourly' or 'daily'
+ * @param {string} hostname - Server hostname
+ * @returns {Promise<Array>} - Rollups in file order, empty if there are none
+ */
+async function readRollups(resolution, hostname) {
+    try {
+        const data = await fs.readFile(getRollupPath(resolution, hostname), 'utf8');
+        return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Lists the servers that have rollups of a resolution
+ * @param {string} resolution - 'hourly' or 'daily'
+ * @returns {Promise<Array<string>>} - Hostnames
+ */
+async function listRollupServers(resolution) {
+    try {
+        const files = await fs.readdir(getRollupDir(resolution));
+        return files.filter(file => file.endsWith('.ndjson')).map(file => decodeURIComponent(file.replace('.ndjson', '')));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Queries hourly and daily rollups by server, country and time range
+ * @param {Object} [query] - Query, every part optional
+ * @param {string} [query.hostname] - Server hostname
+ * @param {string} [query.country] - Country code or name
+ * @param {string|Date} [query.from] - Earliest bucket start, inclusive
+ * @param {string|Date} [query.to] - Latest bucket start, inclusive
+ * @returns {Promise<Array>} - Rollups, oldest first
+ * @throws {Error} - If from or to is not a date
+ */
+async function queryRollups({ hostname, country, from, to } = {}) {
+    const fromTime = parseBound(from, -Infinity);
+    const toTime = parseBound(to, Infinity);
+    const rollups = [];
+
+    for (const resolution of ['daily', 'hourly']) {
+        let hostnames = hostname ? [hostname] : await listRollupServers(resolution);
+        if (country) {
+            const wanted = country.toLowerCase();
+            const servers = await listServers();
+            hostnames = hostnames.filter(name => {
+                const server = servers[name];
+                return server && [server.country_code, server.country].some(value => value && value.toLowerCase() === wanted);
+            });
+        }
+
+        for (const name of hostnames) {
+            (await readRollups(resolution, name)).forEach(rollup => {
+                const time = new Date(rollup.time).getTime();
+                if (time >= fromTime && time <= toTime) rollups.push(rollup);
+            });
+        }
+    }
+
+    return rollups.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Merges hourly rollups older than a cutoff into daily ones
+ * @param {number} cutoff - Hourly rollups of days starting before this time are merged
+ * @returns {Promise<number>} - Number of hourly rollups merged
+ */
+async function compactHourlyRollups(cutoff) {
+    let merged = 0;
+
+    for (const hostname of await listRollupServers('hourly')) {
+        const hourly = await readRollups('hourly', hostname);
+        const expired = hourly.filter(rollup => new Date(rollup.time).getTime() < cutoff);
+        if (!expired.length) continue;
+
+        // Daily rollups are written first: a crash leaves duplicates rather than gaps
+        await appendRollups(mergeRollups(expired));
+        const kept = hourly.filter(rollup => new Date(rollup.time).getTime() >= cutoff);
+        const file = getRollupPath('hourly', hostname);
+        if (kept.length) {
+            await fs.writeFile(`${file}.tmp`, kept.map(rollup => JSON.stringify(rollup) + '\n').join(''));
+            await fs.rename(`${file}.tmp`, file);
+        } else {
+            await fs.rm(file, { force: true });
+        }
+        merged += expired.length;
+    }
+
+    return merged;
+}
+
+/**
+ * Deletes the timestamped report files of runs that were rolled up
+ * @param {Array} runs - Removed runs
+ * @returns {Promise<number>} - Number of files deleted
+ */
+async function pruneReportFiles(runs) {
+    let deleted = 0;
+
+    // Runs stored before the timestamp was kept only know their JSON result file
+    const stamps = runs
+        .map(run => run.stamp || (run.file && run.file.replace('ping_results_', '').replace('.json', '')))
+        .filter(Boolean);
+
+    for (const stamp of stamps) {
+        const files = ['json', 'html', 'csv'].map(format => `ping_results_${stamp}.${format}`)
+            .concat(`ping_metadata_${stamp}.json`);
+        for (const file of files) {
+            try {
+                await fs.unlink(path.join(SAVE_PATH, file));
+                deleted++;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    }
+
+    return deleted;
+}
+
+/**
+ * Applies the retention policy to the history store and its report files
+ * Cutoffs fall on whole hours and days so a bucket is never rolled up twice
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - {rolledUp, merged, deletedFiles}
+ */
+async function applyRetention(now = new Date()) {
+    const { RAW_DAYS, HOURLY_WEEKS } = HISTORY.RETENTION;
+    const rawCutoff = Math.floor((now.getTime() - RAW_DAYS * DAY_MS) / HOUR_MS) * HOUR_MS;
+    // Days still receiving hourly rollups are never merged, even if the hourly tier is shorter than the raw one
+    const hourlyCutoff = Math.floor(Math.min(now.getTime() - HOURLY_WEEKS * 7 * DAY_MS, rawCutoff) / DAY_MS) * DAY_MS;
+
+    const expired = (await listRuns()).filter(run => new Date(run.time).getTime() < rawCutoff);
+    if (expired.length) {
+        const records = [];
+        for (const run of expired) {
+            (await loadRun(run)).forEach(result => records.push({ run: run.time, ...result }));
+        }
+        // Rollups are written before the runs are removed: a crash leaves duplicates rather than gaps
+        await appendRollups(rollUpResults(records));
+        await removeRuns(expired);
+    }
+
+    const merged = await compactHourlyRollups(hourlyCutoff);
+    const deletedFiles = await pruneReportFiles(expired);
+
+    return { rolledUp: expired.length, merged, deletedFiles };
+}
+
+module.exports = { applyRetention, queryRollups, rollUpResults, mergeRollups };
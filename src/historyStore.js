@@ -0,0 +1,538 @@
+/**
+ * History Store Module
+ * Keeps the results of every run in append-only NDJSON segments, one per month, with an index
+ * of where each server's results are, so history queries read only the lines they need
+ */
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { SAVE_PATH } = require('./config');
+const { parseLine, parseLines } = require('./ndjson');
+
+// Bumped when the index format changes, older indexes are rebuilt from the segments
+const INDEX_VERSION = 1;
+
+// Result files imported between index saves, limits the work repeated after a crash
+const IMPORT_BATCH = 100;
+
+// The index is kept in memory while its file is unchanged
+let cachedIndex = null;
+let cachedIndexMtime = null;
+
+/**
+ * Gets the directory of the history store
+ * @returns {string} - History directory
+ */
+function getHistoryDir() {
+    return path.join(SAVE_PATH, 'history');
+}
+
+/**
+ * Gets the path of the history index
+ * @returns {string} - Index file path
+ */
+function getIndexPath() {
+    return path.join(getHistoryDir(), 'index.json');
+}
+
+/**
+ * Gets the directory of the segments
+ * @returns {string} - Segment directory
+ */
+function getSegmentDir() {
+    return path.join(getHistoryDir(), 'segments');
+}
+
+/**
+ * Gets the path of a segment
+ * @param {string} segment - Segment name, the month of its runs (e.g. 2024-05)
+ * @returns {string} - Segment file path
+ */
+function getSegmentPath(segment) {
+    return path.join(getSegmentDir(), `${segment}.ndjson`);
+}
+
+/**
+ * Creates an empty index
+ * runs lists every run in the order it was stored; servers maps each hostname to
+ * [run number, byte offset, byte length] of its results in the run's segment
+ * @returns {Object} - Index {version, runs, servers}
+ */
+function createIndex() {
+    return { version: INDEX_VERSION, runs: [], servers: {} };
+}
+
+/**
+ * Adds a stored run and the positions of its results to the index
+ * @param {Object} index - Index
+ * @param {Object} run - Run {time, segment, offset, length, count, scope, partial, source, file, stamp}
+ * @param {Array} records - Results with their position [{hostname, country, country_code, city, offset, length}]
+ */
+function addToIndex(index, run, records) {
+    const runNumber = index.runs.push(run) - 1;
+
+    records.forEach(({ hostname, country, country_code, city, offset, length }) => {
+        if (!index.servers[hostname]) {
+            index.servers[hostname] = { country: null, country_code: null, city: null, lastSeen: null, entries: [] };
+        }
+        const server = index.servers[hostname];
+        // Imports may add older runs, the location of the latest run wins
+        if (!server.lastSeen || run.time >= server.lastSeen) {
+            server.country = country || server.country;
+            server.country_code = country_code || server.country_code;
+            server.city = city || server.city;
+            server.lastSeen = run.time;
+        }
+        server.entries.push([runNumber, offset, length]);
+    });
+}
+
+/**
+ * Rebuilds the index by reading every segment
+ * The details of a run are restored from its header line; runs stored before headers were
+ * written lose their scope, partial flag, source file and report timestamp
+ * @returns {Promise<Object>} - Index
+ */
+async function rebuildIndex() {
+    const index = createIndex();
+    let files = [];
+    try {
+        files = (await fs.readdir(getSegmentDir())).filter(file => file.endsWith('.ndjson')).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files) {
+        const segment = file.replace('.ndjson', '');
+        const lines = readline.createInterface({ input: createReadStream(getSegmentPath(segment)), crlfDelay: Infinity });
+        let position = 0;
+        let run = null;
+        let records = [];
+
+        for await (const line of lines) {
+            const length = Buffer.byteLength(line) + 1;
+            const record = parseLine(line);
+
+            if (record && record.runHeader) {
+                if (run) addToIndex(index, run, records);
+                run = { ...record.runHeader, segment, offset: position, length, count: 0 };
+                records = [];
+            } else if (record && record.run) {
+                if (!run || run.time !== record.run) {
+                    if (run) addToIndex(index, run, records);
+                    run = { time: record.run, segment, offset: position, length: 0, count: 0, scope: null, partial: null, source: null, file: null, stamp: null };
+                    records = [];
+                }
+                records.push({ ...record, offset: position, length });
+                run.length = position + length - run.offset;
+                run.count++;
+            }
+            position += length;
+        }
+        if (run) addToIndex(index, run, records);
+    }
+
+    return index;
+}
+
+/**
+ * Writes the index atomically
+ * @param {Object} index - Index
+ * @returns {Promise<void>}
+ */
+async function saveIndex(index) {
+    const indexPath = getIndexPath();
+    await fs.mkdir(path.dirname(indexPath), { recursive: true });
+    await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(index));
+    await fs.rename(`${indexPath}.tmp`, indexPath);
+
+    cachedIndex = index;
+    cachedIndexMtime = (await fs.stat(indexPath)).mtimeMs;
+}
+
+/**
+ * Loads the index, rebuilding it from the segments if it is missing or unreadable
+ * @returns {Promise<Object>} - Index
+ */
+async function loadIndex() {
+    const indexPath = getIndexPath();
+
+    try {
+        const { mtimeMs } = await fs.stat(indexPath);
+        if (cachedIndex && mtimeMs === cachedIndexMtime) {
+            return cachedIndex;
+        }
+
+        const index = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+        if (index.version !== INDEX_VERSION) {
+            throw new Error(`unsupported index version ${index.version}`);
+        }
+        cachedIndex = index;
+        cachedIndexMtime = mtimeMs;
+        return index;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Rebuilding the history index: ${error.message}`);
+        }
+        const index = await rebuildIndex();
+        if (index.runs.length) {
+            await saveIndex(index);
+        }
+        return index;
+    }
+}
+
+/**
+ * Appends the results of a run to its segment and adds them to the index without saving it
+ * A header line before the results keeps the run details for rebuilding the index
+ * @param {Object} index - Index
+ * @param {Array} results - Results of the run
+ * @param {Object} details - Run details {time, scope, partial, file, stamp, source}
+ * @returns {Promise<Object>} - Stored run
+ */
+async function writeRun(index, results, { time, scope = 'full', partial = false, file = null, stamp = null, source = 'scan' }) {
+    const runTime = new Date(time || Date.now()).toISOString();
+    const segment = runTime.slice(0, 7);
+    const segmentPath = getSegmentPath(segment);
+    await fs.mkdir(getSegmentDir(), { recursive: true });
+    const offset = await fs.stat(segmentPath).then(stat => stat.size, () => 0);
+
+    const header = JSON.stringify({ runHeader: { time: runTime, scope, partial, source, file, stamp } }) + '\n';
+    let position = offset + Buffer.byteLength(header);
+    const records = [];
+    const lines = [header, ...results.map(result => {
+        const line = JSON.stringify({ run: runTime, ...result }) + '\n';
+        const length = Buffer.byteLength(line);
+        records.push({ ...result, offset: position, length });
+        position += length;
+        return line;
+    })];
+    await fs.appendFile(segmentPath, lines.join(''));
+
+    const run = { time: runTime, segment, offset, length: position - offset, count: results.length, scope, partial, source, file, stamp };
+    addToIndex(index, run, records);
+    return run;
+}
+
+/**
+ * Stores the results of a run
+ * @param {Array} results - Results of the run
+ * @param {Object} [details] - Run details
+ * @param {string} [details.time] - When the run finished, now by default
+ * @param {string} [details.scope] - 'full' or 'watchlist'
+ * @param {boolean} [details.partial] - Whether the run was cut short
+ * @param {string} [details.file] - Result file written for the run, so importing skips it
+ * @param {string} [details.stamp] - Timestamp of the report files written for the run, whatever their formats
+ * @returns {Promise<Object>} - Stored run
+ */
+async function appendRun(results, details = {}) {
+    const index = await loadIndex();
+    const run = await writeRun(index, results, details);
+    await saveIndex(index);
+    return run;
+}
+
+/**
+ * Reads results from a segment
+ * @param {string} segment - Segment name
+ * @param {Array} slices - Byte ranges [[offset, length]] holding whole lines
+ * @returns {Promise<Array>} - Stored results, each with the time of its run, and the headers of whole runs
+ */
+async function readRecords(segment, slices) {
+    const handle = await fs.open(getSegmentPath(segment), 'r');
+    const records = [];
+
+    try {
+        for (const [offset, length] of slices) {
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, offset);
+            records.push(...parseLines(buffer.toString('utf8')));
+        }
+    } finally {
+        await handle.close();
+    }
+
+    return records;
+}
+
+/**
+ * Parses a time range bound
+ * @param {string|Date|undefined} value - Bound, unbounded if empty
+ * @param {number} fallback - Value for an unbounded side
+ * @returns {number} - Milliseconds since the epoch
+ * @throws {Error} - If the bound is not a date
+ */
+function parseBound(value, fallback) {
+    if (!value) return fallback;
+    const time = new Date(value).getTime();
+    if (isNaN(time)) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return time;
+}
+
+/**
+ * Lists stored runs
+ * @param {Object} [range] - Time range {from, to}, inclusive
+ * @returns {Promise<Array>} - Runs, oldest first
+ */
+async function listRuns({ from, to } = {}) {
+    const index = await loadIndex();
+    const fromTime = parseBound(from, -Infinity);
+    const toTime = parseBound(to, Infinity);
+
+    return index.runs
+        .filter(run => {
+            const time = new Date(run.time).getTime();
+            return time >= fromTime && time <= toTime;
+        })
+        .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Loads the results of a stored run
+ * @param {Object} run - Run from listRuns
+ * @returns {Promise<Array>} - Results as they were saved
+ */
+async function loadRun(run) {
+    const records = await readRecords(run.segment, [[run.offset, run.length]]);
+    return records.filter(record => record.run).map(({ run: runTime, ...result }) => result);
+}
+
+/**
+ * Loads the results of the latest stored run
+ * @returns {Promise<Object|null>} - {run, results}, null if nothing is stored
+ */
+async function loadLatestRun() {
+    const runs = await listRuns();
+    if (!runs.length) return null;
+
+    const run = runs[runs.length - 1];
+    return { run, results: await loadRun(run) };
+}
+
+/**
+ * Loads the latest result of every server: those of the last full run refreshed by the watchlist runs after it
+ * @returns {Promise<Object|null>} - {run, results, runTimes}, run is the newest run and runTimes
+ * the time of the run each result is from by hostname; null if nothing is stored
+ */
+async function loadLatestResults() {
+    const runs = await listRuns();
+    if (!runs.length) return null;
+
+    let start = runs.length - 1;
+    while (start > 0 && runs[start].scope === 'watchlist') start--;
+
+    const latest = new Map();
+    const runTimes = new Map();
+    for (const run of runs.slice(start)) {
+        (await loadRun(run)).forEach(result => {
+            latest.set(result.hostname, result);
+            runTimes.set(result.hostname, run.time);
+        });
+    }
+
+    return { run: runs[runs.length - 1], results: [...latest.values()], runTimes };
+}
+
+/**
+ * Queries stored results by server, country and time range
+ * @param {Object} [query] - Query, every part optional
+ * @param {string} [query.hostname] - Server hostname
+ * @param {string} [query.country] - Country code or name
+ * @param {string|Date} [query.from] - Earliest run time, inclusive
+ * @param {string|Date} [query.to] - Latest run time, inclusive
+ * @returns {Promise<Array>} - Results with the time of their run, oldest first
+ * @throws {Error} - If a time bound is not a date
+ */
+async function queryHistory({ hostname, country, from, to } = {}) {
+    const index = await loadIndex();
+    const fromTime = parseBound(from, -Infinity);
+    const toTime = parseBound(to, Infinity);
+    const runTimes = index.runs.map(run => new Date(run.time).getTime());
+
+    let hostnames = hostname ? [hostname] : Object.keys(index.servers);
+    if (country) {
+        const wanted = country.toLowerCase();
+        hostnames = hostnames.filter(name => {
+            const server = index.servers[name];
+            return server && [server.country_code, server.country].some(value => value && value.toLowerCase() === wanted);
+        });
+    }
+
+    // Group the reads by segment so each file is opened once
+    const slicesBySegment = new Map();
+    hostnames.forEach(name => {
+        const server = index.servers[name];
+        if (!server) return;
+        server.entries.forEach(([runNumber, offset, length]) => {
+            if (runTimes[runNumber] < fromTime || runTimes[runNumber] > toTime) return;
+            const { segment } = index.runs[runNumber];
+            if (!slicesBySegment.has(segment)) slicesBySegment.set(segment, []);
+            slicesBySegment.get(segment).push([offset, length]);
+        });
+    });
+
+    const records = [];
+    for (const [segment, slices] of slicesBySegment) {
+        records.push(...await readRecords(segment, slices.sort((a, b) => a[0] - b[0])));
+    }
+
+    return records.sort((a, b) => a.run.localeCompare(b.run));
+}
+
+/**
+ * Lists the servers with stored results, including those whose runs were all removed
+ * @returns {Promise<Object>} - Latest known location by hostname {country, country_code, city}
+ */
+async function listServers() {
+    const index = await loadIndex();
+    const servers = {};
+    Object.entries(index.servers).forEach(([hostname, { country, country_code, city }]) => {
+        servers[hostname] = { country, country_code, city };
+    });
+    return servers;
+}
+
+/**
+ * Removes runs from the store, rewriting the segments that held them
+ * @param {Array} runs - Runs from listRuns
+ * @returns {Promise<number>} - Number of runs removed
+ */
+async function removeRuns(runs) {
+    const index = await loadIndex();
+    const key = run => `${run.segment}:${run.offset}`;
+    const removed = new Set(runs.map(key));
+    const kept = index.runs.map(run => !removed.has(key(run)));
+    const affected = new Set(index.runs.filter((run, number) => !kept[number]).map(run => run.segment));
+
+    // Copy the kept runs of each affected segment into a new file, remembering how far they moved
+    const shifts = new Map();
+    for (const segment of affected) {
+        const survivors = index.runs
+            .map((run, number) => ({ run, number }))
+            .filter(({ run, number }) => kept[number] && run.segment === segment)
+            .sort((a, b) => a.run.offset - b.run.offset);
+        const segmentPath = getSegmentPath(segment);
+
+        if (!survivors.length) {
+            await fs.rm(segmentPath, { force: true });
+            continue;
+        }
+
+        const handle = await fs.open(segmentPath, 'r');
+        const chunks = [];
+        let position = 0;
+        try {
+            for (const { run, number } of survivors) {
+                const buffer = Buffer.alloc(run.length);
+                await handle.read(buffer, 0, run.length, run.offset);
+                chunks.push(buffer);
+                shifts.set(number, position - run.offset);
+                position += run.length;
+            }
+        } finally {
+            await handle.close();
+        }
+        await fs.writeFile(`${segmentPath}.tmp`, Buffer.concat(chunks));
+        await fs.rename(`${segmentPath}.tmp`, segmentPath);
+    }
+
+    const compacted = createIndex();
+    const numbers = index.runs.map((run, number) => {
+        if (!kept[number]) return null;
+        return compacted.runs.push({ ...run, offset: run.offset + (shifts.get(number) || 0) }) - 1;
+    });
+    // Servers stay listed without runs, their location is still needed for rollup queries
+    Object.entries(index.servers).forEach(([hostname, server]) => {
+        compacted.servers[hostname] = {
+            ...server,
+            entries: server.entries
+                .filter(([number]) => kept[number])
+                .map(([number, offset, length]) => [numbers[number], offset + (shifts.get(number) || 0), length])
+        };
+    });
+
+    await saveIndex(compacted);
+    return index.runs.length - compacted.runs.length;
+}
+
+/**
+ * Converts the timestamp of a result file name to a run time
+ * @param {string} stamp - Timestamp, e.g. 2024-05-01T12-30-00
+ * @returns {string|null} - ISO time, null if the name has another format
+ */
+function timeFromStamp(stamp) {
+    const match = stamp.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})$/);
+    return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.000Z` : null;
+}
+
+/**
+ * Imports ping_results_*.json files from SAVE_PATH into the store
+ * Files already stored, by a scan or an earlier import, are skipped, known by their name or,
+ * for runs whose file name was lost, by their run time
+ * @returns {Promise<Object>} - {imported, skipped, runs}
+ */
+async function importResultFiles() {
+    const index = await loadIndex();
+    const stored = new Set(index.runs.map(run => run.file).filter(Boolean));
+    const storedTimes = new Set(index.runs.map(run => run.time));
+    const files = (await fs.readdir(SAVE_PATH))
+        .filter(file => /^ping_results_.+\.json$/.test(file) && file !== 'ping_results_latest.json' && !stored.has(file))
+        .sort();
+    let imported = 0;
+    let skipped = 0;
+
+    for (const file of files) {
+        const stamp = file.replace('ping_results_', '').replace('.json', '');
+        let results;
+        try {
+            results = JSON.parse(await fs.readFile(path.join(SAVE_PATH, file), 'utf8'));
+            if (!Array.isArray(results)) throw new Error('not a list of results');
+        } catch (error) {
+            console.warn(`Skipped ${file}: ${error.message}`);
+            skipped++;
+            continue;
+        }
+
+        const metadata = await fs.readFile(path.join(SAVE_PATH, `ping_metadata_${stamp}.json`), 'utf8')
+            .then(JSON.parse, () => ({}));
+        const time = metadata.finishedAt || timeFromStamp(stamp) || (await fs.stat(path.join(SAVE_PATH, file))).mtime;
+        if (storedTimes.has(new Date(time).toISOString())) continue;
+
+        await writeRun(index, results, {
+            time,
+            scope: metadata.scope || 'full',
+            partial: Boolean(metadata.partial),
+            file,
+            stamp,
+            source: 'import'
+        });
+        imported++;
+
+        if (imported % IMPORT_BATCH === 0) {
+            await saveIndex(index);
+        }
+    }
+
+    if (imported) {
+        await saveIndex(index);
+    }
+
+    return { imported, skipped, runs: index.runs.length };
+}
+
+module.exports = {
+    appendRun,
+    listRuns,
+    loadRun,
+    loadLatestRun,
+    loadLatestResults,
+    queryHistory,
+    listServers,
+    removeRuns,
+    importResultFiles,
+    parseBound
+};
@@ -0,0 +1,127 @@
+/**
+ * Hour Of Week Module
+ * Buckets measurements by local day of week and hour, and parses time-of-week queries
+ */
+
+// Days of the week from Monday, the index of each is its row in a grid
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const DAY_SETS = {
+    all: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [0, 1, 2, 3, 4],
+    weekends: [5, 6]
+};
+
+/**
+ * Gets the local day of week and hour of a time
+ * @param {string|Date} time - Time
+ * @returns {Object} - {day: 0 (Monday) to 6 (Sunday), hour: 0-23}
+ */
+function getHourOfWeek(time) {
+    const date = new Date(time);
+    return { day: (date.getDay() + 6) % 7, hour: date.getHours() };
+}
+
+/**
+ * Parses days such as 'weekdays', 'weekends', 'all' or 'mon,wed,fri'
+ * @param {string} text - Day set or comma-separated day names
+ * @returns {Array<number>} - Day indexes, Monday first
+ * @throws {Error} - If a day is unknown
+ */
+function parseDays(text) {
+    const value = text.trim().toLowerCase();
+    if (DAY_SETS[value]) return DAY_SETS[value];
+
+    const days = value.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+        const day = DAY_NAMES.findIndex(dayName => name.length >= 3 && dayName.toLowerCase() === name.slice(0, 3));
+        if (day === -1) {
+            throw new Error(`Unknown day '${name}', use weekdays, weekends, all or names such as mon,tue`);
+        }
+        return day;
+    });
+
+    return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Parses an hour such as 20, 20:00 or 8:30 (minutes fall in the hour's bucket)
+ * @param {string} text - Hour of day
+ * @returns {number|null} - Hour 0-23 or null if invalid
+ */
+function parseHour(text) {
+    const match = /^(\d{1,2})(?::([0-5]\d))?$/.exec(String(text).trim());
+    if (!match || Number(match[1]) > 23) return null;
+    return Number(match[1]);
+}
+
+/**
+ * Buckets history points into a grid of days and hours
+ * Rollup points count every run they cover, their ping is the average of those runs
+ * @param {Array} points - History points {timestamp, ping, runs, reachable, min}
+ * @returns {Array<Array<Object|null>>} - 7 rows of 24 cells {runs, reachable, avg, min}, null without data
+ */
+function bucketByHourOfWeek(points) {
+    const grid = DAY_NAMES.map(() => Array(24).fill(null));
+
+    points.forEach(point => {
+        const { day, hour } = getHourOfWeek(point.timestamp);
+        const cell = grid[day][hour] || (grid[day][hour] = { runs: 0, reachable: 0, total: 0, min: null });
+        cell.runs += point.runs;
+        if (point.reachable > 0) {
+            cell.reachable += point.reachable;
+            cell.total += point.ping * point.reachable;
+            cell.min = cell.min === null ? point.min : Math.min(cell.min, point.min);
+        }
+    });
+
+    return grid.map(row => row.map(cell => cell && {
+        runs: cell.runs,
+        reachable: cell.reachable,
+        avg: cell.reachable ? Math.round((cell.total / cell.reachable) * 100) / 100 : null,
+        min: cell.min
+    }));
+}
+
+/**
+ * Combines the cells of one hour on some days
+ * @param {Array<Array<Object|null>>} grid - Result of bucketByHourOfWeek
+ * @param {Array<number>} days - Day indexes
+ * @param {number} hour - Hour 0-23
+ * @returns {Object|null} - {runs, reachable, avg, min}, null without data
+ */
+function combineCells(grid, days, hour) {
+    const cells = days.map(day => grid[day][hour]).filter(Boolean);
+    if (!cells.length) return null;
+
+    const measured = cells.filter(cell => cell.reachable > 0);
+    const reachable = measured.reduce((sum, cell) => sum + cell.reachable, 0);
+
+    return {
+        runs: cells.reduce((sum, cell) => sum + cell.runs, 0),
+        reachable,
+        avg: reachable ? Math.round((measured.reduce((sum, cell) => sum + cell.avg * cell.reachable, 0) / reachable) * 100) / 100 : null,
+        min: measured.length ? Math.min(...measured.map(cell => cell.min)) : null
+    };
+}
+
+/**
+ * Describes days and an hour for the reports
+ * @param {Array<number>} days - Day indexes
+ * @param {number} hour - Hour 0-23
+ * @returns {string} - E.g. '20:00 on weekdays' or '08:00 on Sat, Sun'
+ */
+function describeTimeOfWeek(days, hour) {
+    const name = Object.keys(DAY_SETS).find(set => DAY_SETS[set].join() === days.join());
+    const dayText = name === 'all' ? 'any day' : name ? `on ${name}` : `on ${days.map(day => DAY_NAMES[day]).join(', ')}`;
+    return `${String(hour).padStart(2, '0')}:00 ${dayText}`;
+}
+
+module.exports = {
+    DAY_NAMES,
+    getHourOfWeek,
+    parseDays,
+    parseHour,
+    bucketByHourOfWeek,
+    combineCells,
+    describeTimeOfWeek
+};
@@ -3,85 +3,438 @@
  * Main application entry point
  */
 
-const { fetchServers } = require('./serverFetcher');
-const { pingAllServers } = require('./pingService');
-const { generateConsoleOutput, saveResults } = require('./outputGenerator');
-const { startWebServer } = require('./webServer');
-const { loadPreviousResults, compareWithPrevious } = require('./historyAnalyzer');
 const { parseCommandLineArgs } = require('./cli');
-const chalk = require('chalk');
-const { WEB_SERVER } = require('./config');
 
-// Parse command line arguments
+// Parse command line arguments before the modules below read the config
 parseCommandLineArgs();
 
+const { fetchServers, loadServersFromCache } = require('./serverFetcher');
+const { pingAllServers } = require('./pingService');
+const {
+    generateConsoleOutput,
+    generateMultihopOutput,
+    generateRecommendOutput,
+    generateBestRelayOutput,
+    describeStaleRelayList,
+    saveResults
+} = require('./outputGenerator');
+const { startWebServer } = require('./webServer');
+const {
+    loadPreviousResults,
+    loadBaseline,
+    compareWithPrevious,
+    analyzeServerHistory,
+    buildHeatmaps,
+    findBestRelays
+} = require('./historyAnalyzer');
+const { appendRun, importResultFiles, loadLatestResults } = require('./historyStore');
+const { applyRetention } = require('./historyRollups');
+const { acquireRunLock } = require('./runLock');
+const { createWatchSchedule, selectWatchlist, mergeWatchlistResults, runWatch } = require('./watchMode');
+const { parseLocation } = require('./geography');
+const { addGeoAnalysis } = require('./geoAnalysis');
+const { recommendMultihop } = require('./multihop');
+const { resolveSource, getSourceSpecs } = require('./sourceAddress');
+const { pingOverLinks } = require('./multiLink');
+const { getWeights, scoreServer, recommendByCountry } = require('./serverScore');
+const { parseDays } = require('./hourOfWeek');
+const chalk = require('chalk');
+const {
+    WEB_SERVER,
+    WATCH,
+    HISTORY,
+    SCORE,
+    RECOMMEND,
+    HEATMAP,
+    BEST_AT,
+    COUNTRY_FILTER,
+    SAVE_FORMATS,
+    CHECKPOINT,
+    USER_LOCATION,
+    MULTIHOP,
+    IP_VERSION,
+    SOURCE_INTERFACE,
+    SOURCE_ADDRESS,
+    COMPARE_INTERFACES
+} = require('./config');
+
 /**
- * Main application function
+ * Stops probing on the first SIGINT/SIGTERM and exits immediately on the second
+ * @param {AbortController} controller - Controller whose signal the probes follow
+ * @returns {Function} - Removes the signal handlers
  */
-async function main() {
-    console.log(chalk.cyan.bold('\n=== Mullvad Server Ping Tester ===\n'));
-    
-    try {
-        // Step 1: Fetch server list
-        console.log(chalk.yellow('Step 1/4: Getting server list...'));
-        const servers = await fetchServers();
-        
-        if (!servers.length) {
-            console.error(chalk.red('Failed to get server list. Exiting.'));
-            return;
+function handleInterrupts(controller) {
+    const onSignal = (signal) => {
+        if (controller.signal.aborted) {
+            console.error(chalk.red(`\n${signal} received again, exiting immediately.`));
+            process.exit(130);
         }
         
+        console.log(chalk.yellow(`\n${signal} received: stopping probes and saving partial results. Press Ctrl+C again to exit immediately.`));
+        controller.abort();
+    };
+    
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+    
+    return () => {
+        process.off('SIGINT', onSignal);
+        process.off('SIGTERM', onSignal);
+    };
+}
+
+/**
+ * Prints the relays whose latency breaks the speed-of-light bound
+ * @param {Array} results - Results with geo analysis
+ */
+function logGeoAnomalies(results) {
+    const misplaced = results.filter(r => r.geoAnomaly === 'misplaced');
+    const badRouting = results.filter(r => r.geoAnomaly === 'bad-routing');
+    const checked = results.filter(r => r.minRtt !== undefined).length;
+    
+    console.log(`Speed-of-light check of ${checked} relays: ${chalk.red(badRouting.length)} with bad routing, `
+        + `${chalk.red(misplaced.length)} faster than light allows`);
+    misplaced.slice(0, 10).forEach(r => {
+        console.log(chalk.red(`  ${r.hostname} (${r.city}): ${r.min.toFixed(2)} ms is below the ${r.minRtt} ms bound for ${r.distanceKm} km, relay is not where listed`));
+    });
+    badRouting.slice(0, 10).forEach(r => {
+        console.log(chalk.yellow(`  ${r.hostname} (${r.city}): ${r.min.toFixed(2)} ms vs ${r.minRtt} ms bound for ${r.distanceKm} km`));
+    });
+}
+
+/**
+ * Fetches the server list
+ * @param {Object} relayList - Receives where the list came from and how old it is
+ * @returns {Promise<Array>} - Array of server objects, empty if fetching failed
+ */
+async function loadServers(relayList) {
+    console.log(chalk.yellow('Step 1/4: Getting server list...'));
+    const servers = await fetchServers(relayList);
+    
+    if (servers.length) {
         console.log(chalk.green(`Successfully fetched ${servers.length} servers\n`));
-        
+    }
+    const staleNotice = describeStaleRelayList(relayList);
+    if (staleNotice) {
+        console.log(chalk.yellow(`${staleNotice}\n`));
+    }
+    
+    return servers;
+}
+
+/**
+ * Loads the hour-of-week heatmaps of the best cities of a run
+ * @param {Array} results - Sorted results of the run
+ * @returns {Promise<Array>} - City heatmaps, best city first
+ */
+async function loadCityHeatmaps(results) {
+    const cities = [...new Set(results.filter(r => r.ping < 9999).map(r => `${r.city}, ${r.country}`))]
+        .slice(0, HEATMAP.CITIES);
+    if (!cities.length) return [];
+    
+    const heatmaps = await buildHeatmaps({ by: 'city' });
+    return cities.map(city => heatmaps.find(heatmap => heatmap.key === city)).filter(Boolean);
+}
+
+/**
+ * Runs one scan: pings the servers, compares with the previous run and saves the results
+ * @param {Array} servers - Servers to ping
+ * @param {Object} options - Scan options
+ * @param {AbortSignal} options.signal - Signal that cancels the scan
+ * @param {string} [options.scope] - 'full' or 'watchlist'
+ * @param {Array} [options.latestResults] - Results a watchlist scan is merged into
+ * @param {Object} [options.relayList] - Where the server list came from, for the reports
+ * @returns {Promise<Object>} - {results, runMetadata}
+ * @throws {Error} - If another scan is writing to SAVE_PATH
+ */
+async function runScan(servers, { signal, scope = 'full', latestResults = [], relayList = {} }) {
+    const releaseLock = acquireRunLock();
+    
+    try {
         // Step 2: Ping all servers
         console.log(chalk.yellow(`Step 2/4: Pinging ${servers.length} servers...`));
-        const results = await pingAllServers(servers);
-        const sortedResults = results.sort((a, b) => a.ping - b.ping);
+        const runMetadata = { startedAt: new Date().toISOString() };
+        // Resolved on every scan, interface addresses change when links reconnect
+        const sources = getSourceSpecs({ SOURCE_INTERFACE, SOURCE_ADDRESS, COMPARE_INTERFACES })
+            .map(spec => resolveSource(spec, IP_VERSION));
+        const results = sources.length > 1
+            ? await pingOverLinks(servers, sources, runMetadata, signal)
+            : await pingAllServers(servers, runMetadata, signal, sources[0]);
+        runMetadata.finishedAt = new Date().toISOString();
+        runMetadata.scope = scope;
+        runMetadata.relayList = relayList;
+        
+        // Watchlist scans refresh their rows in the latest full results
+        let sortedResults = (scope === 'watchlist' ? mergeWatchlistResults(latestResults, results) : results)
+            .sort((a, b) => a.ping - b.ping);
+        
+        if (runMetadata.partial) {
+            console.log(chalk.yellow(`Partial run: ${runMetadata.completedCount} of ${runMetadata.serverCount} servers measured`));
+        }
         
         // Step 3: Compare with previous results if available
         console.log(chalk.yellow('\nStep 3/4: Analyzing results...'));
+        const location = USER_LOCATION ? parseLocation(USER_LOCATION) : null;
+        if (location) {
+            sortedResults = addGeoAnalysis(sortedResults, location);
+            logGeoAnomalies(sortedResults);
+        }
+        
+        if (MULTIHOP.EXIT_COUNTRY) {
+            // Exits may lie outside the country/city filters, so look them up in the full relay list
+            const relays = await loadServersFromCache().catch(() => servers);
+            runMetadata.multihop = await recommendMultihop(sortedResults, relays, { exitCountry: MULTIHOP.EXIT_COUNTRY });
+        }
+        
         const previousResults = await loadPreviousResults();
-        const comparison = compareWithPrevious(sortedResults, previousResults);
+        const comparison = compareWithPrevious(sortedResults, previousResults, await loadBaseline());
         
         if (comparison.hasPrevious) {
-            console.log(chalk.green('Comparison with previous results:'));
+            const confidence = (comparison.summary.minConfidence * 100).toFixed(0);
+            console.log(chalk.green(`Comparison with previous results (changes at ${confidence}% confidence or more):`));
             console.log(`  Total servers: ${comparison.summary.totalServers}`);
             console.log(`  Improved: ${chalk.green(comparison.summary.improvedCount)} servers (avg ${comparison.summary.avgImprovement} ms)`);
             console.log(`  Degraded: ${chalk.red(comparison.summary.degradedCount)} servers (avg ${comparison.summary.avgDegradation} ms)`);
             console.log(`  Unchanged: ${chalk.blue(comparison.summary.unchangedCount)} servers`);
             console.log(`  New: ${chalk.cyan(comparison.summary.newCount)} servers`);
             console.log(`  Removed: ${chalk.yellow(comparison.summary.removedCount)} servers`);
-            
+        
             if (comparison.highlights.mostImproved) {
                 const improved = comparison.highlights.mostImproved;
                 console.log(chalk.green(`\nMost improved server: ${improved.hostname} (${improved.country}, ${improved.city})`));
-                console.log(chalk.green(`  Improved by ${improved.improvement} ms (${improved.percentImprovement}%)`));
-                console.log(chalk.green(`  Current: ${improved.currentPing} ms, Previous: ${improved.previousPing} ms`));
+                console.log(chalk.green(`  Improved by ${improved.improvement} ms (${improved.percentImprovement}%) at ${improved.confidence}% confidence`));
+                console.log(chalk.green(`  Current: ${improved.currentPing} ms, Baseline: ${improved.baselinePing} ms, Previous: ${improved.previousPing} ms`));
             }
-            
+        
             if (comparison.highlights.mostDegraded) {
                 const degraded = comparison.highlights.mostDegraded;
                 console.log(chalk.red(`\nMost degraded server: ${degraded.hostname} (${degraded.country}, ${degraded.city})`));
-                console.log(chalk.red(`  Degraded by ${degraded.degradation} ms (${degraded.percentDegradation}%)`));
-                console.log(chalk.red(`  Current: ${degraded.currentPing} ms, Previous: ${degraded.previousPing} ms`));
+                console.log(chalk.red(`  Degraded by ${degraded.degradation} ms (${degraded.percentDegradation}%) at ${degraded.confidence}% confidence`));
+                console.log(chalk.red(`  Current: ${degraded.currentPing} ms, Baseline: ${degraded.baselinePing} ms, Previous: ${degraded.previousPing} ms`));
             }
+            
+            // Listed in the reports, the most degraded first
+            runMetadata.regressions = comparison.details.degraded.map(server => ({
+                hostname: server.hostname,
+                country: server.country,
+                city: server.city,
+                ping: server.ping,
+                baselinePing: server.baselinePing,
+                baselineRuns: server.baselineRuns,
+                pingDiff: server.pingDiff,
+                confidence: server.confidence
+            }));
         } else {
             console.log(chalk.yellow('No previous results available for comparison.'));
         }
         
+        // The report shows how the best cities usually do through the week
+        try {
+            runMetadata.heatmaps = await loadCityHeatmaps(sortedResults);
+        } catch (error) {
+            console.error(chalk.red(`Error loading heatmaps: ${error.message}`));
+        }
+        
         // Step 4: Generate output
         console.log(chalk.yellow('\nStep 4/4: Generating output...'));
         
         // Console output
-        console.log(generateConsoleOutput(sortedResults));
+        console.log(generateConsoleOutput(sortedResults, runMetadata));
+        if (runMetadata.multihop) {
+            console.log(generateMultihopOutput(runMetadata.multihop));
+        }
         
         // Save results to files
+        let timestamp = null;
         try {
-            await saveResults(sortedResults);
+            timestamp = await saveResults(sortedResults, runMetadata);
         } catch (error) {
             console.error(chalk.red(`Error saving results: ${error.message}`));
         }
         
+        // Keep the run in the history store, the result file is named so importing skips it
+        try {
+            // Watchlist runs store only the servers they probed, the rows kept from the last full scan are stored already
+            const probed = new Set(results.map(result => result.hostname));
+            await appendRun(sortedResults.filter(result => probed.has(result.hostname)), {
+                time: runMetadata.finishedAt,
+                scope,
+                partial: Boolean(runMetadata.partial),
+                file: timestamp && SAVE_FORMATS.includes('json') ? `ping_results_${timestamp}.json` : null,
+                stamp: timestamp
+            });
+            const { rolledUp, merged, deletedFiles } = await applyRetention();
+            if (rolledUp || merged) {
+                console.log(chalk.gray(`History retention: ${rolledUp} runs rolled up hourly, ${merged} hourly rollups merged daily, ${deletedFiles} report files deleted`));
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error saving history: ${error.message}`));
+        }
+        
+        return { results: sortedResults, runMetadata };
+    } finally {
+        releaseLock();
+    }
+}
+
+/**
+ * Rescans on a schedule until interrupted, keeping the web server on the latest results
+ * @param {AbortSignal} signal - Signal that stops watching
+ * @returns {Promise<void>}
+ */
+async function watch(signal) {
+    const watchlistInterval = WATCH.WATCHLIST ? WATCH.WATCHLIST_INTERVAL * 1000 : 0;
+    console.log(chalk.cyan(`Watch mode: full scan every ${WATCH.INTERVAL}s` +
+        (watchlistInterval ? `, watchlist every ${WATCH.WATCHLIST_INTERVAL}s` : '')));
+    
+    const webServer = WEB_SERVER.ENABLED ? await startWebServer() : null;
+    const schedule = createWatchSchedule({ interval: WATCH.INTERVAL * 1000, watchlistInterval });
+    let servers = [];
+    let relayList = {};
+    let latestResults = [];
+    
+    await runWatch(schedule, async (scope) => {
+        try {
+            if (scope === 'full') {
+                // Keep the previous list if the API is unreachable this time
+                const fetchedList = {};
+                const fetched = await loadServers(fetchedList);
+                if (fetched.length) {
+                    servers = fetched;
+                    relayList = fetchedList;
+                }
+            }
+        
+            const targets = scope === 'full' ? servers : selectWatchlist(servers, WATCH.WATCHLIST);
+            if (!targets.length) {
+                console.log(chalk.yellow(`No servers for the ${scope} scan, skipping.`));
+                return;
+            }
+        
+            const { results } = await runScan(targets, { signal, scope, latestResults, relayList });
+            latestResults = results;
+            // Only the first scan resumes an interrupted one
+            CHECKPOINT.RESUME = false;
+        } catch (error) {
+            console.error(chalk.red(`\n${scope} scan failed: ${error.message}`));
+        }
+    }, signal);
+    
+    if (webServer) {
+        webServer.close();
+    }
+}
+
+/**
+ * Imports the existing result files into the history store
+ * @returns {Promise<void>}
+ */
+async function importHistory() {
+    const releaseLock = acquireRunLock();
+    
+    try {
+        console.log(chalk.yellow('Importing result files into the history store...'));
+        const { imported, skipped, runs } = await importResultFiles();
+        console.log(chalk.green(`Imported ${imported} result files (${skipped} skipped), the history store now holds ${runs} runs`));
+    } finally {
+        releaseLock();
+    }
+}
+
+/**
+ * Scores the servers of the latest stored run and prints the best of each country
+ * @returns {Promise<void>}
+ */
+async function recommend() {
+    const latest = await loadLatestResults();
+    if (!latest) {
+        console.log(chalk.yellow('The history store holds no runs yet, run a scan first.'));
+        return;
+    }
+    
+    const countries = COUNTRY_FILTER ? COUNTRY_FILTER.split(',').map(c => c.trim().toLowerCase()) : null;
+    const results = latest.results.filter(result => !countries || countries.includes(String(result.country_code).toLowerCase()));
+    const weights = getWeights();
+    const from = new Date(Date.now() - SCORE.HISTORY_DAYS * 24 * 3600 * 1000).toISOString();
+    
+    console.log(chalk.yellow(`Scoring ${results.length} servers from the run of ${latest.run.time}...`));
+    const scored = [];
+    for (const result of results) {
+        // The latest result is scored as the current measurement, so the history stops just before its run
+        const to = new Date(new Date(latest.runTimes.get(result.hostname)).getTime() - 1).toISOString();
+        const analysis = await analyzeServerHistory(result.hostname, { from, to });
+        scored.push({ ...result, ...scoreServer(result, analysis, weights) });
+    }
+    
+    console.log(generateRecommendOutput(recommendByCountry(scored, RECOMMEND.PER_COUNTRY), latest.run));
+}
+
+/**
+ * Ranks relays by their usual ping at an hour of the day and prints the best
+ * @returns {Promise<void>}
+ */
+async function bestAt() {
+    const days = parseDays(BEST_AT.DAYS);
+    const countries = COUNTRY_FILTER ? COUNTRY_FILTER.split(',').map(c => c.trim().toLowerCase()) : null;
+    const relays = (await findBestRelays({ hour: BEST_AT.HOUR, days }))
+        .filter(relay => !countries || countries.includes(String(relay.country_code).toLowerCase()));
+    
+    console.log(generateBestRelayOutput(relays, { days, hour: BEST_AT.HOUR }));
+}
+
+/**
+ * Main application function
+ */
+async function main() {
+    console.log(chalk.cyan.bold('\n=== Mullvad Server Ping Tester ===\n'));
+    
+    const controller = new AbortController();
+    const removeInterruptHandlers = handleInterrupts(controller);
+    
+    try {
+        if (HISTORY.IMPORT) {
+            await importHistory();
+            removeInterruptHandlers();
+            return;
+        }
+        
+        if (RECOMMEND.ENABLED) {
+            await recommend();
+            removeInterruptHandlers();
+            return;
+        }
+        
+        if (BEST_AT.HOUR !== null) {
+            await bestAt();
+            removeInterruptHandlers();
+            return;
+        }
+        
+        if (WATCH.INTERVAL > 0) {
+            await watch(controller.signal);
+            removeInterruptHandlers();
+            console.log(chalk.green.bold('\nWatch mode stopped.'));
+            return;
+        }
+        
+        // Step 1: Fetch server list
+        const relayList = {};
+        const servers = await loadServers(relayList);
+        
+        if (!servers.length) {
+            console.error(chalk.red('Failed to get server list. Exiting.'));
+            return;
+        }
+        
+        const { runMetadata } = await runScan(servers, { signal: controller.signal, relayList });
+        
+        removeInterruptHandlers();
+        if (runMetadata.partial) {
+            // Interrupted runs still save their results but exit like a SIGINT
+            process.exitCode = 130;
+            return;
+        }
+        
         // Start web server if enabled
         if (WEB_SERVER.ENABLED) {
             console.log(chalk.cyan('\nStarting web server...'));
@@ -0,0 +1,88 @@
+/**
+ * Multi-Link Module
+ * Runs the same scan over several local links and merges their latency side by side
+ */
+
+const { pingAllServers } = require('./pingService');
+const { removeCheckpoint } = require('./checkpoint');
+
+/**
+ * Merges the results of scans over several links into one result per server
+ * The first link that measured a server stays primary so sorting and comparisons keep their meaning
+ * @param {Array} linkResults - Results per link [{label, results}] in scan order
+ * @returns {Array} - Results with the primary link plus linkPings, linkPacketLoss and bestLink
+ */
+function mergeLinkResults(linkResults) {
+    const links = linkResults.map(({ label, results }) => ({
+        label,
+        results: new Map(results.map(result => [result.hostname, result]))
+    }));
+    const hostnames = [...new Set(linkResults.flatMap(({ results }) => results.map(result => result.hostname)))];
+
+    return hostnames.map(hostname => {
+        const measured = links.filter(link => link.results.has(hostname));
+        const linkPings = {};
+        const linkPacketLoss = {};
+        let bestLink = null;
+
+        measured.forEach(({ label, results }) => {
+            const result = results.get(hostname);
+            linkPings[label] = result.ping;
+            linkPacketLoss[label] = result.packetLoss;
+            if (result.ping < 9999 && (bestLink === null || result.ping < linkPings[bestLink])) {
+                bestLink = label;
+            }
+        });
+
+        return {
+            ...measured[0].results.get(hostname),
+            link: measured[0].label,
+            linkPings,
+            linkPacketLoss,
+            bestLink
+        };
+    });
+}
+
+/**
+ * Scans the servers once over each link, one link after another
+ * Each link keeps its own checkpoint until every link is done, so --resume skips the links already scanned
+ * @param {Array} servers - Array of server objects
+ * @param {Array} sources - Resolved sources, one per link
+ * @param {Object} runMetadata - Run metadata, receives the first link's details and every link's summary
+ * @param {AbortSignal} [signal] - Signal that stops the scan; links not yet started are skipped
+ * @returns {Promise<Array>} - Merged results
+ */
+async function pingOverLinks(servers, sources, runMetadata, signal) {
+    const linkResults = [];
+    runMetadata.links = [];
+
+    for (const [index, source] of sources.entries()) {
+        if (signal && signal.aborted) break;
+
+        console.log(`Link ${index + 1}/${sources.length}: ${source.label}`);
+        const linkMetadata = {};
+        const results = await pingAllServers(servers, linkMetadata, signal, source, { keepCheckpoint: true });
+        linkResults.push({ label: source.label, results });
+
+        if (index === 0) {
+            Object.assign(runMetadata, linkMetadata);
+        }
+        runMetadata.links.push({
+            ...source,
+            completedCount: linkMetadata.completedCount,
+            reachableCount: results.filter(result => result.ping < 9999).length,
+            partial: linkMetadata.partial
+        });
+    }
+
+    // The run is partial if any link was cut short or never scanned
+    runMetadata.partial = runMetadata.links.length < sources.length || runMetadata.links.some(link => link.partial);
+    if (!runMetadata.partial) {
+        sources.forEach(source => removeCheckpoint(source));
+    }
+
+    return mergeLinkResults(linkResults);
+}
+
+module.exports = { pingOverLinks, mergeLinkResults };
@@ -0,0 +1,153 @@
+/**
+ * Multihop Module
+ * Recommends entry/exit relay pairs for multihop connections into an exit country
+ */
+
+const axios = require('axios');
+const { getCityCoordinates, greatCircleDistance } = require('./geography');
+const { minimumRtt } = require('./geoAnalysis');
+const { MULTIHOP } = require('./config');
+
+/**
+ * Checks whether a relay accepts multihop traffic as an entry
+ * @param {Object} server - Server object
+ * @returns {boolean} - True if the relay has a multihop port and is active
+ */
+function isEntryCandidate(server) {
+    return Boolean(server && server.multihop_port) && server.active !== false;
+}
+
+/**
+ * Estimates entry-to-exit RTTs from the distance between the relays' cities
+ * @param {Object} entry - Entry server
+ * @param {Array} exits - Exit servers
+ * @returns {Promise<Map<string, Object>>} - {rtt, source} by exit hostname, exits in unknown cities left out
+ */
+async function estimateFromDistance(entry, exits) {
+    const estimates = new Map();
+    const from = getCityCoordinates(entry.city_name);
+    if (!from) return estimates;
+
+    exits.forEach(exit => {
+        const to = getCityCoordinates(exit.city_name);
+        if (!to) return;
+
+        // Relay-to-relay routes rarely follow the great circle, so stretch the fiber bound
+        const rtt = minimumRtt(greatCircleDistance(from, to)) * MULTIHOP.ROUTE_STRETCH;
+        estimates.set(exit.hostname, { rtt, source: 'distance' });
+    });
+
+    return estimates;
+}
+
+/**
+ * Creates an estimator that asks a measurement agent for entry-to-exit RTTs
+ *
+ * The agent receives POST {from: entryHostname, to: [{hostname, ip}]} and answers with
+ * {rtts: {hostname: ms}}. Exits it leaves out fall back to the distance estimate, and an
+ * agent that fails once is not asked again during the analysis.
+ *
+ * @param {string} url - Agent endpoint
+ * @param {number} [timeout] - Request timeout in ms
+ * @returns {Function} - Estimator (entry, exits) => Promise<Map<string, Object>>
+ */
+function createAgentEstimator(url, timeout = 10000) {
+    let available = true;
+
+    return async (entry, exits) => {
+        const estimates = await estimateFromDistance(entry, exits);
+        if (!available) return estimates;
+
+        try {
+            const response = await axios.post(url, {
+                from: entry.hostname,
+                to: exits.map(exit => ({ hostname: exit.hostname, ip: exit.ipv4_addr_in }))
+            }, { timeout });
+
+            const rtts = (response.data && response.data.rtts) || {};
+            exits.forEach(exit => {
+                const rtt = rtts[exit.hostname];
+                if (typeof rtt === 'number' && rtt >= 0) {
+                    estimates.set(exit.hostname, { rtt, source: 'agent' });
+                }
+            });
+        } catch (error) {
+            available = false;
+            console.warn(`Multihop agent at ${url} failed (${error.message}), using distance estimates`);
+        }
+
+        return estimates;
+    };
+}
+
+/**
+ * Recommends the best entry/exit pairs for an exit country
+ *
+ * Entries are the fastest measured relays with a multihop port. Each entry is paired with the
+ * exit that has the lowest estimated entry-to-exit RTT, and pairs are ranked by the expected
+ * total: measured latency to the entry plus that estimate.
+ *
+ * @param {Array} results - Ping results of the scan
+ * @param {Array} servers - Relay list the entries and exits are looked up in
+ * @param {Object} options - Recommendation options
+ * @param {string} options.exitCountry - Country code of the exit relays
+ * @param {Function} [options.estimateHop] - Estimator (entry, exits) => Promise<Map<string, Object>>
+ * @param {number} [options.entryCandidates] - Fastest entries considered
+ * @param {number} [options.topPairs] - Pairs returned
+ * @returns {Promise<Object>} - {exitCountry, entriesConsidered, exitsConsidered, pairs}
+ */
+async function recommendMultihop(results, servers, {
+    exitCountry,
+    estimateHop = MULTIHOP.AGENT_URL ? createAgentEstimator(MULTIHOP.AGENT_URL) : estimateFromDistance,
+    entryCandidates = MULTIHOP.ENTRY_CANDIDATES,
+    topPairs = MULTIHOP.TOP_PAIRS
+}) {
+    const byHostname = new Map(servers.map(server => [server.hostname, server]));
+    const countryCode = exitCountry.toLowerCase();
+
+    const exits = [...byHostname.values()].filter(server =>
+        server.country_code.toLowerCase() === countryCode && server.active !== false
+    );
+    const entries = results
+        .filter(result => result.ping < 9999 && isEntryCandidate(byHostname.get(result.hostname)))
+        .sort((a, b) => a.ping - b.ping)
+        .slice(0, entryCandidates);
+
+    const pairs = [];
+    for (const result of entries) {
+        const entry = byHostname.get(result.hostname);
+        const candidates = exits.filter(exit => exit.hostname !== entry.hostname);
+        const estimates = await estimateHop(entry, candidates);
+
+        let best = null;
+        candidates.forEach(exit => {
+            const estimate = estimates.get(exit.hostname);
+            if (estimate && (!best || estimate.rtt < best.estimate.rtt)) {
+                best = { exit, estimate };
+            }
+        });
+        if (!best) continue;
+
+        pairs.push({
+            entry: entry.hostname,
+            entryCountry: entry.country_name,
+            entryCity: entry.city_name,
+            entryPing: result.ping,
+            multihopPort: entry.multihop_port,
+            exit: best.exit.hostname,
+            exitCity: best.exit.city_name,
+            hopRtt: Number(best.estimate.rtt.toFixed(2)),
+            hopSource: best.estimate.source,
+            totalRtt: Number((result.ping + best.estimate.rtt).toFixed(2))
+        });
+    }
+
+    return {
+        exitCountry: exitCountry.toUpperCase(),
+        entriesConsidered: entries.length,
+        exitsConsidered: exits.length,
+        pairs: pairs.sort((a, b) => a.totalRtt - b.totalRtt).slice(0, topPairs)
+    };
+}
+
+module.exports = { recommendMultihop, estimateFromDistance, createAgentEstimator, isEntryCandidate };
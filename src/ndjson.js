@@ -0,0 +1,29 @@
+/**
+ * NDJSON Module
+ * Parses newline-delimited JSON files that are only appended to, so a crash can cut their last line short
+ */
+
+/**
+ * Parses one line
+ * @param {string} line - Line without its newline
+ * @returns {*} - Parsed value, null for a blank line or one cut short by a crash
+ */
+function parseLine(line) {
+    if (!line.trim()) return null;
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parses the lines of a text
+ * @param {string} text - NDJSON text
+ * @returns {Array} - Parsed values in order, without blank and cut short lines
+ */
+function parseLines(text) {
+    return text.split('\n').map(parseLine).filter(value => value !== null);
+}
+
+module.exports = { parseLine, parseLines };
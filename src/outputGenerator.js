@@ -15,168 +15,13 @@ const {
     TOP_SERVERS_COUNT,
     PING_THRESHOLDS
 } = require('./config');
+const { getCoordinatesForCity } = require('./geography');
+const { describeRelayChange, listRelayChanges, summarizeRelayChanges } = require('./relayChanges');
+const { explainScore } = require('./serverScore');
+const { DAY_NAMES, describeTimeOfWeek } = require('./hourOfWeek');
 
-/**
- * Gets coordinates for a city
- * @param {string} city - City name
- * @param {string} country - Country name
- * @returns {Object} - Coordinates {lat, lng}
- */
-function getCoordinatesForCity(city, country) {
-    // Map of city coordinates
-    const cityCoordinates = {
-        // North America
-        'New York': { lat: 40.7128, lng: -74.0060 },
-        'Los Angeles': { lat: 34.0522, lng: -118.2437 },
-        'Chicago': { lat: 41.8781, lng: -87.6298 },
-        'Toronto': { lat: 43.6532, lng: -79.3832 },
-        'Montreal': { lat: 45.5017, lng: -73.5673 },
-        'Vancouver': { lat: 49.2827, lng: -123.1207 },
-        'Miami': { lat: 25.7617, lng: -80.1918 },
-        'Seattle': { lat: 47.6062, lng: -122.3321 },
-        'Dallas': { lat: 32.7767, lng: -96.7970 },
-        'Atlanta': { lat: 33.7490, lng: -84.3880 },
-        'Denver': { lat: 39.7392, lng: -104.9903 },
-        'Phoenix': { lat: 33.4484, lng: -112.0740 },
-        
-        // Europe
-        'London': { lat: 51.5074, lng: -0.1278 },
-        'Paris': { lat: 48.8566, lng: 2.3522 },
-        'Berlin': { lat: 52.5200, lng: 13.4050 },
-        'Madrid': { lat: 40.4168, lng: -3.7038 },
-        'Rome': { lat: 41.9028, lng: 12.4964 },
-        'Amsterdam': { lat: 52.3676, lng: 4.9041 },
-        'Brussels': { lat: 50.8503, lng: 4.3517 },
-        'Vienna': { lat: 48.2082, lng: 16.3738 },
-        'Stockholm': { lat: 59.3293, lng: 18.0686 },
-        'Oslo': { lat: 59.9139, lng: 10.7522 },
-        'Copenhagen': { lat: 55.6761, lng: 12.5683 },
-        'Helsinki': { lat: 60.1699, lng: 24.9384 },
-        'Warsaw': { lat: 52.2297, lng: 21.0122 },
-        'Prague': { lat: 50.0755, lng: 14.4378 },
-        'Budapest': { lat: 47.4979, lng: 19.0402 },
-        'Zurich': { lat: 47.3769, lng: 8.5417 },
-        'Geneva': { lat: 46.2044, lng: 6.1432 },
-        'Milan': { lat: 45.4642, lng: 9.1900 },
-        'Barcelona': { lat: 41.3851, lng: 2.1734 },
-        'Dublin': { lat: 53.3498, lng: -6.2603 },
-        'Lisbon': { lat: 38.7223, lng: -9.1393 },
-        'Athens': { lat: 37.9838, lng: 23.7275 },
-        'Frankfurt': { lat: 50.1109, lng: 8.6821 },
-        'Munich': { lat: 48.1351, lng: 11.5820 },
-        'Hamburg': { lat: 53.5511, lng: 9.9937 },
-        'Dusseldorf': { lat: 51.2277, lng: 6.7735 },
-        'Tallinn': { lat: 59.4370, lng: 24.7536 },
-        'Riga': { lat: 56.9496, lng: 24.1052 },
-        'Vilnius': { lat: 54.6872, lng: 25.2797 },
-        'Bucharest': { lat: 44.4268, lng: 26.1025 },
-        'Sofia': { lat: 42.6977, lng: 23.3219 },
-        'Belgrade': { lat: 44.7866, lng: 20.4489 },
-        'Zagreb': { lat: 45.8150, lng: 15.9819 },
-        'Bratislava': { lat: 48.1486, lng: 17.1077 },
-        'Ljubljana': { lat: 46.0569, lng: 14.5058 },
-        
-        // Asia
-        'Tokyo': { lat: 35.6762, lng: 139.6503 },
-        'Singapore': { lat: 1.3521, lng: 103.8198 },
-        'Hong Kong': { lat: 22.3193, lng: 114.1694 },
-        'Seoul': { lat: 37.5665, lng: 126.9780 },
-        'Taipei': { lat: 25.0330, lng: 121.5654 },
-        'Bangkok': { lat: 13.7563, lng: 100.5018 },
-        'Kuala Lumpur': { lat: 3.1390, lng: 101.6869 },
-        'Jakarta': { lat: 6.2088, lng: 106.8456 },
-        'Manila': { lat: 14.5995, lng: 120.9842 },
-        'Mumbai': { lat: 19.0760, lng: 72.8777 },
-        'Delhi': { lat: 28.6139, lng: 77.2090 },
-        'Dubai': { lat: 25.2048, lng: 55.2708 },
-        
-        // Australia & Oceania
-        'Sydney': { lat: -33.8688, lng: 151.2093 },
-        'Melbourne': { lat: -37.8136, lng: 144.9631 },
-        'Brisbane': { lat: -27.4698, lng: 153.0251 },
-        'Perth': { lat: -31.9505, lng: 115.8605 },
-        'Auckland': { lat: -36.8509, lng: 174.7645 },
-        
-        // South America
-        'Sao Paulo': { lat: -23.5505, lng: -46.6333 },
-        'Rio de Janeiro': { lat: -22.9068, lng: -43.1729 },
-        'Buenos Aires': { lat: -34.6037, lng: -58.3816 },
-        'Santiago': { lat: -33.4489, lng: -70.6693 },
-        'Bogota': { lat: 4.7110, lng: -74.0721 },
-        'Lima': { lat: -12.0464, lng: -77.0428 },
-        
-        // Africa
-        'Johannesburg': { lat: -26.2041, lng: 28.0473 },
-        'Cape Town': { lat: -33.9249, lng: 18.4241 },
-        'Cairo': { lat: 30.0444, lng: 31.2357 },
-        'Nairobi': { lat: -1.2921, lng: 36.8219 },
-        'Casablanca': { lat: 33.5731, lng: -7.5898 }
-    };
-    
-    // Check if we have coordinates for this city
-    if (cityCoordinates[city]) {
-        return cityCoordinates[city];
-    }
-    
-    // If city not found, use country coordinates
-    const countryCoordinates = {
-        'United States': { lat: 37.0902, lng: -95.7129 },
-        'Canada': { lat: 56.1304, lng: -106.3468 },
-        'United Kingdom': { lat: 55.3781, lng: -3.4360 },
-        'Germany': { lat: 51.1657, lng: 10.4515 },
-        'France': { lat: 46.2276, lng: 2.2137 },
-        'Italy': { lat: 41.8719, lng: 12.5674 },
-        'Spain': { lat: 40.4637, lng: -3.7492 },
-        'Netherlands': { lat: 52.1326, lng: 5.2913 },
-        'Sweden': { lat: 60.1282, lng: 18.6435 },
-        'Norway': { lat: 60.4720, lng: 8.4689 },
-        'Finland': { lat: 61.9241, lng: 25.7482 },
-        'Denmark': { lat: 56.2639, lng: 9.5018 },
-        'Poland': { lat: 51.9194, lng: 19.1451 },
-        'Switzerland': { lat: 46.8182, lng: 8.2275 },
-        'Austria': { lat: 47.5162, lng: 14.5501 },
-        'Belgium': { lat: 50.5039, lng: 4.4699 },
-        'Ireland': { lat: 53.1424, lng: -7.6921 },
-        'Portugal': { lat: 39.3999, lng: -8.2245 },
-        'Greece': { lat: 39.0742, lng: 21.8243 },
-        'Czech Republic': { lat: 49.8175, lng: 15.4730 },
-        'Hungary': { lat: 47.1625, lng: 19.5033 },
-        'Romania': { lat: 45.9432, lng: 24.9668 },
-        'Bulgaria': { lat: 42.7339, lng: 25.4858 },
-        'Serbia': { lat: 44.0165, lng: 21.0059 },
-        'Croatia': { lat: 45.1000, lng: 15.2000 },
-        'Slovakia': { lat: 48.6690, lng: 19.6990 },
-        'Slovenia': { lat: 46.1512, lng: 14.9955 },
-        'Estonia': { lat: 58.5953, lng: 25.0136 },
-        'Latvia': { lat: 56.8796, lng: 24.6032 },
-        'Lithuania': { lat: 55.1694, lng: 23.8813 },
-        'Japan': { lat: 36.2048, lng: 138.2529 },
-        'Singapore': { lat: 1.3521, lng: 103.8198 },
-        'Australia': { lat: -25.2744, lng: 133.7751 },
-        'New Zealand': { lat: -40.9006, lng: 174.8860 },
-        'Brazil': { lat: -14.2350, lng: -51.9253 },
-        'Argentina': { lat: -38.4161, lng: -63.6167 },
-        'Chile': { lat: -35.6751, lng: -71.5430 },
-        'Colombia': { lat: 4.5709, lng: -74.2973 },
-        'Peru': { lat: -9.1900, lng: -75.0152 },
-        'South Africa': { lat: -30.5595, lng: 22.9375 },
-        'Egypt': { lat: 26.8206, lng: 30.8025 },
-        'Kenya': { lat: -0.0236, lng: 37.9062 },
-        'Morocco': { lat: 31.7917, lng: -7.0926 }
-    };
-    
-    if (countryCoordinates[country]) {
-        // Add a small random offset to avoid all servers in a country being at the exact same spot
-        const offset = 0.5; // ~50km offset
-        return {
-            lat: countryCoordinates[country].lat + (Math.random() * offset * 2 - offset),
-            lng: countryCoordinates[country].lng + (Math.random() * offset * 2 - offset)
-        };
-    }
-    
-    // Default coordinates (center of the map)
-    return { lat: 0, lng: 0 };
-}
+// Relay list changes listed in the console report before the rest are summarized
+const MAX_CONSOLE_CHANGES = 10;
 
 /**
  * Gets color for ping time based on thresholds
@@ -190,15 +35,139 @@ function getPingColor(time) {
     return chalk.red(time.toFixed(2));
 }
 
+/**
+ * Checks whether results carry the relay type
+ * @param {Array} results - Array of ping results
+ * @returns {boolean} - True if any result has a relay type
+ */
+function hasRelayTypes(results) {
+    return results.some(r => r.type);
+}
+
+/**
+ * Checks whether results carry WireGuard handshake measurements
+ * @param {Array} results - Array of ping results
+ * @returns {boolean} - True if any result has a handshake time
+ */
+function hasHandshakeResults(results) {
+    return results.some(r => r.wgPing !== undefined);
+}
+
+/**
+ * Checks whether results carry separate IPv4/IPv6 measurements
+ * @param {Array} results - Array of ping results
+ * @returns {boolean} - True if any result has an IPv6 time
+ */
+function hasDualStackResults(results) {
+    return results.some(r => r.v6Ping !== undefined);
+}
+
+/**
+ * Checks whether results carry city estimates from a sampling scan
+ * @param {Array} results - Array of ping results
+ * @returns {boolean} - True if any result has a city estimate
+ */
+function hasCityEstimates(results) {
+    return results.some(r => r.cityEstimate !== undefined);
+}
+
+/**
+ * Checks whether results carry the speed-of-light check
+ * @param {Array} results - Array of ping results
+ * @returns {boolean} - True if any result has a latency bound
+ */
+function hasGeoAnalysis(results) {
+    return results.some(r => r.minRtt !== undefined);
+}
+
+/**
+ * Gets the labels of the links results were measured over
+ * @param {Array} results - Array of ping results
+ * @returns {Array<string>} - Link labels in scan order, empty for single-link runs
+ */
+function getLinkLabels(results) {
+    return [...new Set(results.flatMap(r => Object.keys(r.linkPings || {})))];
+}
+
+/**
+ * Describes a geo anomaly flag
+ * @param {string|null} anomaly - 'misplaced', 'bad-routing' or null
+ * @returns {string} - Human-readable flag
+ */
+function formatGeoAnomaly(anomaly) {
+    if (anomaly === 'misplaced') return 'faster than light: not where listed';
+    if (anomaly === 'bad-routing') return 'bad routing';
+    return '';
+}
+
+/**
+ * Formats a latency value for HTML and CSV output
+ * @param {number} time - Latency in ms
+ * @returns {string} - Formatted latency
+ */
+function formatLatency(time) {
+    if (time === undefined) return 'N/A';
+    return time === 9999 ? 'Unreachable' : time.toFixed(2);
+}
+
+/**
+ * Formats a duration in seconds as a rough age
+ * @param {number} seconds - Age in seconds
+ * @returns {string} - Age, e.g. '3 h 12 min'
+ */
+function formatAge(seconds) {
+    if (seconds < 60) return `${seconds} s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} min`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ${Math.floor((seconds % 3600) / 60)} min`;
+    return `${Math.floor(seconds / 86400)} d ${Math.floor((seconds % 86400) / 3600)} h`;
+}
+
+/**
+ * Describes a stale relay list for the reports
+ * @param {Object} [relayList] - Relay list metadata from fetchServers
+ * @returns {string|null} - Notice, null if the list is current
+ */
+function describeStaleRelayList(relayList) {
+    if (!relayList || !relayList.stale) return null;
+    return `Stale relay list: the cached ${relayList.type} list from ${relayList.fetchedAt} `
+        + `(${formatAge(relayList.ageSeconds)} old) was used, relays added or removed since are not reflected`;
+}
+
+/**
+ * Describes a regression against the baseline for the reports
+ * @param {Object} regression - Degraded server from the run metadata
+ * @returns {string} - E.g. 'se-sto-wg-001 (Sweden, Stockholm): 48.20 ms, baseline 21.05 ms over 10 runs (+27.15 ms, 99.9% confidence)'
+ */
+function describeRegression(regression) {
+    return `${regression.hostname} (${regression.country}, ${regression.city}): ${regression.ping.toFixed(2)} ms, `
+        + `baseline ${regression.baselinePing.toFixed(2)} ms over ${regression.baselineRuns} runs `
+        + `(+${regression.pingDiff.toFixed(2)} ms, ${(regression.confidence * 100).toFixed(1)}% confidence)`;
+}
+
 /**
  * Generates console output table with top servers
  * @param {Array} results - Array of ping results
+ * @param {Object} [metadata] - Run metadata, for the stale relay list notice, relay list changes and regressions
  * @returns {string} - Formatted table string
  */
-function generateConsoleOutput(results) {
+function generateConsoleOutput(results, metadata = {}) {
+    const showType = hasRelayTypes(results);
+    const showHandshake = hasHandshakeResults(results);
+    const showDualStack = hasDualStackResults(results);
+    const showCityEstimate = hasCityEstimates(results);
+    const showGeo = hasGeoAnalysis(results);
+    const linkLabels = getLinkLabels(results);
+    const head = ['Host', 'Country', 'City', 'IP', 'Ping (ms)', 'Loss %'];
+    if (showType) head.push('Type');
+    if (showHandshake) head.push('WG (ms)');
+    if (showDualStack) head.push('IPv6 (ms)');
+    if (showCityEstimate) head.push('City est. (ms)');
+    if (showGeo) head.push('Geo');
+    linkLabels.forEach(label => head.push(`${label} (ms)`));
+
     // Create table with styling
     const table = new Table({
-        head: ['Host', 'Country', 'City', 'IP', 'Ping (ms)', 'Loss %'].map(h => chalk.cyan(h)),
+        head: head.map(h => chalk.cyan(h)),
         ...TABLE_STYLE
     });
 
@@ -210,14 +179,36 @@ function generateConsoleOutput(results) {
     
     // Add top servers to table
     results.slice(0, TOP_SERVERS_COUNT).forEach(result => {
-        table.push([
+        const row = [
             chalk.white(result.hostname),
             chalk.white(result.country),
             chalk.white(result.city),
             chalk.white(result.ip),
             getPingColor(result.ping),
             result.packetLoss ? chalk.yellow(result.packetLoss + '%') : chalk.green('0%')
-        ]);
+        ];
+        if (showType) {
+            row.push(chalk.white(result.type || 'N/A'));
+        }
+        if (showHandshake) {
+            row.push(result.wgPing !== undefined ? getPingColor(result.wgPing) : chalk.gray('N/A'));
+        }
+        if (showDualStack) {
+            const v6 = result.v6Ping !== undefined ? getPingColor(result.v6Ping) : chalk.gray('N/A');
+            row.push(result.v6Degraded ? v6 + chalk.red(' ⚠') : v6);
+        }
+        if (showCityEstimate) {
+            row.push(result.cityEstimate !== undefined ? getPingColor(result.cityEstimate) : chalk.gray('N/A'));
+        }
+        if (showGeo) {
+            if (result.minRtt === undefined) row.push(chalk.gray('N/A'));
+            else row.push(result.geoAnomaly ? chalk.red('⚠ ' + formatGeoAnomaly(result.geoAnomaly)) : chalk.green('ok'));
+        }
+        linkLabels.forEach(label => {
+            const time = getPingColor(result.linkPings[label] !== undefined ? result.linkPings[label] : 9999);
+            row.push(label === result.bestLink && linkLabels.length > 1 ? chalk.bold(time + ' ★') : time);
+        });
+        table.push(row);
     });
 
     // Build output with statistics
@@ -227,6 +218,33 @@ function generateConsoleOutput(results) {
     output += chalk.white(`Reachable: ${chalk.green.bold(reachable.length)}\n`);
     output += chalk.white(`Unreachable: ${chalk.red.bold(results.length - reachable.length)}\n`);
     output += chalk.white(`Average Ping: ${chalk.bold(avgPing)} ms\n\n`);
+    const staleNotice = describeStaleRelayList(metadata.relayList);
+    if (staleNotice) {
+        output += chalk.yellow(`⚠ ${staleNotice}\n\n`);
+    }
+    const changes = metadata.relayList && metadata.relayList.changes;
+    if (changes) {
+        output += chalk.white(`Relay list changes since ${changes.since}: ${summarizeRelayChanges(changes)}\n`);
+        changes.pinned.forEach(change => {
+            output += chalk.red(`⚠ Pinned relay ${describeRelayChange(change)}\n`);
+        });
+        const lines = listRelayChanges(changes);
+        lines.slice(0, MAX_CONSOLE_CHANGES).forEach(line => {
+            output += chalk.gray(`  ${line}\n`);
+        });
+        if (lines.length > MAX_CONSOLE_CHANGES) {
+            output += chalk.gray(`  ...and ${lines.length - MAX_CONSOLE_CHANGES} more\n`);
+        }
+        output += '\n';
+    }
+    const regressions = metadata.regressions || [];
+    if (regressions.length) {
+        output += chalk.red.bold(`Regressions against the baseline: ${regressions.length}\n`);
+        regressions.forEach(regression => {
+            output += chalk.red(`  ${describeRegression(regression)}\n`);
+        });
+        output += '\n';
+    }
     output += chalk.yellow.bold(`Top ${TOP_SERVERS_COUNT} Servers by Ping:\n\n`);
     output += table.toString();
     output += '\n\n';
@@ -234,12 +252,175 @@ function generateConsoleOutput(results) {
     return output;
 }
 
+/**
+ * Generates console output for multihop entry/exit recommendations
+ * @param {Object} recommendation - Result of recommendMultihop
+ * @returns {string} - Formatted table string
+ */
+function generateMultihopOutput(recommendation) {
+    const { exitCountry, entriesConsidered, exitsConsidered, pairs } = recommendation;
+    let output = chalk.cyan.bold(`=== Multihop via ${exitCountry} ===\n\n`);
+
+    if (!pairs.length) {
+        output += chalk.yellow(`No pairs found: ${entriesConsidered} reachable entries with a multihop port, `
+            + `${exitsConsidered} exits in ${exitCountry} with known locations.\n`);
+        return output;
+    }
+
+    const table = new Table({
+        head: ['Entry', 'Entry City', 'Entry (ms)', 'Exit', 'Exit City', 'Hop est. (ms)', 'Total (ms)', 'Source']
+            .map(h => chalk.cyan(h)),
+        ...TABLE_STYLE
+    });
+
+    pairs.forEach(pair => {
+        table.push([
+            chalk.white(pair.entry),
+            chalk.white(pair.entryCity),
+            getPingColor(pair.entryPing),
+            chalk.white(pair.exit),
+            chalk.white(pair.exitCity),
+            chalk.white(pair.hopRtt.toFixed(2)),
+            getPingColor(pair.totalRtt),
+            pair.hopSource === 'agent' ? chalk.green('agent') : chalk.gray('distance')
+        ]);
+    });
+
+    output += table.toString();
+    output += '\n\n';
+
+    return output;
+}
+
+/**
+ * Generates console output for the recommend command
+ * @param {Array} recommendations - Result of recommendByCountry, servers carry their scores
+ * @param {Object} run - Stored run the current measurements come from
+ * @returns {string} - Formatted list
+ */
+function generateRecommendOutput(recommendations, run) {
+    let output = chalk.cyan.bold(`\n=== Recommended Servers (run of ${run.time}) ===\n\n`);
+
+    if (!recommendations.length) {
+        output += chalk.yellow('No servers to recommend.\n');
+        return output;
+    }
+
+    recommendations.forEach(({ country, servers }) => {
+        output += chalk.yellow.bold(`${country}\n`);
+        servers.forEach((server, i) => {
+            const score = server.score.toFixed(1);
+            const color = server.score >= 70 ? chalk.green : server.score >= 40 ? chalk.yellow : chalk.red;
+            output += chalk.white(`  ${i + 1}. ${server.hostname} (${server.city})  score `) + color.bold(score) + '\n';
+            explainScore(server).forEach(line => {
+                output += chalk.gray(`       ${line}\n`);
+            });
+        });
+        output += '\n';
+    });
+
+    return output;
+}
+
+/**
+ * Generates console output for the best-at command
+ * @param {Array} relays - Result of findBestRelays
+ * @param {Object} query - {days, hour} the relays were ranked for
+ * @returns {string} - Formatted table string
+ */
+function generateBestRelayOutput(relays, { days, hour }) {
+    let output = chalk.cyan.bold(`\n=== Usually Best Servers at ${describeTimeOfWeek(days, hour)} ===\n\n`);
+
+    if (!relays.length) {
+        output += chalk.yellow('No runs stored at that time yet.\n');
+        return output;
+    }
+
+    const table = new Table({
+        head: ['#', 'Host', 'Country', 'City', 'Avg (ms)', 'Min (ms)', 'Reachable', 'Runs'].map(h => chalk.cyan(h)),
+        ...TABLE_STYLE
+    });
+
+    relays.slice(0, TOP_SERVERS_COUNT).forEach((relay, i) => {
+        table.push([
+            chalk.white(i + 1),
+            chalk.white(relay.hostname),
+            chalk.white(relay.country),
+            chalk.white(relay.city),
+            getPingColor(relay.avg),
+            chalk.white(relay.min.toFixed(2)),
+            relay.reliability < 100 ? chalk.yellow(`${relay.reliability}%`) : chalk.green('100%'),
+            chalk.white(relay.runs)
+        ]);
+    });
+
+    output += table.toString();
+    output += '\n\n';
+
+    return output;
+}
+
+/**
+ * Generates hour-of-week heatmap tables, one row per day and one column per hour
+ * @param {Array} heatmaps - Result of buildHeatmaps
+ * @returns {string} - HTML fragment
+ */
+function generateHeatmapHTML(heatmaps) {
+    const cellClass = cell => {
+        if (!cell) return 'heat-empty';
+        if (cell.avg === null) return 'heat-down';
+        if (cell.avg < PING_THRESHOLDS.GOOD) return 'heat-good';
+        return cell.avg < PING_THRESHOLDS.MEDIUM ? 'heat-medium' : 'heat-bad';
+    };
+    const cellTitle = cell => (cell
+        ? `${cell.avg === null ? 'unreachable' : `${cell.avg} ms avg, ${cell.min} ms min`}, ${cell.reachable}/${cell.runs} runs reachable`
+        : 'no runs');
+
+    return heatmaps.map(heatmap => `
+            <h3>${heatmap.key} <small>(${heatmap.runs} runs)</small></h3>
+            <table class="heatmap">
+                <tr><th></th>${Array.from({ length: 24 }, (_, hour) => `<th>${hour}</th>`).join('')}</tr>
+                ${heatmap.grid.map((row, day) => `<tr><th>${DAY_NAMES[day]}</th>${row.map(cell =>
+                    `<td class="${cellClass(cell)}" title="${cellTitle(cell)}">${cell && cell.avg !== null ? Math.round(cell.avg) : ''}</td>`).join('')}</tr>`).join('')}
+            </table>`).join('');
+}
+
+/**
+ * Generates a standalone page of hour-of-week heatmaps for the web server
+ * @param {Array} heatmaps - Result of buildHeatmaps
+ * @param {string} title - Page title
+ * @returns {string} - HTML content
+ */
+function generateHeatmapPage(heatmaps, title) {
+    return `<!DOCTYPE html>
+<html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <title>${title}</title>
+        <style>${HTML_STYLES}</style>
+    </head>
+    <body>
+        <div class="container">
+            <h1>${title}</h1>
+            <p>Average ping by local day of week and hour.</p>
+            ${heatmaps.length ? generateHeatmapHTML(heatmaps) : '<p>No runs stored yet.</p>'}
+        </div>
+    </body>
+</html>`;
+}
+
 /**
  * Generates HTML report with interactive features
  * @param {Array} results - Array of ping results
+ * @param {Object} [metadata] - Run metadata, for the stale relay list notice, relay list changes, regressions
+ *                              and hour-of-week heatmaps
  * @returns {string} - HTML content
  */
-function generateHTML(results) {
+function generateHTML(results, metadata = {}) {
+    const staleNotice = describeStaleRelayList(metadata.relayList);
+    const changes = metadata.relayList && metadata.relayList.changes;
+    const regressions = metadata.regressions || [];
+    const heatmaps = metadata.heatmaps || [];
     // Calculate statistics for the report
     const timestamp = new Date().toISOString();
     const reachable = results.filter(r => r.ping < 9999);
@@ -273,6 +454,46 @@ function generateHTML(results) {
         results.filter(r => r.ping === 9999).length
     ];
     
+    // Optional columns, shown only when the results carry their data
+    const optionalColumns = [
+        hasRelayTypes(results) && {
+            title: 'Type',
+            numeric: false,
+            cell: r => `<td>${r.type || 'N/A'}</td>`
+        },
+        hasHandshakeResults(results) && {
+            title: 'WG Handshake (ms)',
+            cell: r => `<td>${formatLatency(r.wgPing)}</td>`
+        },
+        hasDualStackResults(results) && {
+            title: 'IPv6 (ms)',
+            cell: r => `<td class="${r.v6Degraded ? 'ipv6-degraded' : ''}" title="${r.ipv6 || ''}">`
+                + `${formatLatency(r.v6Ping)}${r.v6Degraded ? ' ⚠' : ''}</td>`
+        },
+        hasCityEstimates(results) && {
+            title: 'City Estimate (ms)',
+            cell: r => `<td title="${r.phase === 'expand' ? 'Probed in full' : 'Sampled relay'}">${formatLatency(r.cityEstimate)}</td>`
+        },
+        hasGeoAnalysis(results) && {
+            title: 'Light Bound (ms)',
+            cell: r => r.minRtt === undefined
+                ? '<td>N/A</td>'
+                : `<td class="${r.geoAnomaly ? 'geo-' + r.geoAnomaly : ''}" title="${r.distanceKm} km">`
+                    + `${r.minRtt.toFixed(2)}${r.geoAnomaly ? ' ⚠ ' + formatGeoAnomaly(r.geoAnomaly) : ''}</td>`
+        },
+        ...getLinkLabels(results).map(label => ({
+            title: `${label} (ms)`,
+            cell: r => `<td class="${r.bestLink === label ? 'best-link' : ''}" title="Loss ${r.linkPacketLoss[label] !== undefined ? r.linkPacketLoss[label] + '%' : 'N/A'}">`
+                + `${formatLatency(r.linkPings[label])}</td>`
+        }))
+    ].filter(Boolean);
+    
+    // Indexes of columns sorted numerically
+    const numericColumns = [
+        4, 6, 7, 8, 9,
+        ...optionalColumns.map((column, i) => (column.numeric === false ? null : 10 + i)).filter(i => i !== null)
+    ];
+    
     // Prepare server coordinates for map
     const mapPoints = results.map(r => {
         // Get real coordinates based on city and country
@@ -306,6 +527,21 @@ function generateHTML(results) {
     <body>
         <div class="container">
             <h1>Mullvad Server Ping Results</h1>
+            ${staleNotice ? `<div class="stale-notice">⚠ ${staleNotice}</div>` : ''}
+            ${changes ? `
+            <div class="relay-changes">
+                <h3>Relay list changes since ${changes.since}: ${summarizeRelayChanges(changes)}</h3>
+                ${changes.pinned.map(change => `<div class="pinned-warning">⚠ Pinned relay ${describeRelayChange(change)}</div>`).join('')}
+                <details>
+                    <summary>All changes</summary>
+                    <ul>${listRelayChanges(changes).map(line => `<li>${line}</li>`).join('')}</ul>
+                </details>
+            </div>` : ''}
+            ${regressions.length ? `
+            <div class="regressions">
+                <h3>Regressions against the baseline: ${regressions.length}</h3>
+                <ul>${regressions.map(regression => `<li>${describeRegression(regression)}</li>`).join('')}</ul>
+            </div>` : ''}
             
             <div class="stats">
                 <div class="stat-card">
@@ -335,6 +571,9 @@ function generateHTML(results) {
             </div>
             
             <div class="map-container" id="serverMap"></div>
+            ${heatmaps.length ? `
+            <h2>Ping by Hour of Week (local time)</h2>
+            ${generateHeatmapHTML(heatmaps)}` : ''}
             
             <div class="filters">
                 <h3>Filter Results</h3>
@@ -357,6 +596,11 @@ function generateHTML(results) {
                         <th onclick="sortTable(3)">IP</th>
                         <th onclick="sortTable(4)">Ping (ms)</th>
                         <th onclick="sortTable(5)">Packet Loss</th>
+                        <th onclick="sortTable(6)">P50 (ms)</th>
+                        <th onclick="sortTable(7)">P95 (ms)</th>
+                        <th onclick="sortTable(8)">P99 (ms)</th>
+                        <th onclick="sortTable(9)">Jitter (ms)</th>
+                        ${optionalColumns.map((column, i) => `<th onclick="sortTable(${10 + i})">${column.title}</th>`).join('')}
                     </tr>
                 </thead>
                 <tbody>
@@ -370,6 +614,11 @@ function generateHTML(results) {
                                 ${r.ping === 9999 ? 'Unreachable' : r.ping.toFixed(2)}
                             </td>
                             <td>${r.packetLoss !== undefined ? r.packetLoss + '%' : 'N/A'}</td>
+                            <td>${formatLatency(r.p50)}</td>
+                            <td>${formatLatency(r.p95)}</td>
+                            <td>${formatLatency(r.p99)}</td>
+                            <td>${r.jitter !== undefined ? r.jitter.toFixed(2) : 'N/A'}</td>
+                            ${optionalColumns.map(column => column.cell(r)).join('')}
                         </tr>
                     `).join('')}
                 </tbody>
@@ -382,6 +631,7 @@ function generateHTML(results) {
         
         <script>
             // Table sorting functionality
+            const numericColumns = ${JSON.stringify(numericColumns)};
             function sortTable(n) {
                 var table, rows, switching, i, x, y, shouldSwitch, dir, switchcount = 0;
                 table = document.getElementById("resultsTable");
@@ -398,7 +648,7 @@ function generateHTML(results) {
                         y = rows[i + 1].getElementsByTagName("TD")[n];
                         
                         if (dir == "asc") {
-                            if (n === 4) { // Ping column
+                            if (numericColumns.includes(n)) { // Latency columns
                                 const xValue = x.textContent === 'Unreachable' ? 9999 : parseFloat(x.textContent);
                                 const yValue = y.textContent === 'Unreachable' ? 9999 : parseFloat(y.textContent);
                                 if (xValue > yValue) {
@@ -410,7 +660,7 @@ function generateHTML(results) {
                                 break;
                             }
                         } else if (dir == "desc") {
-                            if (n === 4) { // Ping column
+                            if (numericColumns.includes(n)) { // Latency columns
                                 const xValue = x.textContent === 'Unreachable' ? 9999 : parseFloat(x.textContent);
                                 const yValue = y.textContent === 'Unreachable' ? 9999 : parseFloat(y.textContent);
                                 if (xValue < yValue) {
@@ -586,7 +836,8 @@ function generateHTML(results) {
  * @returns {string} - CSV content
  */
 function generateCSV(results) {
-    const headers = ['Hostname', 'Country', 'Country Code', 'City', 'IP', 'Ping (ms)', 'Packet Loss', 'Min', 'Max', 'Avg', 'StdDev', 'Status', 'Timestamp'];
+    const linkLabels = getLinkLabels(results);
+    const headers = ['Hostname', 'Country', 'Country Code', 'City', 'IP', 'Ping (ms)', 'Packet Loss', 'Min', 'Max', 'Avg', 'StdDev', 'P50', 'P95', 'P99', 'Jitter', 'Status', 'Timestamp', 'WG Handshake (ms)', 'WG Packet Loss', 'Phase', 'IPv6', 'IPv6 Ping (ms)', 'IPv6 Packet Loss', 'IPv6 Degraded', 'City Estimate (ms)', 'Distance (km)', 'Light Bound (ms)', 'Geo Anomaly', 'Relay Type', ...linkLabels.map(label => `${label} (ms)`), ...(linkLabels.length ? ['Best Link'] : [])];
     const rows = results.map(r => [
         r.hostname,
         r.country,
@@ -599,8 +850,26 @@ function generateCSV(results) {
         r.max !== undefined ? r.max.toFixed(2) : '',
         r.avg !== undefined ? r.avg.toFixed(2) : '',
         r.stddev !== undefined ? r.stddev.toFixed(2) : '',
+        r.p50 !== undefined ? r.p50.toFixed(2) : '',
+        r.p95 !== undefined ? r.p95.toFixed(2) : '',
+        r.p99 !== undefined ? r.p99.toFixed(2) : '',
+        r.jitter !== undefined ? r.jitter.toFixed(2) : '',
         r.status || (r.ping === 9999 ? 'unreachable' : r.ping < PING_THRESHOLDS.GOOD ? 'good' : r.ping < PING_THRESHOLDS.MEDIUM ? 'medium' : 'bad'),
-        r.timestamp || new Date().toISOString()
+        r.timestamp || new Date().toISOString(),
+        r.wgPing !== undefined ? formatLatency(r.wgPing) : '',
+        r.wgPacketLoss !== undefined ? r.wgPacketLoss + '%' : '',
+        r.phase || '',
+        r.ipv6 || '',
+        r.v6Ping !== undefined ? formatLatency(r.v6Ping) : '',
+        r.v6PacketLoss !== undefined ? r.v6PacketLoss + '%' : '',
+        r.v6Degraded !== undefined ? r.v6Degraded : '',
+        r.cityEstimate !== undefined ? formatLatency(r.cityEstimate) : '',
+        r.distanceKm !== undefined ? r.distanceKm : '',
+        r.minRtt !== undefined ? r.minRtt.toFixed(2) : '',
+        r.geoAnomaly || '',
+        r.type || '',
+        ...linkLabels.map(label => (r.linkPings && r.linkPings[label] !== undefined ? formatLatency(r.linkPings[label]) : '')),
+        ...(linkLabels.length ? [r.bestLink || ''] : [])
     ]);
     
     return [
@@ -612,9 +881,10 @@ function generateCSV(results) {
 /**
  * Saves results to files in specified formats
  * @param {Array} results - Array of ping results
- * @returns {Promise<void>}
+ * @param {Object} metadata - Run metadata saved alongside the results
+ * @returns {Promise<string>} - Timestamp in the names of the saved files
  */
-async function saveResults(results) {
+async function saveResults(results, metadata = {}) {
     try {
         // Create output directory if it doesn't exist
         await fs.mkdir(SAVE_PATH, { recursive: true });
@@ -645,7 +915,7 @@ async function saveResults(results) {
             saveOperations.push(
                 fs.writeFile(
                     path.join(SAVE_PATH, `ping_results_${timestamp}.html`), 
-                    generateHTML(results)
+                    generateHTML(results, metadata)
                 )
             );
             
@@ -653,7 +923,7 @@ async function saveResults(results) {
             saveOperations.push(
                 fs.writeFile(
                     path.join(SAVE_PATH, 'ping_results_latest.html'), 
-                    generateHTML(results)
+                    generateHTML(results, metadata)
                 )
             );
         }
@@ -675,6 +945,20 @@ async function saveResults(results) {
             );
         }
         
+        // Run metadata goes to its own file so result files stay plain arrays
+        saveOperations.push(
+            fs.writeFile(
+                path.join(SAVE_PATH, `ping_metadata_${timestamp}.json`), 
+                JSON.stringify(metadata, null, 2)
+            )
+        );
+        saveOperations.push(
+            fs.writeFile(
+                path.join(SAVE_PATH, 'ping_metadata_latest.json'), 
+                JSON.stringify(metadata, null, 2)
+            )
+        );
+        
         // Execute all save operations
         await Promise.all(saveOperations);
         
@@ -692,6 +976,9 @@ async function saveResults(results) {
             console.log(`- ${path.join(SAVE_PATH, `ping_results_${timestamp}.csv`)}`);
             console.log(`- ${path.join(SAVE_PATH, 'ping_results_latest.csv')}`);
         }
+        console.log(`- ${path.join(SAVE_PATH, `ping_metadata_${timestamp}.json`)}`);
+        
+        return timestamp;
     } catch (error) {
         console.error('Error saving results:', error.message);
         throw error;
@@ -700,6 +987,11 @@ async function saveResults(results) {
 
 module.exports = { 
     generateConsoleOutput, 
+    generateMultihopOutput, 
+    generateRecommendOutput, 
+    generateBestRelayOutput, 
+    generateHeatmapPage, 
+    describeStaleRelayList, 
     generateHTML, 
     generateCSV, 
     saveResults 
@@ -5,56 +5,138 @@
 
 const ping = require('ping');
 const os = require('os');
-const pLimit = require('p-limit');
+const net = require('net');
+const tcpProbe = require('./tcpProbe');
+const wireguardProbe = require('./wireguardProbe');
+const { latencyDistribution } = require('./statistics');
+const { createFixedScheduler, createAdaptiveScheduler } = require('./concurrencyScheduler');
+const { isAbortError, throwIfAborted, abortable } = require('./cancellation');
+const { openCheckpoint } = require('./checkpoint');
+const { createWorkerPool } = require('./workerPool');
+const { groupServersByCity, getCityKey } = require('./serverFetcher');
+const { selectCitySample, estimateCities } = require('./citySampling');
+const { getLocalAddress, getPingSourceArgs, getBindingWarning } = require('./sourceAddress');
 const { 
     CONCURRENT_PINGS, 
     MAX_THREADS, 
     PING_TIMEOUT, 
     PING_RETRIES,
-    PING_THRESHOLDS 
+    PING_COUNT,
+    PING_INTERVAL,
+    PING_THRESHOLDS,
+    ADAPTIVE_SCAN,
+    CITY_SAMPLING,
+    ADAPTIVE_CONCURRENCY,
+    MAX_PACKET_RATE,
+    CHECKPOINT,
+    IP_VERSION,
+    IPV6_DEGRADED_MS,
+    PROBE_MODE,
+    PROBE_PORT,
+    WG_HANDSHAKE_PROBE,
+    WG_PORT,
+    WG_PRIVATE_KEY
 } = require('./config');
 
+/**
+ * Gets the server address for an IP family
+ * @param {Object} server - Canonical relay
+ * @param {number} family - IP family: 4 or 6
+ * @returns {string|null} - IP address, null if the relay has none for the family
+ */
+function getServerAddress(server, family) {
+    // Формат relay проверяется при загрузке списка (relayModel), IPv6-адреса может не быть
+    return family === 6 ? server.ipv6_addr_in : server.ipv4_addr_in;
+}
+
+/**
+ * Runs the configured latency probe against an IP address
+ * @param {string} serverIP - IP address to probe
+ * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
+ * @returns {Promise<Object>} - Probe result {alive, time, times, min, max, avg, stddev, packetLoss}
+ */
+async function runProbe(serverIP, { count = PING_COUNT, interval = PING_INTERVAL, signal, source } = {}) {
+    throwIfAborted(signal);
+    
+    if (PROBE_MODE === 'tcp') {
+        return tcpProbe.probe(serverIP, {
+            port: PROBE_PORT,
+            count,
+            timeout: PING_TIMEOUT,
+            interval,
+            signal,
+            localAddress: getLocalAddress(source, serverIP)
+        });
+    }
+    
+    // Настраиваем параметры ping в зависимости от ОС
+    const isWindows = os.platform() === 'win32';
+    const extra = isWindows ? [] : ['-i', String(interval / 1000)]; // Windows ping не поддерживает интервал между пакетами
+    extra.push(...getPingSourceArgs(source, serverIP));
+    const pingOptions = {
+        timeout: PING_TIMEOUT / 1000, // Конвертируем мс в секунды
+        min_reply: count, // Количество пакетов (-c / -n)
+        v6: net.isIPv6(serverIP),
+        extra,
+    };
+    
+    // Процесс ping нельзя прервать: при отмене он завершится по таймауту, а результат отбрасывается
+    return abortable(ping.promise.probe(serverIP, pingOptions), signal);
+}
+
 /**
  * Pings a single server with retry mechanism
  * @param {Object} server - Server object with hostname, country, city and IP
  * @param {number} retryCount - Number of retries left
+ * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
  * @returns {Promise<Object>} - Server object with ping results
  */
-async function pingServer(server, retryCount = PING_RETRIES) {
+async function pingServer(server, retryCount = PING_RETRIES, probeOptions = {}) {
+    if (IP_VERSION === 'both') {
+        // Пингуем последовательно, чтобы оба замера шли в одинаковых условиях
+        const v4 = await pingServerOverFamily(server, 4, retryCount, probeOptions);
+        const v6 = await pingServerOverFamily(server, 6, retryCount, probeOptions);
+        return mergeDualStackResults(v4, v6);
+    }
+    
+    return pingServerOverFamily(server, IP_VERSION === '6' ? 6 : 4, retryCount, probeOptions);
+}
+
+/**
+ * Pings a single server over one IP family with retry mechanism
+ * @param {Object} server - Server object with hostname, country, city and IP
+ * @param {number} family - IP family: 4 or 6
+ * @param {number} retryCount - Number of retries left
+ * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
+ * @returns {Promise<Object>} - Server object with ping results
+ */
+async function pingServerOverFamily(server, family, retryCount, probeOptions) {
     try {
         // Определяем IP-адрес сервера
-        // Проверяем разные возможные поля, так как формат API может меняться
-        const serverIP = server.ipv4_addr_in || server.ipv4_address || server.ip_address || server.ip || server.address;
+        const serverIP = getServerAddress(server, family);
         
         if (!serverIP) {
-            console.error(`Не удалось определить IP-адрес для сервера ${server.hostname}`);
-            console.log('Доступные поля сервера:', Object.keys(server));
-            return createUnreachableResult(server);
+            console.error(`У сервера ${server.hostname} нет IPv${family}-адреса`);
+            return createUnreachableResult(server, family);
         }
         
-        // Настраиваем параметры ping в зависимости от ОС
-        const isWindows = os.platform() === 'win32';
-        const pingOptions = {
-            timeout: PING_TIMEOUT / 1000, // Конвертируем мс в секунды
-            // Используем разные параметры для Windows и других ОС
-            // Уменьшаем количество пакетов с 4 до 2 для ускорения
-            extra: isWindows ? ['-n', '2'] : ['-c', '2'],
-        };
-        
         // Выполняем ping
-        const result = await ping.promise.probe(serverIP, pingOptions);
+        const result = await runProbe(serverIP, probeOptions);
         
         // Обрабатываем результат
         if (result.alive) {
             // Рассчитываем статистику
             const pingTime = parseFloat(result.time);
             const packetLoss = parseFloat(result.packetLoss);
+            const times = (result.times || []).map(parseFloat).filter(time => !isNaN(time));
+            const distribution = latencyDistribution(times.length ? times : [pingTime]);
             
-            return {
+            const pingResult = {
                 hostname: server.hostname,
                 country_code: server.country_code,
                 country: server.country_name,
                 city: server.city_name,
+                type: server.type,
                 ip: serverIP,
                 ping: pingTime,
                 packetLoss: packetLoss,
@@ -62,45 +144,129 @@ async function pingServer(server, retryCount = PING_RETRIES) {
                 max: parseFloat(result.max) || pingTime,
                 avg: parseFloat(result.avg) || pingTime,
                 stddev: parseFloat(result.stddev) || 0,
-                timestamp: new Date().toISOString(),
-                status: getPingStatus(pingTime)
+                ...distribution,
+                probe: PROBE_MODE,
+                timestamp: new Date().toISOString()
             };
+            
+            return { ...pingResult, status: getResultStatus(pingResult) };
         } else if (retryCount > 0) {
             // Повторяем попытку, если сервер недоступен
-            return pingServer(server, retryCount - 1);
+            return pingServerOverFamily(server, family, retryCount - 1, probeOptions);
         } else {
             // Сервер недоступен после всех попыток
-            return createUnreachableResult(server);
+            return createUnreachableResult(server, family);
         }
     } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+        
         if (retryCount > 0) {
             // Повторяем попытку при ошибке
-            return pingServer(server, retryCount - 1);
+            return pingServerOverFamily(server, family, retryCount - 1, probeOptions);
         } else {
-            console.error(`Ошибка при пинге ${server.hostname} (${server.ipv4_addr_in || 'неизвестный IP'}):`, error.message);
-            return createUnreachableResult(server);
+            console.error(`Ошибка при пинге ${server.hostname} (${getServerAddress(server, family) || 'неизвестный IP'}):`, error.message);
+            return createUnreachableResult(server, family);
+        }
+    }
+}
+
+/**
+ * Merges IPv4 and IPv6 results into one dual-stack result
+ * The IPv4 numbers stay primary so sorting and comparisons keep their meaning
+ * @param {Object} v4 - IPv4 ping result
+ * @param {Object} v6 - IPv6 ping result
+ * @returns {Object} - IPv4 result with separate v4/v6 latency and loss
+ */
+function mergeDualStackResults(v4, v6) {
+    return {
+        ...v4,
+        ipv6: v6.ip,
+        v4Ping: v4.ping,
+        v4PacketLoss: v4.packetLoss,
+        v6Ping: v6.ping,
+        v6PacketLoss: v6.packetLoss,
+        v6Degraded: isIPv6Degraded(v4, v6)
+    };
+}
+
+/**
+ * Checks whether the IPv6 path is much worse than the IPv4 path
+ * @param {Object} v4 - IPv4 ping result
+ * @param {Object} v6 - IPv6 ping result
+ * @returns {boolean} - True if IPv6 is unreachable or slower by more than IPV6_DEGRADED_MS
+ */
+function isIPv6Degraded(v4, v6) {
+    if (v4.ping === 9999) return false;
+    if (v6.ping === 9999) return true;
+    return v6.ping - v4.ping > IPV6_DEGRADED_MS;
+}
+
+/**
+ * Times WireGuard handshakes to a server and records them next to the ping result
+ * @param {Object} server - Server object with public_key
+ * @param {Object} result - Ping result for the server
+ * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
+ * @returns {Promise<Object>} - Ping result with wgPing and wgPacketLoss
+ */
+async function addHandshakeResult(server, result, probeOptions = {}) {
+    if (!server.public_key || !net.isIP(result.ip)) {
+        return result;
+    }
+    
+    try {
+        const handshake = await wireguardProbe.probe(result.ip, {
+            publicKey: server.public_key,
+            port: WG_PORT,
+            count: probeOptions.count || PING_COUNT,
+            timeout: PING_TIMEOUT,
+            interval: probeOptions.interval || PING_INTERVAL,
+            privateKey: WG_PRIVATE_KEY,
+            signal: probeOptions.signal,
+            localAddress: getLocalAddress(probeOptions.source, result.ip)
+        });
+        
+        return {
+            ...result,
+            wgPing: handshake.alive ? handshake.avg : 9999,
+            wgPacketLoss: handshake.packetLoss
+        };
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
         }
+        
+        console.error(`Ошибка WireGuard-рукопожатия с ${server.hostname}:`, error.message);
+        return { ...result, wgPing: 9999, wgPacketLoss: 100 };
     }
 }
 
 /**
  * Creates a result object for unreachable servers
  * @param {Object} server - Server object
+ * @param {number} family - IP family: 4 or 6
  * @returns {Object} - Server object with unreachable status
  */
-function createUnreachableResult(server) {
+function createUnreachableResult(server, family = 4) {
     return {
         hostname: server.hostname,
         country_code: server.country_code,
         country: server.country_name,
         city: server.city_name,
-        ip: server.ipv4_addr_in || server.ipv4_address || server.ip_address || server.ip || server.address || 'неизвестный IP',
+        type: server.type,
+        ip: getServerAddress(server, family) || 'неизвестный IP',
         ping: 9999,
         packetLoss: 100,
         min: 9999,
         max: 9999,
         avg: 9999,
         stddev: 0,
+        p50: 9999,
+        p95: 9999,
+        p99: 9999,
+        jitter: 0,
+        probe: PROBE_MODE,
         timestamp: new Date().toISOString(),
         status: 'unreachable'
     };
@@ -118,21 +284,48 @@ function getPingStatus(pingTime) {
 }
 
 /**
- * Pings all servers with concurrency control
+ * Determines the status of a ping result from the metric configured in PING_THRESHOLDS
+ * @param {Object} result - Ping result
+ * @returns {string} - Status: 'good', 'medium', or 'bad'
+ */
+function getResultStatus(result) {
+    const value = result[PING_THRESHOLDS.METRIC];
+    return getPingStatus(typeof value === 'number' ? value : result.ping);
+}
+
+/**
+ * Probes a server with every configured probe
+ * @param {Object} server - Server object with hostname, country, city and IP
+ * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
+ * @returns {Promise<Object>} - Server object with ping results
+ */
+async function probeServer(server, probeOptions = {}) {
+    const result = await pingServer(server, PING_RETRIES, probeOptions);
+    return WG_HANDSHAKE_PROBE
+        ? addHandshakeResult(server, result, probeOptions)
+        : result;
+}
+
+/**
+ * Estimates how many packets probing one server sends, for the packet rate cap
+ * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
+ * @returns {number} - Estimated packets per server
+ */
+function estimatePacketsPerServer(probeOptions) {
+    const families = IP_VERSION === 'both' ? 2 : 1;
+    const probes = WG_HANDSHAKE_PROBE ? 2 : 1;
+    return (probeOptions.count || PING_COUNT) * families * probes;
+}
+
+/**
+ * Probes a list of servers with concurrency control and a progress bar
  * @param {Array} servers - Array of server objects
+ * @param {Object} executor - Concurrency scheduler and worker pool {scheduler, pool}
+ * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
+ * @param {Object} [checkpoint] - Checkpoint that receives each completed result
  * @returns {Promise<Array>} - Array of server objects with ping results
  */
-async function pingAllServers(servers) {
-    // Determine optimal number of concurrent operations
-    const cpuCount = os.cpus().length;
-    const maxThreads = MAX_THREADS > 0 ? MAX_THREADS : cpuCount * 2;
-    const concurrency = Math.min(CONCURRENT_PINGS, maxThreads);
-    
-    console.log(`Using ${concurrency} concurrent connections (${cpuCount} CPU cores detected)`);
-    
-    // Create concurrency limiter
-    const limit = pLimit(concurrency);
-    
+async function runScan(servers, { scheduler, pool }, probeOptions = {}, checkpoint = null) {
     // Create progress tracking variables
     const total = servers.length;
     let completed = 0;
@@ -141,6 +334,8 @@ async function pingAllServers(servers) {
     
     // Update progress bar function
     const updateProgress = (result) => {
+        scheduler.record(result);
+        if (checkpoint) checkpoint.record(result);
         completed++;
         if (result.ping < 9999) successful++;
         else failed++;
@@ -154,18 +349,281 @@ async function pingAllServers(servers) {
     };
     
     // Create ping tasks with progress tracking
+    // Cancelled tasks resolve to null so only completed measurements are returned,
+    // a probe lost to a crashed worker counts as unreachable
+    const packets = estimatePacketsPerServer(probeOptions);
     const tasks = servers.map(server => 
-        limit(() => pingServer(server).then(updateProgress))
+        scheduler.run(() => pool.run(server, probeOptions), packets)
+            .catch(error => {
+                if (isAbortError(error)) return null;
+                process.stdout.write('\n');
+                console.error(`Probe of ${server.hostname} failed: ${error.message}`);
+                return createUnreachableResult(server);
+            })
+            .then(result => result && updateProgress(result))
     );
     
     // Execute all ping tasks
-    const results = await Promise.all(tasks);
+    const results = (await Promise.all(tasks)).filter(Boolean);
     
     // Clear progress line and print summary
     process.stdout.write('\r' + ' '.repeat(100) + '\r');
-    console.log(`Completed pinging ${total} servers: ${successful} reachable, ${failed} unreachable`);
+    if (results.length < total) {
+        console.log(`Cancelled after pinging ${results.length} of ${total} servers: ${successful} reachable, ${failed} unreachable`);
+    } else {
+        console.log(`Completed pinging ${total} servers: ${successful} reachable, ${failed} unreachable`);
+    }
+    
+    return results;
+}
+
+/**
+ * Scans the servers a checkpoint has no results for yet
+ * @param {Array} servers - Array of server objects
+ * @param {Object} executor - Concurrency scheduler and worker pool {scheduler, pool}
+ * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
+ * @param {Object} checkpoint - Checkpoint with the results of an interrupted scan
+ * @returns {Promise<Array>} - Resumed and new results
+ */
+async function runCheckpointedScan(servers, executor, probeOptions, checkpoint) {
+    const probed = new Set(checkpoint.results.map(result => result.hostname));
+    const remaining = servers.filter(server => !probed.has(server.hostname));
+    
+    if (probed.size > 0) {
+        console.log(`Resuming scan: ${probed.size} servers already probed, ${remaining.length} left`);
+    }
+    
+    const results = await runScan(remaining, executor, probeOptions, checkpoint);
+    return [...checkpoint.results, ...results];
+}
+
+/**
+ * Selects the sweep results worth a deep probe
+ * @param {Array} results - Sweep results
+ * @param {Object} options - Selection options
+ * @param {number} options.topN - Number of fastest servers to keep
+ * @param {number} options.withinMs - Keep every server within this many ms of the best (0 = off)
+ * @returns {Array} - Hostnames of the selected servers
+ */
+function selectDeepCandidates(results, { topN, withinMs }) {
+    const reachable = results
+        .filter(r => r.ping < 9999)
+        .sort((a, b) => a.ping - b.ping);
+    
+    if (reachable.length === 0) {
+        return [];
+    }
+    
+    const candidates = withinMs > 0
+        ? reachable.filter(r => r.ping - reachable[0].ping <= withinMs)
+        : reachable.slice(0, topN);
+    
+    return candidates.map(r => r.hostname);
+}
+
+/**
+ * Two-phase scan: a single-packet sweep of every server, then a deep probe of the best ones
+ * @param {Array} servers - Array of server objects
+ * @param {Object} executor - Concurrency scheduler and worker pool {scheduler, pool}
+ * @param {Object} baseOptions - Probe options of both phases {signal, source}
+ * @param {Object} checkpoint - Checkpoint for the sweep; the deep probe always runs in full
+ * @returns {Promise<Array>} - Results marked with the phase their numbers came from
+ */
+async function runAdaptiveScan(servers, executor, baseOptions, checkpoint) {
+    const { signal } = baseOptions;
+    console.log(`Phase 1/2: sweeping ${servers.length} servers with ${ADAPTIVE_SCAN.SWEEP_COUNT} packet(s)`);
+    const sweepResults = await runCheckpointedScan(
+        servers,
+        executor,
+        { ...baseOptions, count: ADAPTIVE_SCAN.SWEEP_COUNT },
+        checkpoint
+    );
+    
+    if (signal && signal.aborted) {
+        return sweepResults.map(sweep => ({ ...sweep, phase: 'sweep' }));
+    }
+    
+    const candidates = new Set(selectDeepCandidates(sweepResults, {
+        topN: ADAPTIVE_SCAN.TOP_N,
+        withinMs: ADAPTIVE_SCAN.WITHIN_MS
+    }));
+    const deepServers = servers.filter(server => candidates.has(server.hostname));
+    
+    console.log(`Phase 2/2: deep probing ${deepServers.length} servers with ${ADAPTIVE_SCAN.DEEP_COUNT} packets`);
+    const deepResults = deepServers.length
+        ? await runScan(deepServers, executor, { ...baseOptions, count: ADAPTIVE_SCAN.DEEP_COUNT })
+        : [];
+    const deepMap = new Map(deepResults.map(result => [result.hostname, result]));
+    
+    return sweepResults.map(sweep => {
+        const deep = deepMap.get(sweep.hostname);
+        return deep
+            ? { ...deep, phase: 'deep', sweepPing: sweep.ping }
+            : { ...sweep, phase: 'sweep' };
+    });
+}
+
+/**
+ * Two-phase scan: k relays per city, then every relay in the cities with the best estimate
+ * @param {Array} servers - Array of server objects
+ * @param {Object} executor - Concurrency scheduler and worker pool {scheduler, pool}
+ * @param {Object} baseOptions - Probe options of both phases {signal, source}
+ * @param {Object} checkpoint - Checkpoint for the sample; the expansion always runs in full
+ * @param {Object} runMetadata - Run metadata, receives the city estimates
+ * @returns {Promise<Array>} - Results with their phase and their city's estimate
+ */
+async function runSampledScan(servers, executor, baseOptions, checkpoint, runMetadata) {
+    const { signal } = baseOptions;
+    const groups = groupServersByCity(servers);
+    const sample = selectCitySample(groups, CITY_SAMPLING.PER_CITY);
+    
+    console.log(`Phase 1/2: sampling ${sample.length} relays (up to ${CITY_SAMPLING.PER_CITY} per city) in ${groups.size} cities`);
+    const sampleResults = await runCheckpointedScan(sample, executor, baseOptions, checkpoint);
+    
+    const cities = estimateCities(groups, sampleResults);
+    const estimates = new Map(cities.map(city => [city.key, city.estimate]));
+    const cityKeys = new Map(servers.map(server => [server.hostname, getCityKey(server)]));
+    const withEstimate = (result, phase) => ({
+        ...result,
+        phase,
+        cityEstimate: estimates.get(cityKeys.get(result.hostname))
+    });
+    runMetadata.cities = cities;
+    
+    if (signal && signal.aborted) {
+        return sampleResults.map(result => withEstimate(result, 'sample'));
+    }
+    
+    const bestCities = cities.filter(city => city.estimate < 9999).slice(0, CITY_SAMPLING.TOP_CITIES);
+    bestCities.forEach(city => {
+        console.log(`  ${city.city}, ${city.country}: ~${city.estimate.toFixed(2)} ms (${city.reachable}/${city.sampled} sampled, ${city.relays} relays)`);
+    });
+    
+    const sampled = new Set(sampleResults.map(result => result.hostname));
+    const expandServers = bestCities
+        .flatMap(city => groups.get(city.key))
+        .filter(server => !sampled.has(server.hostname));
+    
+    console.log(`Phase 2/2: probing the other ${expandServers.length} relays in the best ${bestCities.length} cities`);
+    const expandResults = expandServers.length
+        ? await runScan(expandServers, executor, baseOptions)
+        : [];
+    
+    return [
+        ...sampleResults.map(result => withEstimate(result, 'sample')),
+        ...expandResults.map(result => withEstimate(result, 'expand'))
+    ];
+}
+
+/**
+ * Creates the scheduler for a scan from the concurrency settings
+ * @param {number} concurrency - Starting concurrency
+ * @returns {Object} - Concurrency scheduler
+ */
+function createScheduler(concurrency) {
+    if (!ADAPTIVE_CONCURRENCY.ENABLED && !(MAX_PACKET_RATE > 0)) {
+        return createFixedScheduler(concurrency);
+    }
+    
+    return createAdaptiveScheduler({
+        initial: concurrency,
+        min: ADAPTIVE_CONCURRENCY.MIN,
+        max: ADAPTIVE_CONCURRENCY.ENABLED ? Number(CONCURRENT_PINGS) : concurrency,
+        lossThreshold: ADAPTIVE_CONCURRENCY.LOSS_THRESHOLD,
+        driftMs: ADAPTIVE_CONCURRENCY.DRIFT_MS,
+        maxPacketRate: Number(MAX_PACKET_RATE),
+        adaptive: ADAPTIVE_CONCURRENCY.ENABLED
+    });
+}
+
+/**
+ * Pings all servers with concurrency control
+ * @param {Array} servers - Array of server objects
+ * @param {Object} runMetadata - Run metadata, receives the concurrency actually used
+ * @param {AbortSignal} [signal] - Signal that stops in-flight probes; completed results are still returned
+ * @param {Object} [source] - Local interface/address probes are sent from, the default route if omitted
+ * @param {Object} [options] - {keepCheckpoint}: keep the checkpoint of a finished scan, for runs that go on after it
+ * @returns {Promise<Array>} - Array of server objects with ping results
+ */
+async function pingAllServers(servers, runMetadata = {}, signal = undefined, source = null, { keepCheckpoint = false } = {}) {
+    // Determine optimal number of concurrent operations
+    const cpuCount = os.cpus().length;
+    const concurrency = Number(CONCURRENT_PINGS);
+    const threads = Math.min(MAX_THREADS > 0 ? Number(MAX_THREADS) : cpuCount, concurrency);
+    
+    console.log(`Using ${concurrency} concurrent connections on ${threads} worker thread(s) (${cpuCount} CPU cores detected)`);
+    if (ADAPTIVE_CONCURRENCY.ENABLED) {
+        console.log(`Tuning concurrency between ${ADAPTIVE_CONCURRENCY.MIN} and ${CONCURRENT_PINGS} from loss and latency drift`);
+    }
+    if (MAX_PACKET_RATE > 0) {
+        console.log(`Capping probe rate at ${MAX_PACKET_RATE} packets/s`);
+    }
+    if (PROBE_MODE === 'tcp') {
+        console.log(`Measuring latency with TCP handshakes to port ${PROBE_PORT}`);
+    }
+    if (WG_HANDSHAKE_PROBE) {
+        console.log(`Timing WireGuard handshakes to port ${WG_PORT}`);
+    }
+    if (IP_VERSION !== '4') {
+        console.log(IP_VERSION === 'both' ? 'Comparing IPv4 and IPv6 paths' : 'Probing over IPv6');
+    }
+    if (source) {
+        console.log(`Sending probes from ${source.label} (${[source.v4, source.v6].filter(Boolean).join(', ')})`);
+        const warning = getBindingWarning(source, { probeMode: PROBE_MODE, handshake: WG_HANDSHAKE_PROBE });
+        if (warning) console.warn(`Warning: ${warning}`);
+    }
+    
+    // Create concurrency scheduler and the worker threads it runs probes on
+    const scheduler = createScheduler(concurrency);
+    const checkpoint = openCheckpoint(servers, CHECKPOINT.RESUME, source);
+    const pool = createWorkerPool(threads);
+    
+    const cancelWorkers = () => pool.cancel();
+    if (signal) signal.addEventListener('abort', cancelWorkers, { once: true });
+    
+    const baseOptions = { signal, source };
+    let results;
+    try {
+        if (CITY_SAMPLING.PER_CITY > 0) {
+            results = await runSampledScan(servers, { scheduler, pool }, baseOptions, checkpoint, runMetadata);
+        } else if (ADAPTIVE_SCAN.ENABLED) {
+            results = await runAdaptiveScan(servers, { scheduler, pool }, baseOptions, checkpoint);
+        } else {
+            results = await runCheckpointedScan(servers, { scheduler, pool }, baseOptions, checkpoint);
+        }
+    } finally {
+        if (signal) signal.removeEventListener('abort', cancelWorkers);
+        await pool.close();
+    }
+    
+    runMetadata.threads = threads;
+    if (source) runMetadata.source = source;
+    runMetadata.partial = Boolean(signal && signal.aborted);
+    runMetadata.serverCount = servers.length;
+    runMetadata.completedCount = results.length;
+    runMetadata.resumedCount = checkpoint.results.length;
+    
+    if (runMetadata.partial) {
+        console.log('Checkpoint kept, run again with --resume to probe the remaining servers');
+    } else if (!keepCheckpoint) {
+        checkpoint.remove();
+    }
+    runMetadata.concurrency = scheduler.getMetadata();
+    if (ADAPTIVE_CONCURRENCY.ENABLED) {
+        const { final, min, max, average, adjustments } = runMetadata.concurrency;
+        console.log(`Concurrency: final ${final}, range ${min}-${max}, average ${average} (${adjustments.length} adjustments)`);
+    }
     
     return results;
 }
 
-module.exports = { pingAllServers, pingServer, getPingStatus };
+module.exports = {
+    pingAllServers,
+    pingServer,
+    probeServer,
+    addHandshakeResult,
+    selectDeepCandidates,
+    mergeDualStackResults,
+    getPingStatus,
+    getResultStatus
+};
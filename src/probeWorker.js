@@ -0,0 +1,28 @@
+/**
+ * Probe Worker
+ * Runs server probes on a worker thread and sends each result back to the pool
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const config = require('./config');
+
+// Apply the main thread's configuration, command line flags included, before the probe modules read it
+Object.assign(config, workerData.config);
+
+const { probeServer } = require('./pingService');
+
+const controller = new AbortController();
+
+parentPort.on('message', async (message) => {
+    if (message.type === 'cancel') {
+        controller.abort();
+        return;
+    }
+
+    try {
+        const result = await probeServer(message.server, { ...message.probeOptions, signal: controller.signal });
+        parentPort.postMessage({ id: message.id, result });
+    } catch (error) {
+        parentPort.postMessage({ id: message.id, error: { name: error.name, message: error.message } });
+    }
+});
@@ -0,0 +1,166 @@
+/**
+ * Relay Changes Module
+ * Diffs successive relay lists and keeps a changelog of relays added, removed or changed
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { SAVE_PATH } = require('./config');
+const { parseLines } = require('./ndjson');
+
+// Relay fields compared between fetches
+const TRACKED_FIELDS = ['ipv4_addr_in', 'ipv6_addr_in', 'public_key', 'active', 'multihop_port'];
+
+// Changes that break pinned WireGuard configs
+const PINNED_FIELDS = ['ipv4_addr_in', 'ipv6_addr_in', 'public_key'];
+
+const FIELD_LABELS = {
+    ipv4_addr_in: 'IPv4 address',
+    ipv6_addr_in: 'IPv6 address',
+    public_key: 'public key',
+    active: 'active flag',
+    multihop_port: 'multihop port'
+};
+
+/**
+ * Gets the path of the relay changelog, one JSON entry per line
+ * @returns {string} - Changelog file path
+ */
+function getChangelogFile() {
+    return path.join(SAVE_PATH, 'relay_changelog.ndjson');
+}
+
+/**
+ * Compares two relay lists by hostname
+ * @param {Array} previous - Canonical relays of the earlier fetch
+ * @param {Array} current - Canonical relays of the latest fetch
+ * @returns {Object} - {added: [hostname], removed: [hostname], changed: [{hostname, field, from, to}]}
+ */
+function diffRelayLists(previous, current) {
+    const before = new Map(previous.map(relay => [relay.hostname, relay]));
+    const after = new Map(current.map(relay => [relay.hostname, relay]));
+
+    const added = current.filter(relay => !before.has(relay.hostname)).map(relay => relay.hostname).sort();
+    const removed = previous.filter(relay => !after.has(relay.hostname)).map(relay => relay.hostname).sort();
+    const changed = [];
+
+    current.forEach(relay => {
+        const old = before.get(relay.hostname);
+        if (!old) return;
+        TRACKED_FIELDS.forEach(field => {
+            if (old[field] !== relay[field]) {
+                changed.push({ hostname: relay.hostname, field, from: old[field], to: relay[field] });
+            }
+        });
+    });
+    changed.sort((a, b) => a.hostname.localeCompare(b.hostname));
+
+    return { added, removed, changed };
+}
+
+/**
+ * Picks the changes that affect pinned relays: new keys or addresses, and removals
+ * @param {Object} diff - Result of diffRelayLists
+ * @param {Array<string>} pinned - Pinned hostnames
+ * @returns {Array<Object>} - Changes {hostname, field, from, to} or removals {hostname, removed: true}
+ */
+function findPinnedChanges(diff, pinned) {
+    const hostnames = new Set(pinned.map(hostname => hostname.toLowerCase()));
+    const isPinned = hostname => hostnames.has(hostname.toLowerCase());
+
+    return [
+        ...diff.changed.filter(change => isPinned(change.hostname) && PINNED_FIELDS.includes(change.field)),
+        ...diff.removed.filter(isPinned).map(hostname => ({ hostname, removed: true }))
+    ];
+}
+
+/**
+ * Describes one change for the reports
+ * @param {Object} change - Change {hostname, field, from, to} or removal {hostname, removed: true}
+ * @returns {string} - E.g. 'se-sto-wg-001: public key changed from abc= to def='
+ */
+function describeRelayChange(change) {
+    if (change.removed) {
+        return `${change.hostname}: removed from the relay list`;
+    }
+    const format = value => (value === null || value === undefined ? 'none' : String(value));
+    return `${change.hostname}: ${FIELD_LABELS[change.field]} changed from ${format(change.from)} to ${format(change.to)}`;
+}
+
+/**
+ * Lists every change of a changelog entry
+ * @param {Object} changes - Changelog entry
+ * @returns {Array<string>} - One line per relay added, removed or changed
+ */
+function listRelayChanges(changes) {
+    return [
+        ...changes.added.map(hostname => `${hostname}: added to the relay list`),
+        ...changes.removed.map(hostname => describeRelayChange({ hostname, removed: true })),
+        ...changes.changed.map(describeRelayChange)
+    ];
+}
+
+/**
+ * Summarizes a changelog entry in one line
+ * @param {Object} changes - Changelog entry
+ * @returns {string} - E.g. '2 added, 1 removed, 3 changed'
+ */
+function summarizeRelayChanges(changes) {
+    return `${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed`;
+}
+
+/**
+ * Diffs a fetched relay list against the previous one and appends the changes to the changelog
+ * @param {Array} previous - Canonical relays of the previous fetch
+ * @param {Array} current - Canonical relays just fetched
+ * @param {Object} details - Entry details
+ * @param {string} details.type - Relay type of both lists
+ * @param {string} details.since - Fetch time of the previous list
+ * @param {string} details.detectedAt - Fetch time of the current list
+ * @param {Array<string>} [details.pinned] - Hostnames whose key or address changes are warned about
+ * @returns {Promise<Object|null>} - Changelog entry {type, since, detectedAt, added, removed, changed, pinned}, null if nothing changed
+ */
+async function recordRelayChanges(previous, current, { type, since, detectedAt, pinned = [] }) {
+    const diff = diffRelayLists(previous, current);
+    if (!diff.added.length && !diff.removed.length && !diff.changed.length) {
+        return null;
+    }
+
+    const entry = { type, since, detectedAt, ...diff, pinned: findPinnedChanges(diff, pinned) };
+
+    try {
+        await fs.mkdir(SAVE_PATH, { recursive: true });
+        await fs.appendFile(getChangelogFile(), JSON.stringify(entry) + '\n');
+    } catch (error) {
+        console.error('Error saving relay changelog:', error.message);
+    }
+
+    return entry;
+}
+
+/**
+ * Reads the latest changelog entries
+ * @param {number} [limit] - Maximum number of entries
+ * @returns {Promise<Array>} - Entries, newest first; empty if nothing was recorded yet
+ */
+async function readChangelog(limit = 50) {
+    let data;
+    try {
+        data = await fs.readFile(getChangelogFile(), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return parseLines(data).reverse().slice(0, limit);
+}
+
+module.exports = {
+    diffRelayLists,
+    findPinnedChanges,
+    describeRelayChange,
+    listRelayChanges,
+    summarizeRelayChanges,
+    recordRelayChanges,
+    readChangelog
+};
@@ -0,0 +1,143 @@
+/**
+ * Relay Model Module
+ * Validates relay lists from the Mullvad API and turns them into the canonical relay model
+ */
+
+const { z } = require('zod');
+
+// Share of relays failing on the same field above which the API format has likely changed
+const SCHEMA_DRIFT_SHARE = 0.5;
+
+// Invalid relays listed individually before the rest are summarized
+const MAX_REPORTED_ISSUES = 10;
+
+/**
+ * Schema of one relay as the Mullvad API returns it
+ * Unknown fields are ignored so additions to the API do not reject relays, and canonical
+ * relays pass as well
+ */
+const apiRelaySchema = z.object({
+    hostname: z.string().min(1),
+    fqdn: z.string().nullish(),
+    country_code: z.string().min(2),
+    country_name: z.string().min(1),
+    city_code: z.string().min(1),
+    city_name: z.string().min(1),
+    active: z.boolean().default(true),
+    owned: z.boolean().nullish(),
+    provider: z.string().nullish(),
+    type: z.string().nullish(),
+    ipv4_addr_in: z.string().ip({ version: 'v4' }),
+    ipv6_addr_in: z.string().ip({ version: 'v6' }).nullish(),
+    // The relay list calls the WireGuard key pubkey, the app API public_key
+    pubkey: z.string().min(1).nullish(),
+    public_key: z.string().min(1).nullish(),
+    multihop_port: z.number().int().nonnegative().nullish()
+});
+
+/**
+ * Converts a validated API relay to the canonical relay model
+ * @param {Object} relay - Relay that passed apiRelaySchema
+ * @param {string|null} defaultType - Relay type for lists whose entries do not name it
+ * @returns {Object} - Canonical relay
+ */
+function toRelay(relay, defaultType) {
+    return {
+        hostname: relay.hostname,
+        fqdn: relay.fqdn || null,
+        country_code: relay.country_code,
+        country_name: relay.country_name,
+        city_code: relay.city_code,
+        city_name: relay.city_name,
+        active: relay.active,
+        owned: relay.owned === true,
+        provider: relay.provider || null,
+        type: relay.type || defaultType,
+        ipv4_addr_in: relay.ipv4_addr_in,
+        ipv6_addr_in: relay.ipv6_addr_in || null,
+        public_key: relay.pubkey || relay.public_key || null,
+        multihop_port: relay.multihop_port || null
+    };
+}
+
+/**
+ * Describes where a relay failed validation
+ * @param {Object} issue - Zod issue
+ * @returns {string} - Field path and message, e.g. 'ipv4_addr_in: Required'
+ */
+function describeIssue(issue) {
+    return `${issue.path.join('.') || '(relay)'}: ${issue.message}`;
+}
+
+/**
+ * Validates a relay list and converts the valid entries to the canonical model
+ * @param {*} data - Parsed JSON of the relay list
+ * @param {string|null} [defaultType] - Relay type for lists whose entries do not name it
+ * @returns {Object} - {relays, rejected: [{index, hostname, issues}], drift: [{issue, count}]}
+ * @throws {Error} - If the data is not a list of relays at all
+ */
+function parseRelayList(data, defaultType = null) {
+    if (!Array.isArray(data)) {
+        throw new Error(`Expected a list of relays, got ${data === null ? 'null' : typeof data}`);
+    }
+
+    const relays = [];
+    const rejected = [];
+    const hostnames = new Set();
+    const issueCounts = new Map();
+
+    data.forEach((entry, index) => {
+        const hostname = entry && typeof entry.hostname === 'string' ? entry.hostname : null;
+        const parsed = apiRelaySchema.safeParse(entry);
+        let issues = parsed.success ? [] : parsed.error.issues.map(describeIssue);
+
+        if (parsed.success && hostnames.has(hostname)) {
+            issues = ['hostname: Duplicate relay'];
+        }
+
+        if (issues.length) {
+            rejected.push({ index, hostname, issues });
+            issues.forEach(issue => issueCounts.set(issue, (issueCounts.get(issue) || 0) + 1));
+            return;
+        }
+
+        hostnames.add(hostname);
+        relays.push(toRelay(parsed.data, defaultType));
+    });
+
+    const drift = [...issueCounts.entries()]
+        .filter(([, count]) => data.length > 0 && count / data.length > SCHEMA_DRIFT_SHARE)
+        .map(([issue, count]) => ({ issue, count }));
+
+    return { relays, rejected, drift };
+}
+
+/**
+ * Validates a relay list, reporting rejected relays and signs of API format changes
+ * @param {*} data - Parsed JSON of the relay list
+ * @param {string} origin - Where the list came from, for the diagnostics
+ * @param {string|null} [defaultType] - Relay type for lists whose entries do not name it
+ * @returns {Array} - Canonical relays
+ * @throws {Error} - If the data is not a list of relays at all
+ */
+function normalizeRelays(data, origin, defaultType = null) {
+    const { relays, rejected, drift } = parseRelayList(data, defaultType);
+
+    drift.forEach(({ issue, count }) => {
+        console.warn(`Warning: the ${origin} relay format seems to have changed: "${issue}" in ${count} of ${data.length} relays`);
+    });
+
+    if (rejected.length) {
+        console.warn(`Skipped ${rejected.length} of ${data.length} relays from ${origin} that failed validation:`);
+        rejected.slice(0, MAX_REPORTED_ISSUES).forEach(({ index, hostname, issues }) => {
+            console.warn(`  #${index} ${hostname || '(no hostname)'}: ${issues.join('; ')}`);
+        });
+        if (rejected.length > MAX_REPORTED_ISSUES) {
+            console.warn(`  ...and ${rejected.length - MAX_REPORTED_ISSUES} more`);
+        }
+    }
+
+    return relays;
+}
+
+module.exports = { normalizeRelays, parseRelayList, apiRelaySchema };
@@ -0,0 +1,86 @@
+/**
+ * Run Lock Module
+ * Makes sure only one scan at a time writes into SAVE_PATH
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SAVE_PATH } = require('./config');
+
+/**
+ * Gets the path of the lock file
+ * @returns {string} - Lock file path
+ */
+function getLockPath() {
+    return path.join(SAVE_PATH, '.cache', 'run.lock');
+}
+
+/**
+ * Checks whether a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} - True if the process exists
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means the process exists but belongs to another user
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Reads the owner of an existing lock
+ * @param {string} lockPath - Lock file path
+ * @returns {Object|null} - Lock owner {pid, startedAt} or null if unreadable
+ */
+function readLockOwner(lockPath) {
+    try {
+        return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Takes the run lock for SAVE_PATH
+ * Locks left behind by scans that no longer run are taken over. The lock is
+ * handled synchronously so it can also be released from the process exit handler.
+ * @returns {Function} - Releases the lock
+ * @throws {Error} - If another running scan holds the lock
+ */
+function acquireRunLock() {
+    const lockPath = getLockPath();
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+    try {
+        fs.writeFileSync(
+            lockPath,
+            JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }),
+            { flag: 'wx' }
+        );
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+
+        const owner = readLockOwner(lockPath);
+        if (owner && owner.pid !== process.pid && isProcessAlive(owner.pid)) {
+            throw new Error(`Another scan (pid ${owner.pid}, started ${owner.startedAt}) is writing to ${SAVE_PATH}`);
+        }
+
+        fs.rmSync(lockPath, { force: true });
+        return acquireRunLock();
+    }
+
+    const release = () => {
+        process.off('exit', release);
+        fs.rmSync(lockPath, { force: true });
+    };
+    process.on('exit', release);
+
+    return release;
+}
+
+module.exports = { acquireRunLock, getLockPath };
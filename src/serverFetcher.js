@@ -6,75 +6,198 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
-const { API_URL, COUNTRY_FILTER, CITY_FILTER, SAVE_PATH } = require('./config');
+const { normalizeRelays, parseRelayList } = require('./relayModel');
+const { recordRelayChanges, describeRelayChange, summarizeRelayChanges } = require('./relayChanges');
+const { parseServerList, readServerSource } = require('./serverImport');
+const { compileFilter } = require('./filterExpression');
+const { API_URL, RELAY_TYPE, RELAY_CACHE, SERVERS_FROM, COUNTRY_FILTER, CITY_FILTER, SERVER_FILTER, PINNED_RELAYS, SAVE_PATH } = require('./config');
+
+// Unknown hostnames of an imported list named before the rest are summarized
+const MAX_REPORTED_HOSTNAMES = 10;
+
+// Cache file of the WireGuard list before each relay type was cached separately
+const LEGACY_CACHE_FILE = 'servers.json';
+
+/**
+ * Gets the relay list endpoint for a relay type
+ * @param {string} type - wireguard, openvpn, bridge or all
+ * @returns {string} - Endpoint URL
+ */
+function getRelayListUrl(type) {
+    return new URL(`${type}/`, API_URL).href;
+}
+
+/**
+ * Gets the cache file of a relay type, each type is cached separately
+ * @param {string} type - wireguard, openvpn, bridge or all
+ * @returns {string} - Cache file path
+ */
+function getCacheFile(type) {
+    return path.join(SAVE_PATH, '.cache', `servers_${type}.json`);
+}
+
+/**
+ * Reads the cached relay list of a relay type
+ * Caches written before validators were stored hold a bare list, dated by the file time
+ * @param {string} type - Relay type
+ * @returns {Promise<Object>} - Cache entry {fetchedAt, etag, lastModified, relays}
+ * @throws {Error} - If there is no readable cache
+ */
+async function readCache(type) {
+    let cacheFile = getCacheFile(type);
+    let data;
+    try {
+        data = await fs.readFile(cacheFile, 'utf8');
+    } catch (error) {
+        // Before each type was cached separately, the WireGuard list was the only one, kept in servers.json
+        if (error.code !== 'ENOENT' || type !== 'wireguard') throw error;
+        cacheFile = path.join(path.dirname(cacheFile), LEGACY_CACHE_FILE);
+        data = await fs.readFile(cacheFile, 'utf8');
+    }
+    const cached = JSON.parse(data);
+    
+    if (Array.isArray(cached)) {
+        const { mtime } = await fs.stat(cacheFile);
+        return { fetchedAt: mtime.toISOString(), etag: null, lastModified: null, relays: cached };
+    }
+    
+    return cached;
+}
+
+/**
+ * Converts a cache entry to canonical relays
+ * @param {Object} cache - Cache entry
+ * @param {string} type - Relay type
+ * @returns {Array} - Array of canonical relays
+ */
+function relaysFromCache(cache, type) {
+    return normalizeRelays(cache.relays, `cached ${type}`, type === 'all' ? null : type);
+}
 
 /**
  * Fetches server list from Mullvad API with retry mechanism
+ * Requests are conditional when a cache exists; if no answer arrives, the cached list is used instead
+ * @param {string} type - Relay type: wireguard, openvpn, bridge or all
+ * @param {Object|null} cache - Cache entry of the type, if any
  * @param {number} retries - Number of retries in case of failure
- * @returns {Promise<Array>} - Array of server objects
+ * @returns {Promise<Object>} - {servers, source: 'api'|'not-modified'|'cache', fetchedAt, changes}
  */
-async function fetchServersFromAPI(retries = 3) {
+async function fetchServersFromAPI(type, cache, retries = 3) {
     try {
-        console.log(`Fetching servers from ${API_URL}...`);
-        const response = await axios.get(API_URL, {
+        const url = getRelayListUrl(type);
+        console.log(`Fetching ${type} servers from ${url}...`);
+        
+        const headers = { 'User-Agent': 'Mullvad-Server-Ping-Tester/1.0' };
+        if (cache && cache.etag) headers['If-None-Match'] = cache.etag;
+        if (cache && cache.lastModified) headers['If-Modified-Since'] = cache.lastModified;
+        
+        const response = await axios.get(url, {
             timeout: 5000,
-            headers: {
-                'User-Agent': 'Mullvad-Server-Ping-Tester/1.0'
-            }
+            headers,
+            validateStatus: status => status === 200 || (status === 304 && Boolean(cache))
         });
         
-        if (response.status !== 200) {
-            throw new Error(`API returned status code ${response.status}`);
+        if (response.status === 304) {
+            console.log('Relay list not modified since the last fetch');
+            const fetchedAt = await saveServersToCache(cache.relays, type, cache);
+            return { servers: relaysFromCache(cache, type), source: 'not-modified', fetchedAt };
         }
         
-        console.log(`Successfully fetched ${response.data.length} servers`);
+        // Entries that do not name their type belong to the requested list
+        const servers = normalizeRelays(response.data, 'Mullvad API', type === 'all' ? null : type);
+        if (servers.length === 0) {
+            throw new Error('API response contains no valid relays');
+        }
+        
+        console.log(`Successfully fetched ${servers.length} servers`);
         
-        return response.data;
+        // Cache the raw response, it is validated again when loaded
+        const fetchedAt = await saveServersToCache(response.data, type, {
+            etag: response.headers.etag,
+            lastModified: response.headers['last-modified']
+        });
+        const changes = cache ? await trackRelayChanges(cache, servers, type, fetchedAt) : null;
+        
+        return { servers, source: 'api', fetchedAt, changes };
     } catch (error) {
         if (retries > 0) {
             console.log(`Error fetching servers: ${error.message}. Retrying... (${retries} attempts left)`);
             await new Promise(resolve => setTimeout(resolve, 1000));
-            return fetchServersFromAPI(retries - 1);
+            return fetchServersFromAPI(type, cache, retries - 1);
         }
         
         console.error('Failed to fetch servers after multiple attempts:', error.message);
         
-        // Try to load from cache as fallback
-        try {
-            return await loadServersFromCache();
-        } catch (cacheError) {
-            console.error('Could not load servers from cache:', cacheError.message);
-            return [];
+        // Fall back to the cached list, however old
+        if (!cache) {
+            console.error('Could not load servers from cache: no cached list');
+            return { servers: [], source: 'cache', fetchedAt: null };
         }
+        return { servers: relaysFromCache(cache, type), source: 'cache', fetchedAt: cache.fetchedAt };
+    }
+}
+
+/**
+ * Diffs a fetched relay list against the cached one and reports what changed
+ * Key and address changes of pinned relays are warned about, pinned configs stop working with them
+ * @param {Object} cache - Cache entry the list replaces
+ * @param {Array} servers - Canonical relays just fetched
+ * @param {string} type - Relay type
+ * @param {string} fetchedAt - Fetch time of the new list
+ * @returns {Promise<Object|null>} - Changelog entry, null if nothing changed
+ */
+async function trackRelayChanges(cache, servers, type, fetchedAt) {
+    // The cached list was reported when it was fetched, so it is parsed quietly
+    const { relays: previous } = parseRelayList(cache.relays, type === 'all' ? null : type);
+    const changes = await recordRelayChanges(previous, servers, {
+        type,
+        since: cache.fetchedAt,
+        detectedAt: fetchedAt,
+        pinned: PINNED_RELAYS.split(',').map(hostname => hostname.trim()).filter(Boolean)
+    });
+    
+    if (changes) {
+        console.log(`Relay list changes since ${cache.fetchedAt}: ${summarizeRelayChanges(changes)}`);
+        changes.pinned.forEach(change => {
+            console.warn(`Warning: pinned relay ${describeRelayChange(change)}`);
+        });
     }
+    
+    return changes;
 }
 
 /**
  * Saves servers to cache file
- * @param {Array} servers - Array of server objects
+ * @param {Array} servers - Relay list as the API returned it
+ * @param {string} type - Relay type the list was fetched for
+ * @param {Object} validators - Response headers for conditional requests {etag, lastModified}
+ * @returns {Promise<string>} - Fetch timestamp stored with the list
  */
-async function saveServersToCache(servers) {
+async function saveServersToCache(servers, type, { etag, lastModified }) {
+    const fetchedAt = new Date().toISOString();
+    
     try {
-        const cacheDir = path.join(SAVE_PATH, '.cache');
-        await fs.mkdir(cacheDir, { recursive: true });
+        const cacheFile = getCacheFile(type);
+        await fs.mkdir(path.dirname(cacheFile), { recursive: true });
         await fs.writeFile(
-            path.join(cacheDir, 'servers.json'), 
-            JSON.stringify(servers, null, 2)
+            cacheFile, 
+            JSON.stringify({ fetchedAt, etag: etag || null, lastModified: lastModified || null, relays: servers }, null, 2)
         );
     } catch (error) {
         console.error('Error saving servers to cache:', error.message);
     }
+    
+    return fetchedAt;
 }
 
 /**
  * Loads servers from cache file
- * @returns {Promise<Array>} - Array of server objects
+ * @param {string} [type] - Relay type, the configured one by default
+ * @returns {Promise<Array>} - Array of canonical relays
  */
-async function loadServersFromCache() {
+async function loadServersFromCache(type = RELAY_TYPE) {
     try {
-        const cacheFile = path.join(SAVE_PATH, '.cache', 'servers.json');
-        const data = await fs.readFile(cacheFile, 'utf8');
-        const servers = JSON.parse(data);
+        const servers = relaysFromCache(await readCache(type), type);
         console.log(`Loaded ${servers.length} servers from cache`);
         return servers;
     } catch (error) {
@@ -83,7 +206,7 @@ async function loadServersFromCache() {
 }
 
 /**
- * Filters servers based on country and city filters
+ * Filters servers based on country, city and expression filters
  * @param {Array} servers - Array of server objects
  * @returns {Array} - Filtered array of server objects
  */
@@ -108,22 +231,131 @@ function filterServers(servers) {
         console.log(`Filtered to ${filteredServers.length} servers in cities: ${CITY_FILTER}`);
     }
     
+    // Filter by expression if specified
+    if (SERVER_FILTER) {
+        filteredServers = filteredServers.filter(compileFilter(SERVER_FILTER));
+        console.log(`Filtered to ${filteredServers.length} servers matching: ${SERVER_FILTER}`);
+    }
+    
     return filteredServers;
 }
 
+/**
+ * Gets the key of the city a server is in, matching the country/city filters
+ * @param {Object} server - Server object
+ * @returns {string} - City key, e.g. 'se/Stockholm'
+ */
+function getCityKey(server) {
+    return `${server.country_code.toLowerCase()}/${server.city_name}`;
+}
+
+/**
+ * Groups servers by country and city
+ * @param {Array} servers - Array of server objects
+ * @returns {Map<string, Array>} - Servers by city key
+ */
+function groupServersByCity(servers) {
+    const groups = new Map();
+    
+    servers.forEach(server => {
+        const key = getCityKey(server);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(server);
+    });
+    
+    return groups;
+}
+
+/**
+ * Gets the relay list without asking the API when offline or while the cache is fresh
+ * @param {string} type - Relay type
+ * @returns {Promise<Object>} - {servers, source, fetchedAt}
+ */
+async function getRelayList(type) {
+    const cache = await readCache(type).catch(() => null);
+    const age = cache ? Date.now() - new Date(cache.fetchedAt).getTime() : Infinity;
+    
+    if (RELAY_CACHE.OFFLINE) {
+        if (!cache) {
+            console.error(`Offline mode: no cached ${type} relay list in ${path.dirname(getCacheFile(type))}`);
+            return { servers: [], source: 'cache', fetchedAt: null };
+        }
+        console.log(`Offline mode: using the cached ${type} relay list`);
+        return { servers: relaysFromCache(cache, type), source: 'cache', fetchedAt: cache.fetchedAt };
+    }
+    
+    if (age < RELAY_CACHE.TTL * 1000) {
+        console.log(`Using the cached ${type} relay list, refreshed after ${RELAY_CACHE.TTL}s`);
+        return { servers: relaysFromCache(cache, type), source: 'cache', fetchedAt: cache.fetchedAt };
+    }
+    
+    return fetchServersFromAPI(type, cache);
+}
+
+/**
+ * Imports a relay list from a file or stdin instead of the API
+ * JSON and CSV lists are validated like the API list, hostname lists are looked up in the
+ * relay list of the configured type, so they need the API or a cache
+ * @param {string} from - File path, or '-' for stdin
+ * @returns {Promise<Object>} - {servers, source, fetchedAt}, fetchedAt of the lookup list for hostname lists
+ * @throws {Error} - If the list yields no relays
+ */
+async function importServers(from) {
+    const origin = from === '-' ? 'stdin' : from;
+    const parsed = parseServerList(await readServerSource(from));
+    
+    if (parsed.format !== 'hostnames') {
+        const servers = normalizeRelays(parsed.relays, origin, RELAY_TYPE === 'all' ? null : RELAY_TYPE);
+        if (servers.length === 0) {
+            throw new Error(`No valid relays in ${origin}`);
+        }
+        console.log(`Imported ${servers.length} relays from ${origin}`);
+        return { servers, source: 'import', fetchedAt: null };
+    }
+    
+    const relayList = await getRelayList(RELAY_TYPE);
+    const known = new Map(relayList.servers.map(server => [server.hostname.toLowerCase(), server]));
+    const unknown = parsed.hostnames.filter(hostname => !known.has(hostname.toLowerCase()));
+    
+    if (unknown.length) {
+        const more = unknown.length > MAX_REPORTED_HOSTNAMES ? ` ...and ${unknown.length - MAX_REPORTED_HOSTNAMES} more` : '';
+        console.warn(`Skipped ${unknown.length} hostnames from ${origin} not in the ${RELAY_TYPE} relay list: ${unknown.slice(0, MAX_REPORTED_HOSTNAMES).join(', ')}${more}`);
+    }
+    
+    // Hostnames match case-insensitively, so one relay may be listed twice
+    const servers = [...new Set(parsed.hostnames
+        .filter(hostname => known.has(hostname.toLowerCase()))
+        .map(hostname => known.get(hostname.toLowerCase())))];
+    if (servers.length === 0) {
+        throw new Error(`None of the hostnames in ${origin} are in the ${RELAY_TYPE} relay list`);
+    }
+    console.log(`Imported ${servers.length} relays by hostname from ${origin}`);
+    
+    return { ...relayList, servers };
+}
+
 /**
  * Main function to fetch and filter servers
+ * @param {Object} [relayList] - Receives where the list came from {type, source, fetchedAt, ageSeconds, stale, importedFrom}
+ *                               and the changes since the previous fetch
  * @returns {Promise<Array>} - Array of filtered server objects
  */
-async function fetchServers() {
+async function fetchServers(relayList = {}) {
     try {
-        // Fetch servers from API
-        const servers = await fetchServersFromAPI();
-        
-        // Save to cache for future use
-        if (servers.length > 0) {
-            await saveServersToCache(servers);
-        }
+        // Fetch servers from an imported list, the API or cache
+        const { servers, source, fetchedAt, changes = null } = SERVERS_FROM ? await importServers(SERVERS_FROM) : await getRelayList(RELAY_TYPE);
+        const ageSeconds = fetchedAt ? Math.max(0, Math.round((Date.now() - new Date(fetchedAt).getTime()) / 1000)) : null;
+        Object.assign(relayList, {
+            type: RELAY_TYPE,
+            source,
+            fetchedAt,
+            ageSeconds,
+            stale: ageSeconds !== null && ageSeconds > RELAY_CACHE.TTL,
+            importedFrom: SERVERS_FROM ? (SERVERS_FROM === '-' ? 'stdin' : SERVERS_FROM) : null,
+            changes
+        });
         
         // Apply filters
         const filteredServers = filterServers(servers);
@@ -139,4 +371,4 @@ async function fetchServers() {
     }
 }
 
-module.exports = { fetchServers };
+module.exports = { fetchServers, importServers, loadServersFromCache, filterServers, groupServersByCity, getCityKey };
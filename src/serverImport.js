@@ -0,0 +1,134 @@
+/**
+ * Server Import Module
+ * Reads relay lists from a file or stdin: JSON in the API shape, CSV with API field names,
+ * or hostnames, one per line or separated by commas
+ */
+
+const fs = require('fs').promises;
+
+// CSV columns converted from text before validation
+const BOOLEAN_FIELDS = ['active', 'owned'];
+const NUMBER_FIELDS = ['multihop_port'];
+
+// Stdin can only be read once, watch mode reuses the first read
+let stdinText = null;
+
+/**
+ * Splits a CSV line into cells, honoring double quotes
+ * @param {string} line - CSV line
+ * @returns {Array<string>} - Cell values
+ */
+function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+
+    return cells;
+}
+
+/**
+ * Converts a CSV cell to the type the relay schema expects
+ * @param {string} field - Column name
+ * @param {string} value - Cell value
+ * @returns {*} - Converted value, undefined for empty cells
+ */
+function convertCsvValue(field, value) {
+    if (value === '') return undefined;
+    if (BOOLEAN_FIELDS.includes(field)) return value.toLowerCase() === 'true';
+    if (NUMBER_FIELDS.includes(field)) return Number(value);
+    return value;
+}
+
+/**
+ * Parses CSV with a header row of API field names into relay objects
+ * @param {Array<string>} lines - Non-empty lines, header first
+ * @returns {Array<Object>} - Relay objects, not yet validated
+ */
+function parseCsv(lines) {
+    const header = parseCsvLine(lines[0]);
+
+    return lines.slice(1).map(line => {
+        const cells = parseCsvLine(line);
+        const relay = {};
+        header.forEach((field, i) => {
+            const value = convertCsvValue(field, cells[i] || '');
+            if (value !== undefined) relay[field] = value;
+        });
+        return relay;
+    });
+}
+
+/**
+ * Detects the format of an imported relay list and parses it
+ * @param {string} text - File or stdin contents
+ * @returns {Object} - {format: 'json', relays} | {format: 'csv', relays} | {format: 'hostnames', hostnames}
+ * @throws {Error} - If JSON input cannot be parsed
+ */
+function parseServerList(text) {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        // Relay caches wrap the list with their fetch details
+        return { format: 'json', relays: Array.isArray(data.relays) ? data.relays : data };
+    }
+
+    const lines = trimmed.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+
+    // Only a header naming the hostname column makes CSV, a line such as 'se-sto-wg-001,de-fra-wg-002' lists hostnames
+    if (lines.length > 0 && parseCsvLine(lines[0]).includes('hostname')) {
+        return { format: 'csv', relays: parseCsv(lines) };
+    }
+
+    const hostnames = lines.flatMap(line => line.split(',')).map(hostname => hostname.trim()).filter(Boolean);
+    return { format: 'hostnames', hostnames: [...new Set(hostnames)] };
+}
+
+/**
+ * Reads the text of a relay list source
+ * @param {string} source - File path, or '-' for stdin
+ * @returns {Promise<string>} - Contents
+ */
+async function readServerSource(source) {
+    if (source !== '-') {
+        return fs.readFile(source, 'utf8');
+    }
+
+    if (stdinText === null) {
+        stdinText = await new Promise((resolve, reject) => {
+            let data = '';
+            process.stdin.setEncoding('utf8');
+            process.stdin.on('data', chunk => { data += chunk; });
+            process.stdin.on('end', () => resolve(data));
+            process.stdin.on('error', reject);
+        });
+    }
+
+    return stdinText;
+}
+
+module.exports = { parseServerList, readServerSource, parseCsvLine };
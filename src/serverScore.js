@@ -0,0 +1,158 @@
+/**
+ * Server Score Module
+ * Rates servers from 0 to 100 by combining current latency, jitter and loss
+ * with the reliability and stability of their history
+ */
+
+const { SCORE } = require('./config');
+
+const COMPONENTS = ['latency', 'jitter', 'loss', 'reliability', 'stability'];
+
+// Latency and jitter that score 50, lower values approach 100
+const LATENCY_MIDPOINT_MS = 50;
+const JITTER_MIDPOINT_MS = 5;
+
+/**
+ * Parses weights such as 'latency=0.5,loss=0.3'
+ * @param {string} text - Comma-separated component=weight pairs
+ * @returns {Object} - Weights by component, only those given
+ * @throws {Error} - If a component is unknown or a weight is not a non-negative number
+ */
+function parseWeights(text) {
+    const weights = {};
+
+    text.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+        const [name, value] = pair.split('=').map(part => part.trim());
+        const component = name.toLowerCase();
+        if (!COMPONENTS.includes(component)) {
+            throw new Error(`Unknown score component '${name}', use ${COMPONENTS.join(', ')}`);
+        }
+        const weight = Number(value);
+        if (value === undefined || value === '' || !(weight >= 0)) {
+            throw new Error(`Invalid weight for ${component}: ${value}`);
+        }
+        weights[component] = weight;
+    });
+
+    return weights;
+}
+
+/**
+ * Gets the configured weights
+ * @returns {Object} - Weights by component
+ * @throws {Error} - If a weight is not a non-negative number or all of them are zero
+ */
+function getWeights() {
+    const weights = Object.fromEntries(COMPONENTS.map(component => [component, Number(SCORE.WEIGHTS[component.toUpperCase()])]));
+    COMPONENTS.forEach(component => {
+        if (!(weights[component] >= 0)) {
+            throw new Error(`Invalid weight for ${component}: ${SCORE.WEIGHTS[component.toUpperCase()]}`);
+        }
+    });
+    if (!(Object.values(weights).reduce((sum, weight) => sum + weight, 0) > 0)) {
+        throw new Error('Score weights must not all be zero');
+    }
+    return weights;
+}
+
+/**
+ * Converts a history statistic to a number
+ * @param {string|undefined} value - Statistic from analyzeServerHistory
+ * @returns {number|null} - Value, null if the history could not provide it
+ */
+function toStatistic(value) {
+    const number = Number(value);
+    return value === undefined || !Number.isFinite(number) ? null : Math.max(0, Math.min(100, number));
+}
+
+/**
+ * Scores a server
+ * Components without data (no jitter measured, no history) are left out and the weights
+ * of the others are scaled up, so a new server is not penalised for its missing history
+ * @param {Object} result - Latest result of the server
+ * @param {Object} [history] - History analysis from analyzeServerHistory
+ * @param {Object} [weights] - Weights by component, the configured ones by default
+ * @returns {Object} - {score, components: {name: {score, weight, value}}, missing: [name], unreachable}
+ */
+function scoreServer(result, history, weights = getWeights()) {
+    if (result.ping === 9999) {
+        return { score: 0, components: {}, missing: [], unreachable: true };
+    }
+
+    const statistics = history && history.statistics;
+    const values = {
+        latency: { score: 100 * LATENCY_MIDPOINT_MS / (LATENCY_MIDPOINT_MS + result.ping), value: result.ping },
+        jitter: typeof result.jitter === 'number'
+            ? { score: 100 * JITTER_MIDPOINT_MS / (JITTER_MIDPOINT_MS + result.jitter), value: result.jitter }
+            : null,
+        loss: { score: 100 - (Number(result.packetLoss) || 0), value: Number(result.packetLoss) || 0 },
+        reliability: statistics && toStatistic(statistics.reliability) !== null
+            ? { score: toStatistic(statistics.reliability), value: history.dataPoints }
+            : null,
+        stability: statistics && toStatistic(statistics.stability) !== null
+            ? { score: toStatistic(statistics.stability), value: Number(statistics.stdDev) }
+            : null
+    };
+
+    const used = COMPONENTS.filter(component => values[component] && weights[component] > 0);
+    const total = used.reduce((sum, component) => sum + weights[component], 0);
+    const components = {};
+    used.forEach(component => {
+        components[component] = { ...values[component], weight: weights[component] / total };
+    });
+
+    return {
+        score: used.reduce((sum, component) => sum + components[component].score * components[component].weight, 0),
+        components,
+        missing: COMPONENTS.filter(component => !values[component] && weights[component] > 0)
+    };
+}
+
+/**
+ * Explains a score component by component
+ * @param {Object} scored - Result of scoreServer
+ * @returns {Array<string>} - One line per component, e.g. 'latency 71/100 × 40% (20.40 ms)'
+ */
+function explainScore(scored) {
+    if (scored.unreachable) {
+        return ['unreachable in the latest run'];
+    }
+
+    const details = {
+        latency: value => `${value.toFixed(2)} ms`,
+        jitter: value => `${value.toFixed(2)} ms`,
+        loss: value => `${value}% lost`,
+        reliability: value => `${value} data points`,
+        stability: value => `std dev ${value.toFixed(2)} ms`
+    };
+    const lines = Object.entries(scored.components).map(([component, { score, weight, value }]) =>
+        `${component} ${Math.round(score)}/100 × ${Math.round(weight * 100)}% (${details[component](value)})`);
+    if (scored.missing.length) {
+        lines.push(`no data for ${scored.missing.join(', ')}, left out`);
+    }
+
+    return lines;
+}
+
+/**
+ * Picks the best scored servers of each country, leaving out those unreachable in the latest run
+ * @param {Array} scored - Servers {hostname, country, city, score, ...}
+ * @param {number} top - Servers per country
+ * @returns {Array<Object>} - {country, servers} by country name, servers best first
+ */
+function recommendByCountry(scored, top) {
+    const countries = new Map();
+    scored.filter(server => !server.unreachable).forEach(server => {
+        if (!countries.has(server.country)) countries.set(server.country, []);
+        countries.get(server.country).push(server);
+    });
+
+    return [...countries.entries()]
+        .sort(([a], [b]) => String(a).localeCompare(String(b)))
+        .map(([country, servers]) => ({
+            country,
+            servers: servers.sort((a, b) => b.score - a.score).slice(0, top)
+        }));
+}
+
+module.exports = { COMPONENTS, parseWeights, getWeights, scoreServer, explainScore, recommendByCountry };
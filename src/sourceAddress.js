@@ -0,0 +1,133 @@
+/**
+ * Source Address Module
+ * Resolves the local interface or address that probes are bound to
+ */
+
+const net = require('net');
+const os = require('os');
+
+/**
+ * Gets the IP family of an interface address
+ * @param {Object} address - Entry of os.networkInterfaces()
+ * @returns {number} - 4 or 6
+ */
+function getFamily(address) {
+    // Node 18.0-18.3 reports the family as a number
+    return address.family === 'IPv6' || address.family === 6 ? 6 : 4;
+}
+
+/**
+ * Checks whether probes can be bound to an interface address
+ * @param {Object} address - Entry of os.networkInterfaces()
+ * @returns {boolean} - False for link-local IPv6 addresses, which need a scope id
+ */
+function isUsable(address) {
+    return !(getFamily(address) === 6 && address.address.toLowerCase().startsWith('fe80'));
+}
+
+/**
+ * Resolves an interface name or local address to the addresses probes are sent from
+ * @param {string} spec - Interface name (e.g. wlan0) or local IP address
+ * @param {string} ipVersion - IP family probed: 4, 6 or both
+ * @param {Object} [interfaces] - Local interfaces, os.networkInterfaces() by default
+ * @returns {Object} - Source {label, interface, v4, v6}
+ * @throws {Error} - If the interface or address is unknown or lacks an address of a probed family
+ */
+function resolveSource(spec, ipVersion, interfaces = os.networkInterfaces()) {
+    let name = spec;
+    let addresses = interfaces[spec];
+
+    if (net.isIP(spec)) {
+        name = Object.keys(interfaces).find(key => interfaces[key].some(address => address.address === spec));
+        if (!name) {
+            throw new Error(`Source address ${spec} is not assigned to a local interface`);
+        }
+        addresses = interfaces[name].filter(address => address.address === spec);
+    } else if (!addresses) {
+        throw new Error(`Unknown network interface: ${spec}. Available: ${Object.keys(interfaces).join(', ')}`);
+    }
+
+    const pick = family => {
+        const match = addresses.find(address => getFamily(address) === family && isUsable(address));
+        return match ? match.address : undefined;
+    };
+    const source = { label: spec, interface: name, v4: pick(4), v6: pick(6) };
+
+    const families = ipVersion === 'both' ? [4, 6] : [ipVersion === '6' ? 6 : 4];
+    families.forEach(family => {
+        if (!source[`v${family}`]) {
+            throw new Error(`${spec} has no usable IPv${family} address`);
+        }
+    });
+
+    return source;
+}
+
+/**
+ * Gets the local address to send probes to a host from
+ * @param {Object|null} source - Resolved source, null for the default route
+ * @param {string} host - IP address being probed
+ * @returns {string|undefined} - Local address of the host's family, undefined for the default route
+ */
+function getLocalAddress(source, host) {
+    if (!source) return undefined;
+    return net.isIPv6(host) ? source.v6 : source.v4;
+}
+
+/**
+ * Gets the ping arguments that send probes from a source
+ * Linux ping binds to an interface given by name (SO_BINDTODEVICE), so its probes leave through
+ * that interface whatever the routing table says; otherwise only the source address is set
+ * @param {Object|null} source - Resolved source, null for the default route
+ * @param {string} host - IP address being probed
+ * @param {string} [platform] - Operating system, os.platform() by default
+ * @returns {Array<string>} - Arguments for ping, empty for the default route
+ */
+function getPingSourceArgs(source, host, platform = os.platform()) {
+    const localAddress = getLocalAddress(source, host);
+    if (!localAddress) return [];
+
+    if (platform === 'linux') {
+        return ['-I', source.label === source.interface ? source.interface : localAddress];
+    }
+    // Source address: -S in macOS and Windows
+    return ['-S', localAddress];
+}
+
+/**
+ * Explains when probes from an interface are only bound to its address
+ * Node sockets cannot bind to a device, so TCP and WireGuard probes, and ping outside Linux,
+ * leave through the interface the routing table picks for the server unless a rule routes
+ * the source address through the one asked for
+ * @param {Object|null} source - Resolved source, null for the default route
+ * @param {Object} probes - Probes sent {probeMode, handshake, platform}, platform os.platform() by default
+ * @returns {string|null} - Warning, null if the probes are bound to the interface or no interface is asked for
+ */
+function getBindingWarning(source, { probeMode, handshake, platform = os.platform() }) {
+    if (!source || source.label !== source.interface) return null;
+
+    const unbound = [];
+    if (probeMode === 'tcp') unbound.push('TCP');
+    else if (platform !== 'linux') unbound.push('ICMP');
+    if (handshake) unbound.push('WireGuard');
+    if (!unbound.length) return null;
+
+    const address = source.v4 || source.v6;
+    return `${unbound.join(' and ')} probes can only bind to the address of ${source.interface} (${address}), `
+        + `they follow the routing table unless a rule routes that address through ${source.interface}`
+        + (platform === 'linux' ? ` (ip rule add from ${address} table <table of ${source.interface}>)` : '');
+}
+
+/**
+ * Lists the interfaces or addresses the configuration binds probes to
+ * @param {Object} settings - {SOURCE_INTERFACE, SOURCE_ADDRESS, COMPARE_INTERFACES}
+ * @returns {Array<string>} - One spec per link, empty for the default route
+ */
+function getSourceSpecs({ SOURCE_INTERFACE, SOURCE_ADDRESS, COMPARE_INTERFACES }) {
+    if (COMPARE_INTERFACES) {
+        return COMPARE_INTERFACES.split(',').map(spec => spec.trim()).filter(Boolean);
+    }
+    return [SOURCE_INTERFACE || SOURCE_ADDRESS].filter(Boolean);
+}
+
+module.exports = { resolveSource, getLocalAddress, getPingSourceArgs, getBindingWarning, getSourceSpecs };
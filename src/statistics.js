@@ -0,0 +1,127 @@
+/**
+ * Statistics Module
+ * Computes latency statistics from raw per-packet times
+ */
+
+// Gain of the RFC 3550 jitter estimator
+const JITTER_GAIN = 1 / 16;
+
+/**
+ * Computes a percentile with linear interpolation between closest ranks
+ * @param {Array<number>} values - Sample values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} - Percentile value or null for empty input
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Computes RFC 3550 interarrival jitter over consecutive round-trip times
+ * @param {Array<number>} times - Round-trip times in the order they were measured
+ * @returns {number} - Jitter estimate in ms
+ */
+function interarrivalJitter(times) {
+    let jitter = 0;
+
+    for (let i = 1; i < times.length; i++) {
+        const difference = Math.abs(times[i] - times[i - 1]);
+        jitter += (difference - jitter) * JITTER_GAIN;
+    }
+
+    return jitter;
+}
+
+/**
+ * Computes the latency distribution of a set of samples
+ * @param {Array<number>} times - Round-trip times in the order they were measured
+ * @returns {Object} - {p50, p95, p99, jitter}
+ */
+function latencyDistribution(times) {
+    return {
+        p50: percentile(times, 50),
+        p95: percentile(times, 95),
+        p99: percentile(times, 99),
+        jitter: interarrivalJitter(times)
+    };
+}
+
+/**
+ * Summarizes probe samples into the same shape the ping package returns
+ * @param {Array<number|null>} samples - Round-trip times, null for lost attempts
+ * @returns {Object} - Probe result {alive, time, times, min, max, avg, stddev, packetLoss}
+ */
+function summarizeSamples(samples) {
+    const times = samples.filter(time => time !== null);
+    const packetLoss = samples.length
+        ? ((samples.length - times.length) / samples.length) * 100
+        : 100;
+
+    if (times.length === 0) {
+        return { alive: false, times, packetLoss };
+    }
+
+    const avg = times.reduce((sum, time) => sum + time, 0) / times.length;
+    const stddev = Math.sqrt(times.reduce((sum, time) => sum + Math.pow(time - avg, 2), 0) / times.length);
+
+    return {
+        alive: true,
+        time: avg,
+        times,
+        min: Math.min(...times),
+        max: Math.max(...times),
+        avg,
+        stddev,
+        packetLoss
+    };
+}
+
+/**
+ * Computes the exponentially weighted mean and standard deviation of a series
+ * @param {Array<number>} values - Values oldest first, at least one
+ * @param {number} alpha - Weight of each newer value (0-1)
+ * @returns {Object} - {mean, stdDev}
+ */
+function ewma(values, alpha) {
+    let mean = values[0];
+    let variance = 0;
+
+    for (let i = 1; i < values.length; i++) {
+        const difference = values[i] - mean;
+        const increment = alpha * difference;
+        mean += increment;
+        variance = (1 - alpha) * (variance + difference * increment);
+    }
+
+    return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Computes the two-sided normal confidence that a deviation is not noise
+ * Uses the Abramowitz-Stegun approximation of the error function (error below 1.5e-7)
+ * @param {number} zScore - Deviation in standard deviations
+ * @returns {number} - Confidence (0-1)
+ */
+function normalConfidence(zScore) {
+    const x = Math.abs(zScore) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const polynomial = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+
+    return 1 - polynomial * Math.exp(-x * x);
+}
+
+module.exports = {
+    percentile,
+    interarrivalJitter,
+    latencyDistribution,
+    summarizeSamples,
+    ewma,
+    normalConfidence
+};
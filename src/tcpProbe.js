@@ -0,0 +1,78 @@
+/**
+ * TCP Probe Module
+ * Measures latency by timing TCP handshakes for networks that drop ICMP
+ */
+
+const net = require('net');
+const { summarizeSamples } = require('./statistics');
+const { throwIfAborted, sleep } = require('./cancellation');
+
+/**
+ * Converts a start mark from process.hrtime.bigint() to elapsed milliseconds
+ * @param {bigint} start - Start mark
+ * @returns {number} - Elapsed time in ms
+ */
+function elapsedMs(start) {
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Times a single TCP handshake
+ * @param {string} host - IP address to connect to
+ * @param {number} port - TCP port to connect to
+ * @param {number} timeout - Connection timeout in ms
+ * @param {AbortSignal} [signal] - Signal that abandons the handshake
+ * @param {string} [localAddress] - Local address to connect from, the default route if omitted
+ * @returns {Promise<number|null>} - Handshake time in ms or null if no answer was received
+ */
+function measureHandshake(host, port, timeout, signal, localAddress) {
+    return new Promise(resolve => {
+        const start = process.hrtime.bigint();
+        const socket = net.connect({ host, port, localAddress });
+
+        const onAbort = () => finish(null);
+        const finish = time => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            socket.destroy();
+            resolve(time);
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        socket.setTimeout(timeout);
+        socket.once('connect', () => finish(elapsedMs(start)));
+        socket.once('timeout', () => finish(null));
+        socket.once('error', error => {
+            // A refused connection still means the relay answered our SYN
+            finish(error.code === 'ECONNREFUSED' ? elapsedMs(start) : null);
+        });
+    });
+}
+
+/**
+ * Probes a host with sequential TCP handshakes
+ * @param {string} host - IP address to probe
+ * @param {Object} options - Probe options
+ * @param {number} options.port - TCP port to connect to
+ * @param {number} options.count - Number of handshakes to perform
+ * @param {number} options.timeout - Timeout per handshake in ms
+ * @param {number} [options.interval] - Delay between handshakes in ms
+ * @param {AbortSignal} [options.signal] - Signal that stops the probe with an AbortError
+ * @param {string} [options.localAddress] - Local address to connect from, the default route if omitted
+ * @returns {Promise<Object>} - Probe result in the ping package shape
+ */
+async function probe(host, { port, count, timeout, interval = 0, signal, localAddress }) {
+    const samples = [];
+
+    for (let i = 0; i < count; i++) {
+        if (i > 0 && interval > 0) {
+            await sleep(interval, signal);
+        }
+        throwIfAborted(signal);
+        samples.push(await measureHandshake(host, port, timeout, signal, localAddress));
+    }
+    throwIfAborted(signal);
+
+    return summarizeSamples(samples);
+}
+
+module.exports = { probe, measureHandshake };
@@ -0,0 +1,103 @@
+/**
+ * Watch Mode Module
+ * Rescans servers on a schedule, probing the watchlist more often than the full list
+ */
+
+const { sleep, isAbortError } = require('./cancellation');
+
+/**
+ * Creates the schedule of full and watchlist scans
+ * Scans are spaced from their start, so a slow scan does not push the next ones back
+ * @param {Object} options - Schedule options
+ * @param {number} options.interval - Time between full scans in ms
+ * @param {number} [options.watchlistInterval] - Time between watchlist scans in ms (0 = off)
+ * @param {number} [options.now] - Start time in ms
+ * @returns {Object} - Schedule {next, completed}
+ */
+function createWatchSchedule({ interval, watchlistInterval = 0, now = Date.now() }) {
+    let nextFull = now;
+    let nextWatchlist = Infinity;
+
+    return {
+        /**
+         * Gets the next scan to run
+         * @param {number} time - Current time in ms
+         * @returns {Object} - {scope: 'full'|'watchlist', delay} with the delay in ms
+         */
+        next(time) {
+            const scope = nextFull <= nextWatchlist ? 'full' : 'watchlist';
+            const at = scope === 'full' ? nextFull : nextWatchlist;
+            return { scope, delay: Math.max(0, at - time) };
+        },
+
+        /**
+         * Records a finished scan
+         * @param {string} scope - 'full' or 'watchlist'
+         * @param {number} startedAt - When the scan started in ms
+         * @param {number} finishedAt - When the scan finished in ms
+         */
+        completed(scope, startedAt, finishedAt) {
+            if (scope === 'full') {
+                nextFull = startedAt + interval;
+                // A full scan also refreshes the watchlist
+                nextWatchlist = watchlistInterval > 0 ? finishedAt + watchlistInterval : Infinity;
+            } else {
+                nextWatchlist = startedAt + watchlistInterval;
+            }
+        }
+    };
+}
+
+/**
+ * Selects the watchlist servers
+ * @param {Array} servers - Array of server objects
+ * @param {string} watchlist - Comma-separated hostnames
+ * @returns {Array} - Servers on the watchlist
+ */
+function selectWatchlist(servers, watchlist) {
+    const hostnames = new Set(watchlist.split(',').map(hostname => hostname.trim().toLowerCase()).filter(Boolean));
+    return servers.filter(server => hostnames.has(server.hostname.toLowerCase()));
+}
+
+/**
+ * Replaces the latest results of watchlist servers with fresh ones
+ * @param {Array} latestResults - Results of the last scan
+ * @param {Array} watchlistResults - Results of the watchlist scan
+ * @returns {Array} - Latest results with the watchlist rows refreshed
+ */
+function mergeWatchlistResults(latestResults, watchlistResults) {
+    const fresh = new Map(watchlistResults.map(result => [result.hostname, result]));
+    const merged = latestResults.map(result => fresh.get(result.hostname) || result);
+    const known = new Set(latestResults.map(result => result.hostname));
+
+    return [...merged, ...watchlistResults.filter(result => !known.has(result.hostname))];
+}
+
+/**
+ * Runs scans on a schedule until the signal is aborted
+ * @param {Object} schedule - Schedule from createWatchSchedule
+ * @param {Function} runScan - Runs one scan, receives the scope
+ * @param {AbortSignal} signal - Signal that stops watching
+ * @returns {Promise<void>}
+ */
+async function runWatch(schedule, runScan, signal) {
+    while (!signal.aborted) {
+        const { scope, delay } = schedule.next(Date.now());
+
+        if (delay > 0) {
+            console.log(`Next ${scope} scan at ${new Date(Date.now() + delay).toLocaleTimeString()}`);
+            try {
+                await sleep(delay, signal);
+            } catch (error) {
+                if (isAbortError(error)) break;
+                throw error;
+            }
+        }
+
+        const startedAt = Date.now();
+        await runScan(scope);
+        schedule.completed(scope, startedAt, Date.now());
+    }
+}
+
+module.exports = { createWatchSchedule, selectWatchlist, mergeWatchlistResults, runWatch };
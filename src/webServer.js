@@ -7,10 +7,16 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
 const { WEB_SERVER, SAVE_PATH } = require('./config');
+const { readChangelog } = require('./relayChanges');
+const { queryHistory } = require('./historyStore');
+const { queryRollups } = require('./historyRollups');
+const { buildHeatmaps, findBestRelays } = require('./historyAnalyzer');
+const { parseDays, parseHour } = require('./hourOfWeek');
+const { generateHeatmapPage } = require('./outputGenerator');
 
 /**
  * Starts the web server
- * @returns {Promise<void>}
+ * @returns {Promise<http.Server|undefined>} - Running server, undefined if disabled
  */
 async function startWebServer() {
     if (!WEB_SERVER.ENABLED) {
@@ -152,13 +158,80 @@ async function startWebServer() {
         }
     });
 
+    // API endpoint to query the history store by server, country and time range
+    app.get('/api/history', async (req, res) => {
+        try {
+            const { hostname, country, from, to } = req.query;
+            res.json(await queryHistory({ hostname, country, from, to }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // API endpoint to query the hourly and daily rollups of runs past the raw retention period
+    app.get('/api/history/rollups', async (req, res) => {
+        try {
+            const { hostname, country, from, to } = req.query;
+            res.json(await queryRollups({ hostname, country, from, to }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // API endpoint to get hour-of-week heatmaps per server or city (by=city)
+    app.get('/api/heatmap', async (req, res) => {
+        try {
+            const { by, hostname, country, city, from, to } = req.query;
+            res.json(await buildHeatmaps({ by: by === 'city' ? 'city' : 'server', hostname, country, city, from, to }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // API endpoint to rank relays by their usual ping at an hour, e.g. ?at=20:00&days=weekdays
+    app.get('/api/best-relay', async (req, res) => {
+        try {
+            const hour = parseHour(req.query.at || '');
+            if (hour === null) {
+                return res.status(400).json({ error: 'Parameter at must be an hour, e.g. 20:00' });
+            }
+            const { country, city, from, to } = req.query;
+            res.json(await findBestRelays({ hour, days: parseDays(req.query.days || 'all'), country, city, from, to }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Heatmap page, with the same parameters as /api/heatmap
+    app.get('/heatmap', async (req, res) => {
+        try {
+            const { by, hostname, country, city, from, to } = req.query;
+            const byCity = by === 'city';
+            const heatmaps = await buildHeatmaps({ by: byCity ? 'city' : 'server', hostname, country, city, from, to });
+            res.send(generateHeatmapPage(heatmaps, `Ping by Hour of Week per ${byCity ? 'City' : 'Server'}`));
+        } catch (error) {
+            // Plain text: the message may echo the query, which must not render as HTML
+            res.status(400).type('text').send(error.message);
+        }
+    });
+
+    // API endpoint to get the latest relay list changes, newest first
+    app.get('/api/relay-changes', async (req, res) => {
+        try {
+            const limit = parseInt(req.query.limit, 10) || 50;
+            res.json(await readChangelog(limit));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
     // Serve index.html for all other routes
     app.get('*', (req, res) => {
         res.sendFile('ping_results_latest.html', { root: SAVE_PATH });
     });
 
     // Start the server
-    app.listen(port, host, () => {
+    return app.listen(port, host, () => {
         console.log(`Web server running at http://${host}:${port}/`);
         console.log(`View latest results at http://${host}:${port}/ping_results_latest.html`);
     });
@@ -0,0 +1,410 @@
+/**
+ * WireGuard Probe Module
+ * Measures the latency a tunnel would see by timing WireGuard handshakes over UDP
+ *
+ * Relays only answer initiations from keys registered to an account (or send a cookie
+ * reply when under load), so the ephemeral key probe() falls back to only reaches local
+ * stand-ins and loaded relays; the command line requires WG_PRIVATE_KEY for real relays.
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const { summarizeSamples } = require('./statistics');
+const { throwIfAborted, sleep } = require('./cancellation');
+
+const CONSTRUCTION = 'Noise_IKpsk2_25519_ChaChaPoly_BLAKE2s';
+const IDENTIFIER = 'WireGuard v1 zx2c4 Jason@zx2c4.com';
+const LABEL_MAC1 = 'mac1----';
+
+const MESSAGE_INITIATION = 1;
+const MESSAGE_RESPONSE = 2;
+const MESSAGE_COOKIE_REPLY = 3;
+const INITIATION_SIZE = 148;
+const RESPONSE_SIZE = 92;
+const COOKIE_REPLY_SIZE = 64;
+
+// DER prefixes for wrapping raw X25519 keys so node's crypto can import them
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+const X25519_SPKI_PREFIX = Buffer.from('302a300506032b656e032100', 'hex');
+
+const BLAKE2S_IV = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+const BLAKE2S_SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+
+/**
+ * Runs the BLAKE2s compression function over one 64-byte block
+ * @param {Uint32Array} h - Hash state, updated in place
+ * @param {Buffer} block - 64-byte message block
+ * @param {number} counter - Number of bytes hashed so far, including this block
+ * @param {boolean} last - Whether this is the final block
+ */
+function blake2sCompress(h, block, counter, last) {
+    const v = new Uint32Array(16);
+    const m = new Uint32Array(16);
+
+    for (let i = 0; i < 8; i++) {
+        v[i] = h[i];
+        v[i + 8] = BLAKE2S_IV[i];
+    }
+    for (let i = 0; i < 16; i++) {
+        m[i] = block.readUInt32LE(i * 4);
+    }
+
+    v[12] ^= counter;
+    v[13] ^= Math.floor(counter / 0x100000000);
+    if (last) v[14] = ~v[14];
+
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    const mix = (a, b, c, d, x, y) => {
+        v[a] = v[a] + v[b] + x;
+        v[d] = rotr(v[d] ^ v[a], 16);
+        v[c] = v[c] + v[d];
+        v[b] = rotr(v[b] ^ v[c], 12);
+        v[a] = v[a] + v[b] + y;
+        v[d] = rotr(v[d] ^ v[a], 8);
+        v[c] = v[c] + v[d];
+        v[b] = rotr(v[b] ^ v[c], 7);
+    };
+
+    for (const s of BLAKE2S_SIGMA) {
+        mix(0, 4, 8, 12, m[s[0]], m[s[1]]);
+        mix(1, 5, 9, 13, m[s[2]], m[s[3]]);
+        mix(2, 6, 10, 14, m[s[4]], m[s[5]]);
+        mix(3, 7, 11, 15, m[s[6]], m[s[7]]);
+        mix(0, 5, 10, 15, m[s[8]], m[s[9]]);
+        mix(1, 6, 11, 12, m[s[10]], m[s[11]]);
+        mix(2, 7, 8, 13, m[s[12]], m[s[13]]);
+        mix(3, 4, 9, 14, m[s[14]], m[s[15]]);
+    }
+
+    for (let i = 0; i < 8; i++) {
+        h[i] ^= v[i] ^ v[i + 8];
+    }
+}
+
+/**
+ * Computes a (optionally keyed) BLAKE2s digest
+ * Node only exposes unkeyed BLAKE2s-256, while WireGuard's MAC needs keyed BLAKE2s-128
+ * @param {Buffer} input - Data to hash
+ * @param {number} outputLength - Digest length in bytes (1-32)
+ * @param {Buffer} key - Optional key (up to 32 bytes)
+ * @returns {Buffer} - Digest
+ */
+function blake2s(input, outputLength = 32, key = Buffer.alloc(0)) {
+    const h = Uint32Array.from(BLAKE2S_IV);
+    h[0] ^= 0x01010000 ^ (key.length << 8) ^ outputLength;
+
+    let data = input;
+    if (key.length > 0) {
+        const keyBlock = Buffer.alloc(64);
+        key.copy(keyBlock);
+        data = Buffer.concat([keyBlock, input]);
+    }
+
+    const blockCount = Math.max(1, Math.ceil(data.length / 64));
+    for (let i = 0; i < blockCount; i++) {
+        const last = i === blockCount - 1;
+        const block = Buffer.alloc(64);
+        data.copy(block, 0, i * 64, Math.min(data.length, (i + 1) * 64));
+        blake2sCompress(h, block, last ? data.length : (i + 1) * 64, last);
+    }
+
+    const digest = Buffer.alloc(32);
+    h.forEach((word, i) => digest.writeUInt32LE(word, i * 4));
+    return digest.subarray(0, outputLength);
+}
+
+/**
+ * HASH() from the WireGuard paper: BLAKE2s-256 over the concatenated inputs
+ * @param {...(Buffer|string)} parts - Data to hash
+ * @returns {Buffer} - 32-byte digest
+ */
+function hash(...parts) {
+    const hasher = crypto.createHash('blake2s256');
+    parts.forEach(part => hasher.update(part));
+    return hasher.digest();
+}
+
+/**
+ * HMAC-BLAKE2s-256
+ * @param {Buffer} key - HMAC key
+ * @param {Buffer} data - Data to authenticate
+ * @returns {Buffer} - 32-byte MAC
+ */
+function hmac(key, data) {
+    return crypto.createHmac('blake2s256', key).update(data).digest();
+}
+
+/**
+ * KDFn() from the WireGuard paper (HKDF over HMAC-BLAKE2s)
+ * @param {Buffer} key - Chaining key
+ * @param {Buffer} input - Input key material
+ * @param {number} count - Number of 32-byte outputs
+ * @returns {Array<Buffer>} - Derived keys
+ */
+function kdf(key, input, count) {
+    const prk = hmac(key, input);
+    const outputs = [];
+    let previous = Buffer.alloc(0);
+
+    for (let i = 1; i <= count; i++) {
+        previous = hmac(prk, Buffer.concat([previous, Buffer.from([i])]));
+        outputs.push(previous);
+    }
+
+    return outputs;
+}
+
+/**
+ * ChaCha20-Poly1305 encryption with WireGuard's counter-based nonce
+ * @param {Buffer} key - 32-byte key
+ * @param {number} counter - Nonce counter
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Buffer} aad - Additional authenticated data
+ * @returns {Buffer} - Ciphertext followed by the 16-byte tag
+ */
+function aeadEncrypt(key, counter, plaintext, aad) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64LE(BigInt(counter), 4);
+
+    const cipher = crypto.createCipheriv('chacha20-poly1305', key, nonce, { authTagLength: 16 });
+    cipher.setAAD(aad, { plaintextLength: plaintext.length });
+
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Curve25519 Diffie-Hellman between raw keys
+ * @param {Buffer} privateKey - 32-byte private key
+ * @param {Buffer} publicKey - 32-byte public key
+ * @returns {Buffer} - Shared secret
+ */
+function dh(privateKey, publicKey) {
+    return crypto.diffieHellman({
+        privateKey: crypto.createPrivateKey({
+            key: Buffer.concat([X25519_PKCS8_PREFIX, privateKey]),
+            format: 'der',
+            type: 'pkcs8'
+        }),
+        publicKey: crypto.createPublicKey({
+            key: Buffer.concat([X25519_SPKI_PREFIX, publicKey]),
+            format: 'der',
+            type: 'spki'
+        })
+    });
+}
+
+/**
+ * Generates a Curve25519 key pair, or derives the public half of a given private key
+ * @param {Buffer} [privateKey] - Existing 32-byte private key
+ * @returns {Object} - Raw key pair {privateKey, publicKey}
+ */
+function generateKeyPair(privateKey) {
+    const keyObject = privateKey
+        ? crypto.createPrivateKey({
+            key: Buffer.concat([X25519_PKCS8_PREFIX, privateKey]),
+            format: 'der',
+            type: 'pkcs8'
+        })
+        : crypto.generateKeyPairSync('x25519').privateKey;
+
+    const publicKeyObject = crypto.createPublicKey(keyObject);
+
+    return {
+        privateKey: keyObject.export({ format: 'der', type: 'pkcs8' }).subarray(-32),
+        publicKey: publicKeyObject.export({ format: 'der', type: 'spki' }).subarray(-32)
+    };
+}
+
+/**
+ * Builds a TAI64N timestamp for the current time
+ * @returns {Buffer} - 12-byte timestamp
+ */
+function tai64n() {
+    const now = BigInt(Date.now());
+    const timestamp = Buffer.alloc(12);
+    timestamp.writeBigUInt64BE(0x400000000000000an + now / 1000n, 0);
+    timestamp.writeUInt32BE(Number(now % 1000n) * 1000000, 8);
+    return timestamp;
+}
+
+/**
+ * Builds a handshake initiation message for a relay
+ * @param {Buffer} relayPublicKey - Relay's 32-byte static public key
+ * @param {Object} staticKeys - Local static key pair {privateKey, publicKey}
+ * @returns {Object} - {packet, senderIndex}
+ */
+function createInitiation(relayPublicKey, staticKeys) {
+    const ephemeral = generateKeyPair();
+    const senderIndex = crypto.randomBytes(4).readUInt32LE(0);
+
+    let chainingKey = hash(CONSTRUCTION);
+    let handshakeHash = hash(chainingKey, IDENTIFIER);
+    handshakeHash = hash(handshakeHash, relayPublicKey);
+
+    [chainingKey] = kdf(chainingKey, ephemeral.publicKey, 1);
+    handshakeHash = hash(handshakeHash, ephemeral.publicKey);
+
+    let key;
+    [chainingKey, key] = kdf(chainingKey, dh(ephemeral.privateKey, relayPublicKey), 2);
+    const encryptedStatic = aeadEncrypt(key, 0, staticKeys.publicKey, handshakeHash);
+    handshakeHash = hash(handshakeHash, encryptedStatic);
+
+    [chainingKey, key] = kdf(chainingKey, dh(staticKeys.privateKey, relayPublicKey), 2);
+    const encryptedTimestamp = aeadEncrypt(key, 0, tai64n(), handshakeHash);
+
+    const packet = Buffer.alloc(INITIATION_SIZE);
+    packet.writeUInt8(MESSAGE_INITIATION, 0);
+    packet.writeUInt32LE(senderIndex, 4);
+    ephemeral.publicKey.copy(packet, 8);
+    encryptedStatic.copy(packet, 40);
+    encryptedTimestamp.copy(packet, 88);
+
+    // mac1 covers everything before it; mac2 stays zero as we hold no cookie
+    const mac1 = blake2s(packet.subarray(0, 116), 16, hash(LABEL_MAC1, relayPublicKey));
+    mac1.copy(packet, 116);
+
+    return { packet, senderIndex };
+}
+
+/**
+ * Checks whether a datagram answers our initiation
+ * Both a handshake response and a cookie reply prove the relay processed the packet
+ * @param {Buffer} message - Received datagram
+ * @param {number} senderIndex - Sender index used in the initiation
+ * @returns {boolean} - True if the datagram is an answer to the initiation
+ */
+function isHandshakeAnswer(message, senderIndex) {
+    if (message.length === RESPONSE_SIZE && message[0] === MESSAGE_RESPONSE) {
+        return message.readUInt32LE(8) === senderIndex;
+    }
+    if (message.length === COOKIE_REPLY_SIZE && message[0] === MESSAGE_COOKIE_REPLY) {
+        return message.readUInt32LE(4) === senderIndex;
+    }
+    return false;
+}
+
+/**
+ * Times a single WireGuard handshake
+ * @param {string} host - Relay IP address
+ * @param {number} port - Relay WireGuard port
+ * @param {Buffer} relayPublicKey - Relay's 32-byte static public key
+ * @param {Object} staticKeys - Local static key pair
+ * @param {number} timeout - Time to wait for an answer in ms
+ * @param {AbortSignal} [signal] - Signal that abandons the handshake
+ * @param {string} [localAddress] - Local address to send from, the default route if omitted
+ * @returns {Promise<number|null>} - Handshake time in ms or null if no answer was received
+ */
+function measureHandshake(host, port, relayPublicKey, staticKeys, timeout, signal, localAddress) {
+    return new Promise((resolve, reject) => {
+        const { packet, senderIndex } = createInitiation(relayPublicKey, staticKeys);
+        const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+        let start;
+        // Answers, errors, the timeout and an abort can race, only the first settles the handshake
+        let done = false;
+
+        const onAbort = () => finish(null);
+        const settle = callback => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            socket.close();
+            callback();
+        };
+        const finish = time => settle(() => resolve(time));
+        const fail = error => settle(() => reject(error));
+        const timer = setTimeout(() => finish(null), timeout);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        socket.on('message', message => {
+            if (isHandshakeAnswer(message, senderIndex)) {
+                finish(Number(process.hrtime.bigint() - start) / 1e6);
+            }
+        });
+        socket.on('error', () => finish(null));
+
+        const send = () => {
+            if (done) return;
+            start = process.hrtime.bigint();
+            try {
+                socket.send(packet, port, host, error => {
+                    if (error) fail(error);
+                });
+            } catch (error) {
+                fail(error);
+            }
+        };
+
+        if (localAddress) {
+            socket.bind(0, localAddress, send);
+        } else {
+            send();
+        }
+    });
+}
+
+/**
+ * Probes a relay with sequential WireGuard handshakes
+ * @param {string} host - Relay IP address
+ * @param {Object} options - Probe options
+ * @param {string} options.publicKey - Relay's base64 public key
+ * @param {number} options.port - Relay WireGuard port
+ * @param {number} options.count - Number of handshakes to perform
+ * @param {number} options.timeout - Timeout per handshake in ms
+ * @param {number} [options.interval] - Delay between handshakes in ms
+ * @param {string} [options.privateKey] - Base64 local private key; ephemeral if omitted
+ * @param {AbortSignal} [options.signal] - Signal that stops the probe with an AbortError
+ * @param {string} [options.localAddress] - Local address to send from, the default route if omitted
+ * @returns {Promise<Object>} - Probe result in the ping package shape
+ */
+async function probe(host, { publicKey, port, count, timeout, interval = 0, privateKey, signal, localAddress }) {
+    const relayPublicKey = Buffer.from(publicKey, 'base64');
+    if (relayPublicKey.length !== 32) {
+        throw new Error(`Invalid WireGuard public key: ${publicKey}`);
+    }
+
+    const localPrivateKey = privateKey ? Buffer.from(privateKey, 'base64') : undefined;
+    const samples = [];
+
+    for (let i = 0; i < count; i++) {
+        if (i > 0 && interval > 0) {
+            await sleep(interval, signal);
+        }
+        throwIfAborted(signal);
+
+        // Relays drop initiations whose timestamp is not newer than the last one for a key,
+        // so ephemeral mode uses a fresh static key for every handshake
+        const staticKeys = generateKeyPair(localPrivateKey);
+        samples.push(await measureHandshake(host, port, relayPublicKey, staticKeys, timeout, signal, localAddress));
+    }
+    throwIfAborted(signal);
+
+    return summarizeSamples(samples);
+}
+
+module.exports = {
+    probe,
+    createInitiation,
+    generateKeyPair,
+    blake2s,
+    hash,
+    kdf,
+    dh,
+    CONSTRUCTION,
+    IDENTIFIER
+};
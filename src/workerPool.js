@@ -0,0 +1,132 @@
+/**
+ * Worker Pool Module
+ * Spreads server probes across worker threads so timing and statistics do not
+ * compete with the main thread's progress output and bookkeeping
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const config = require('./config');
+const { createAbortError } = require('./cancellation');
+
+/**
+ * Rebuilds an error sent back by a worker
+ * @param {Object} error - Serialized error {name, message}
+ * @returns {Error} - Error with the original name
+ */
+function deserializeError({ name, message }) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+/**
+ * Creates a pool of probe workers
+ * Tasks go to the worker with the fewest in flight; the caller limits overall concurrency.
+ * A worker that crashes fails the tasks it was running and is replaced, so one bad probe does not stop the scan.
+ * @param {number} size - Number of worker threads
+ * @param {string} [script] - Worker script, the probe worker by default
+ * @returns {Object} - Pool {size, run, cancel, close}
+ */
+function createWorkerPool(size, script = path.join(__dirname, 'probeWorker.js')) {
+    const pending = new Map();
+    let nextId = 0;
+    let closing = false;
+
+    const start = (entry) => {
+        let crash = null;
+        entry.worker = new Worker(script, { workerData: { config } });
+        entry.active = 0;
+
+        entry.worker.on('message', ({ id, result, error }) => {
+            const task = pending.get(id);
+            pending.delete(id);
+            entry.active--;
+
+            if (error) {
+                task.reject(deserializeError(error));
+            } else {
+                task.resolve(result);
+            }
+        });
+
+        // Followed by 'exit', which fails the tasks
+        entry.worker.on('error', (error) => {
+            crash = error;
+        });
+
+        entry.worker.on('exit', (code) => {
+            const error = crash || new Error(`Probe worker stopped with exit code ${code}`);
+            let failed = 0;
+            for (const [id, task] of pending) {
+                if (task.entry === entry) {
+                    pending.delete(id);
+                    task.reject(error);
+                    failed++;
+                }
+            }
+
+            // A worker that stops while idle, e.g. one that cannot load, would only stop again
+            if (failed && !closing) {
+                start(entry);
+            } else {
+                entry.active = Infinity;
+            }
+        });
+    };
+
+    const workers = Array.from({ length: size }, () => {
+        const entry = {};
+        start(entry);
+        return entry;
+    });
+
+    return {
+        size,
+
+        /**
+         * Probes a server on the least busy worker
+         * @param {Object} server - Server object
+         * @param {Object} probeOptions - Sample settings {count, interval, signal, source}, config defaults if omitted
+         * @returns {Promise<Object>} - Ping result
+         */
+        run(server, probeOptions = {}) {
+            // Signals cannot be sent to a worker, cancellation goes through cancel()
+            const { signal, ...options } = probeOptions;
+            if (signal && signal.aborted) {
+                return Promise.reject(createAbortError());
+            }
+
+            const entry = workers.reduce((least, candidate) => (candidate.active < least.active ? candidate : least));
+            if (entry.active === Infinity) {
+                return Promise.reject(new Error('All probe workers have stopped'));
+            }
+
+            const id = nextId++;
+            entry.active++;
+
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject, entry });
+                entry.worker.postMessage({ id, server, probeOptions: options });
+            });
+        },
+
+        /**
+         * Aborts the probes in flight on every worker and any sent afterwards
+         */
+        cancel() {
+            workers.forEach(({ worker }) => worker.postMessage({ type: 'cancel' }));
+        },
+
+        /**
+         * Stops the workers
+         * @returns {Promise<void>}
+         */
+        async close() {
+            closing = true;
+            await Promise.all(workers.map(({ worker }) => worker.terminate()));
+        }
+    };
+}
+
+module.exports = { createWorkerPool };
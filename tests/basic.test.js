@@ -2,8 +2,13 @@
  * Basic tests for Mullvad Server Ping Tester
  */
 
-const { getPingStatus } = require('../src/pingService');
-const { generateCSV } = require('../src/outputGenerator');
+const {
+    getPingStatus,
+    getResultStatus,
+    selectDeepCandidates,
+    mergeDualStackResults
+} = require('../src/pingService');
+const { generateCSV, generateHTML } = require('../src/outputGenerator');
 const { compareWithPrevious } = require('../src/historyAnalyzer');
 const config = require('../src/config');
 
@@ -107,6 +112,37 @@ describe('Ping Service', () => {
         expect(getPingStatus(75)).toBe('medium');
         expect(getPingStatus(150)).toBe('bad');
     });
+    
+    test('getResultStatus should use the metric configured in PING_THRESHOLDS', () => {
+        const result = { ping: 25, p95: 120, jitter: 4 };
+        
+        expect(getResultStatus(result)).toBe('good');
+        
+        config.PING_THRESHOLDS.METRIC = 'p95';
+        expect(getResultStatus(result)).toBe('bad');
+        
+        config.PING_THRESHOLDS.METRIC = 'ping';
+    });
+    
+    test('selectDeepCandidates should pick the fastest reachable servers', () => {
+        expect(selectDeepCandidates(mockServers, { topN: 2, withinMs: 0 }))
+            .toEqual(['test-server-1', 'test-server-2']);
+        expect(selectDeepCandidates(mockServers, { topN: 2, withinMs: 130 }))
+            .toEqual(['test-server-1', 'test-server-2', 'test-server-3']);
+        expect(selectDeepCandidates([mockServers[3]], { topN: 2, withinMs: 0 })).toEqual([]);
+    });
+    
+    test('mergeDualStackResults should flag IPv6 paths much worse than IPv4', () => {
+        const v4 = mockServers[0];
+        const slow = mergeDualStackResults(v4, { ...v4, ip: '2001:db8::1', ping: 90, packetLoss: 0 });
+        const close = mergeDualStackResults(v4, { ...v4, ip: '2001:db8::1', ping: 30, packetLoss: 0 });
+        const lost = mergeDualStackResults(v4, { ...mockServers[3], ip: '2001:db8::1' });
+        
+        expect(slow).toMatchObject({ ping: 25, ipv6: '2001:db8::1', v4Ping: 25, v6Ping: 90 });
+        expect(slow.v6Degraded).toBe(true);
+        expect(close.v6Degraded).toBe(false);
+        expect(lost.v6Degraded).toBe(true);
+    });
 });
 
 describe('Output Generator', () => {
@@ -124,6 +160,64 @@ describe('Output Generator', () => {
         const lines = csv.split('\n');
         expect(lines.length).toBe(5);
     });
+    
+    test('generateCSV should include latency percentiles and jitter', () => {
+        const csv = generateCSV([{ ...mockServers[0], p50: 24, p95: 30.5, p99: 31.25, jitter: 1.5 }]);
+        const [header, row] = csv.split('\n');
+        
+        expect(header).toContain('StdDev,P50,P95,P99,Jitter,Status');
+        expect(row).toContain('"24.00","30.50","31.25","1.50"');
+    });
+    
+    test('generateHTML should add an IPv6 column only for dual-stack results', () => {
+        const dualStack = [{ ...mockServers[0], ipv6: '2001:db8::1', v6Ping: 90, v6Degraded: true }];
+        
+        expect(generateHTML(mockServers)).not.toContain('IPv6 (ms)');
+        expect(generateHTML(dualStack)).toContain('IPv6 (ms)');
+        expect(generateHTML(dualStack)).toContain('class="ipv6-degraded"');
+    });
+    
+    test('generateCSV should include WireGuard handshake times when present', () => {
+        const csv = generateCSV([{ ...mockServers[0], wgPing: 31.5, wgPacketLoss: 0 }]);
+        const [header, row] = csv.split('\n');
+        
+        expect(header).toContain('WG Handshake (ms),WG Packet Loss');
+        expect(row).toContain('"31.50","0%"');
+    });
+    
+    test('generateHTML should show city estimates next to sampled results', () => {
+        const sampled = [{ ...mockServers[0], phase: 'sample', cityEstimate: 27.25 }];
+        
+        expect(generateHTML(mockServers)).not.toContain('City Estimate (ms)');
+        expect(generateHTML(sampled)).toContain('City Estimate (ms)');
+        expect(generateCSV(sampled).split('\n')[1]).toMatch(/"sample",.*"27.25"/);
+    });
+    
+    test('generateHTML and generateCSV should flag relays that break the light bound', () => {
+        const flagged = [{ ...mockServers[0], distanceKm: 6300, minRtt: 63, geoAnomaly: 'misplaced' }];
+        
+        expect(generateHTML(mockServers)).not.toContain('Light Bound (ms)');
+        expect(generateHTML(flagged)).toContain('class="geo-misplaced"');
+        expect(generateCSV(flagged).split('\n')[1]).toContain('"6300","63.00","misplaced"');
+    });
+    
+    test('generateHTML should say when the relay list was stale', () => {
+        const relayList = { type: 'wireguard', fetchedAt: '2024-01-01T00:00:00.000Z', ageSeconds: 11520, stale: true };
+        
+        expect(generateHTML(mockServers)).not.toContain('class="stale-notice"');
+        expect(generateHTML(mockServers, { relayList: { ...relayList, stale: false } })).not.toContain('class="stale-notice"');
+        expect(generateHTML(mockServers, { relayList })).toContain('(3 h 12 min old)');
+    });
+    
+    test('generateHTML and generateCSV should show the relay type', () => {
+        const typed = [{ ...mockServers[0], type: 'openvpn' }];
+        
+        expect(generateHTML(mockServers)).not.toContain('<th onclick="sortTable(10)">Type</th>');
+        expect(generateHTML(typed)).toContain('<th onclick="sortTable(10)">Type</th>');
+        expect(generateHTML(typed)).toContain('<td>openvpn</td>');
+        expect(generateCSV(typed).split('\n')[0]).toContain('Geo Anomaly,Relay Type');
+        expect(generateCSV(typed).split('\n')[1]).toContain('"openvpn"');
+    });
 });
 
 describe('History Analyzer', () => {
@@ -161,4 +255,21 @@ describe('History Analyzer', () => {
         expect(comparison).toHaveProperty('hasPrevious', false);
         expect(comparison).toHaveProperty('message');
     });
+    
+    test('compareWithPrevious should only report changes that leave the baseline', () => {
+        const run = (ping, jitter) => ({ ...mockServers[0], ping, jitter });
+        const jittery = new Map([['test-server-1', [32, 18, 30, 20, 29].map(ping => run(ping, 6))]]);
+        const steady = new Map([['test-server-1', [24.5, 25, 24.8, 25.2, 25].map(ping => run(ping, 0.5))]]);
+        
+        // 10 ms slower than the previous run, but within the noise of a jittery link
+        const noisy = compareWithPrevious([run(35, 6)], [run(25, 6)], jittery);
+        expect(noisy.summary).toMatchObject({ degradedCount: 0, unchangedCount: 1 });
+        expect(noisy.highlights.mostDegraded).toBeNull();
+        
+        const regression = compareWithPrevious([run(35, 0.5)], [run(25, 0.5)], steady);
+        expect(regression.summary).toMatchObject({ degradedCount: 1, minConfidence: 0.95 });
+        expect(regression.details.degraded[0]).toMatchObject({ previousPing: 25, baselineRuns: 5 });
+        expect(regression.details.degraded[0].confidence).toBeGreaterThan(0.999);
+        expect(regression.highlights.mostDegraded).toMatchObject({ baselinePing: '24.89', degradation: '10.11' });
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Tests for probe cancellation
+ */
+
+const { abortable, sleep, isAbortError, throwIfAborted } = require('../src/cancellation');
+
+describe('Cancellation', () => {
+    test('abortable should pass through results when the signal is not aborted', async () => {
+        const controller = new AbortController();
+
+        await expect(abortable(Promise.resolve(42), controller.signal)).resolves.toBe(42);
+    });
+
+    test('abortable should reject with an AbortError as soon as the signal is aborted', async () => {
+        const controller = new AbortController();
+        const pending = abortable(new Promise(() => {}), controller.signal);
+
+        controller.abort();
+
+        const error = await pending.catch(e => e);
+        expect(isAbortError(error)).toBe(true);
+    });
+
+    test('sleep should end early when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const start = Date.now();
+        const pending = sleep(5000, controller.signal);
+
+        setTimeout(() => controller.abort(), 10);
+
+        await expect(pending).rejects.toThrow('aborted');
+        expect(Date.now() - start).toBeLessThan(1000);
+    });
+
+    test('throwIfAborted should only throw for aborted signals', () => {
+        const controller = new AbortController();
+
+        expect(() => throwIfAborted(undefined)).not.toThrow();
+        expect(() => throwIfAborted(controller.signal)).not.toThrow();
+        controller.abort();
+        expect(() => throwIfAborted(controller.signal)).toThrow('aborted');
+    });
+});
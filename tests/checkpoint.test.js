@@ -0,0 +1,71 @@
+/**
+ * Tests for resumable scan checkpoints
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-checkpoint-'));
+
+const { openCheckpoint, getCheckpointPath } = require('../src/checkpoint');
+
+const servers = [
+    { hostname: 'se-sto-wg-001', ipv4_addr_in: '185.213.154.68' },
+    { hostname: 'de-fra-wg-001', ipv4_addr_in: '185.213.155.73' }
+];
+const result = { hostname: 'se-sto-wg-001', ping: 25.5, packetLoss: 0 };
+
+describe('Checkpoint', () => {
+    afterAll(() => {
+        fs.rmSync(process.env.SAVE_PATH, { recursive: true, force: true });
+    });
+
+    test('openCheckpoint should resume results recorded for the same scan', () => {
+        openCheckpoint(servers, false).record(result);
+
+        const resumed = openCheckpoint(servers, true);
+
+        expect(resumed.results).toEqual([result]);
+    });
+
+    test('openCheckpoint should start over without --resume', () => {
+        openCheckpoint(servers, false).record(result);
+
+        expect(openCheckpoint(servers, false).results).toEqual([]);
+        expect(openCheckpoint(servers, true).results).toEqual([]);
+    });
+
+    test('openCheckpoint should reject a checkpoint for a different server list', () => {
+        openCheckpoint(servers, false).record(result);
+
+        const changed = [servers[0], { ...servers[1], ipv4_addr_in: '185.213.155.74' }];
+
+        expect(openCheckpoint(changed, true).results).toEqual([]);
+    });
+
+    test('openCheckpoint should reject checkpoints that are too old', () => {
+        openCheckpoint(servers, false).record(result);
+
+        const lines = fs.readFileSync(getCheckpointPath(), 'utf8').split('\n');
+        const header = JSON.parse(lines[0]);
+        header.createdAt = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+        lines[0] = JSON.stringify(header);
+        fs.writeFileSync(getCheckpointPath(), lines.join('\n'));
+
+        expect(openCheckpoint(servers, true).results).toEqual([]);
+    });
+
+    test('openCheckpoint should skip a half-written last line', () => {
+        openCheckpoint(servers, false).record(result);
+        fs.appendFileSync(getCheckpointPath(), '{"hostname":"de-fra');
+
+        expect(openCheckpoint(servers, true).results).toEqual([result]);
+    });
+
+    test('remove should delete the checkpoint', () => {
+        openCheckpoint(servers, false).remove();
+
+        expect(fs.existsSync(getCheckpointPath())).toBe(false);
+    });
+});
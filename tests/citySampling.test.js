@@ -0,0 +1,54 @@
+/**
+ * Tests for city sampling
+ */
+
+const { selectCitySample, estimateCities } = require('../src/citySampling');
+const { groupServersByCity } = require('../src/serverFetcher');
+
+const relay = (hostname, city_name, country_code = 'se') => ({
+    hostname,
+    country_code,
+    country_name: country_code === 'se' ? 'Sweden' : 'Germany',
+    city_name
+});
+
+const servers = [
+    ...['01', '02', '03', '04', '05', '06'].map(n => relay(`se-sto-wg-0${n}`, 'Stockholm')),
+    relay('se-got-wg-001', 'Gothenburg'),
+    relay('de-fra-wg-001', 'Frankfurt', 'de'),
+    relay('de-fra-wg-002', 'Frankfurt', 'de')
+];
+
+describe('City Sampling', () => {
+    test('groupServersByCity should group relays by country and city', () => {
+        const groups = groupServersByCity(servers);
+
+        expect([...groups.keys()]).toEqual(['se/Stockholm', 'se/Gothenburg', 'de/Frankfurt']);
+        expect(groups.get('se/Stockholm')).toHaveLength(6);
+    });
+
+    test('selectCitySample should spread k relays over each city', () => {
+        const sample = selectCitySample(groupServersByCity(servers), 2);
+
+        expect(sample.map(server => server.hostname)).toEqual([
+            'se-sto-wg-001', 'se-sto-wg-004', 'se-got-wg-001', 'de-fra-wg-001', 'de-fra-wg-002'
+        ]);
+    });
+
+    test('estimateCities should rank cities by the median ping of their sample', () => {
+        const cities = estimateCities(groupServersByCity(servers), [
+            { hostname: 'se-sto-wg-001', ping: 10 },
+            { hostname: 'se-sto-wg-004', ping: 30 },
+            { hostname: 'se-got-wg-001', ping: 9999 },
+            { hostname: 'de-fra-wg-001', ping: 15 },
+            { hostname: 'de-fra-wg-002', ping: 16 }
+        ]);
+
+        expect(cities.map(city => [city.key, city.estimate, city.reachable])).toEqual([
+            ['de/Frankfurt', 15.5, 2],
+            ['se/Stockholm', 20, 2],
+            ['se/Gothenburg', 9999, 0]
+        ]);
+        expect(cities[1]).toMatchObject({ city: 'Stockholm', relays: 6, sampled: 2 });
+    });
+});
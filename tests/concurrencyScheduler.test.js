@@ -0,0 +1,97 @@
+/**
+ * Tests for the concurrency scheduler
+ */
+
+const { createFixedScheduler, createAdaptiveScheduler } = require('../src/concurrencyScheduler');
+
+const healthy = { ping: 20, min: 19, avg: 20, packetLoss: 0 };
+const lossy = { ping: 20, min: 19, avg: 20, packetLoss: 50 };
+
+/**
+ * Creates an adaptive scheduler with test defaults
+ */
+function createScheduler(options = {}) {
+    return createAdaptiveScheduler({
+        initial: 8,
+        min: 2,
+        max: 16,
+        lossThreshold: 5,
+        driftMs: 10,
+        ...options
+    });
+}
+
+describe('Concurrency Scheduler', () => {
+    test('fixed scheduler should report its concurrency as run metadata', () => {
+        expect(createFixedScheduler(10).getMetadata()).toMatchObject({
+            mode: 'fixed',
+            initial: 10,
+            final: 10,
+            adjustments: []
+        });
+    });
+
+    test('adaptive scheduler should back off when reachable servers lose packets', () => {
+        const scheduler = createScheduler();
+
+        for (let i = 0; i < 8; i++) scheduler.record(lossy);
+
+        expect(scheduler.concurrency).toBe(4);
+        expect(scheduler.getMetadata().adjustments[0]).toMatchObject({ from: 8, to: 4, reason: 'loss' });
+    });
+
+    test('adaptive scheduler should back off when queueing delay drifts', () => {
+        const scheduler = createScheduler();
+
+        for (let i = 0; i < 8; i++) scheduler.record({ ...healthy, packetLoss: 1 });
+        for (let i = 0; i < 8; i++) scheduler.record({ ...healthy, avg: 45, packetLoss: 1 });
+
+        expect(scheduler.concurrency).toBe(4);
+        expect(scheduler.getMetadata().adjustments[0].reason).toBe('latency-drift');
+    });
+
+    test('adaptive scheduler should grow while the link is idle, up to the maximum', () => {
+        const scheduler = createScheduler();
+
+        for (let i = 0; i < 100; i++) scheduler.record(healthy);
+
+        expect(scheduler.concurrency).toBe(16);
+        expect(scheduler.getMetadata()).toMatchObject({ mode: 'adaptive', initial: 8, final: 16, max: 16 });
+    });
+
+    test('adaptive scheduler should ignore unreachable servers', () => {
+        const scheduler = createScheduler();
+
+        for (let i = 0; i < 8; i++) scheduler.record({ ping: 9999, packetLoss: 100 });
+
+        expect(scheduler.concurrency).toBe(8);
+    });
+
+    test('adaptive scheduler should not run more tasks than its concurrency', async () => {
+        const scheduler = createScheduler({ initial: 3, adaptive: false });
+        let running = 0;
+        let peak = 0;
+
+        const task = async () => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+        };
+
+        await Promise.all(Array.from({ length: 12 }, () => scheduler.run(task)));
+
+        expect(peak).toBe(3);
+    });
+
+    test('adaptive scheduler should pace tasks under the packet rate cap', async () => {
+        const scheduler = createScheduler({ maxPacketRate: 200, adaptive: false });
+        const start = Date.now();
+
+        // 5 tasks x 10 packets at 200 packets/s: the last one may start after 200 ms
+        await Promise.all(Array.from({ length: 5 }, () => scheduler.run(async () => {}, 10)));
+
+        expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+        expect(scheduler.getMetadata().maxPacketRate).toBe(200);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Tests for the server filter expression language
+ */
+
+const { compileFilter } = require('../src/filterExpression');
+
+const servers = [
+    { hostname: 'se-sto-wg-001', country_code: 'se', city_name: 'Stockholm', owned: true, provider: '31173', active: true, multihop_port: 3001 },
+    { hostname: 'se-got-wg-007', country_code: 'se', city_name: 'Gothenburg', owned: false, provider: 'M247', active: true, multihop_port: 3007 },
+    { hostname: 'de-fra-wg-003', country_code: 'de', city_name: 'Frankfurt', owned: true, provider: 'M247', active: false, multihop_port: null },
+    { hostname: 'us-nyc-wg-002', country_code: 'us', city_name: 'New York', owned: false, provider: null, active: true, multihop_port: 3002 }
+];
+
+function select(expression) {
+    return servers.filter(compileFilter(expression)).map(server => server.hostname);
+}
+
+describe('Filter Expression', () => {
+    test('should combine comparisons, lists and regular expressions', () => {
+        expect(select('owned && provider != "M247" && country in (SE, DE) && hostname =~ /wg-00[1-5]/'))
+            .toEqual(['se-sto-wg-001']);
+    });
+
+    test('should compare text case-insensitively and treat bare fields as flags', () => {
+        expect(select('provider == m247')).toEqual(['se-got-wg-007', 'de-fra-wg-003']);
+        expect(select('!active')).toEqual(['de-fra-wg-003']);
+        expect(select('provider == null')).toEqual(['us-nyc-wg-002']);
+    });
+
+    test('should support negation and exclusion', () => {
+        expect(select('country not in (se)')).toEqual(['de-fra-wg-003', 'us-nyc-wg-002']);
+        expect(select('not (country == se or owned)')).toEqual(['us-nyc-wg-002']);
+        expect(select('city !~ "new"')).toEqual(['se-sto-wg-001', 'se-got-wg-007', 'de-fra-wg-003']);
+    });
+
+    test('should give && precedence over || and compare numbers', () => {
+        expect(select('country == us || owned && multihop_port < 3005')).toEqual(['se-sto-wg-001', 'us-nyc-wg-002']);
+        expect(select('multihop_port >= 3002')).toEqual(['se-got-wg-007', 'us-nyc-wg-002']);
+    });
+
+    test('should point at the position of syntax errors', () => {
+        expect(() => compileFilter('owned && provider ==')).toThrow(
+            'Invalid filter at position 21: Expected a value after \'==\', got end of filter\n  owned && provider ==\n                      ^'
+        );
+        expect(() => compileFilter('country in SE')).toThrow('at position 12: Expected \'(\' to start the list');
+        expect(() => compileFilter('owned provider')).toThrow('Unexpected \'provider\'');
+        expect(() => compileFilter('speed > 10')).toThrow('Unknown field \'speed\'');
+        expect(() => compileFilter('multihop_port > high')).toThrow('Expected a number after \'>\'');
+        expect(() => compileFilter('hostname =~ /[/')).toThrow('Invalid regular expression');
+        expect(() => compileFilter('city == "Berlin')).toThrow('Unterminated string');
+    });
+});
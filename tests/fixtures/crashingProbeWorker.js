@@ -0,0 +1,16 @@
+/**
+ * Probe worker that crashes when asked to probe the server 'crash', for the worker pool tests
+ */
+
+const { parentPort } = require('worker_threads');
+
+// Registered before the probe worker's own listener, so it crashes before probing
+parentPort.on('message', (message) => {
+    if (message.server && message.server.hostname === 'crash') {
+        setImmediate(() => {
+            throw new Error('Probe worker crashed');
+        });
+    }
+});
+
+require('../../src/probeWorker');
@@ -0,0 +1,50 @@
+/**
+ * Tests for the speed-of-light check
+ */
+
+const { addGeoAnalysis, classifyLatency, minimumRtt } = require('../src/geoAnalysis');
+const { parseLocation, greatCircleDistance, getCityCoordinates } = require('../src/geography');
+
+const stockholm = { lat: 59.3293, lng: 18.0686 };
+
+describe('Geo Analysis', () => {
+    test('greatCircleDistance should match known city distances', () => {
+        const distance = greatCircleDistance(getCityCoordinates('London'), getCityCoordinates('New York'));
+
+        expect(distance).toBeGreaterThan(5550);
+        expect(distance).toBeLessThan(5590);
+    });
+
+    test('parseLocation should accept known cities and coordinates', () => {
+        expect(parseLocation('stockholm')).toEqual(stockholm);
+        expect(parseLocation('59.33, 18.07')).toEqual({ lat: 59.33, lng: 18.07 });
+        expect(parseLocation('Atlantis')).toBeNull();
+        expect(parseLocation('91,0')).toBeNull();
+    });
+
+    test('minimumRtt should use the speed of light in fiber', () => {
+        expect(minimumRtt(1000)).toBe(10);
+    });
+
+    test('classifyLatency should flag impossible and detoured latency', () => {
+        // Stockholm to Tokyo is about 8200 km: at least ~82 ms in fiber, ~55 ms in vacuum
+        expect(classifyLatency(20, 8200)).toBe('misplaced');
+        expect(classifyLatency(260, 8200)).toBe('bad-routing');
+        expect(classifyLatency(240, 8200)).toBeNull();
+        // Nearby relays are not flagged for a large ratio with a small excess
+        expect(classifyLatency(5, 10)).toBeNull();
+    });
+
+    test('addGeoAnalysis should annotate results in known cities only', () => {
+        const results = addGeoAnalysis([
+            { hostname: 'jp-tyo-wg-001', city: 'Tokyo', ping: 21, min: 20 },
+            { hostname: 'se-sto-wg-001', city: 'Stockholm', ping: 3, min: 2 },
+            { hostname: 'xx-abc-wg-001', city: 'Nowhere', ping: 50, min: 49 }
+        ], stockholm);
+
+        expect(results[0]).toMatchObject({ geoAnomaly: 'misplaced' });
+        expect(results[0].distanceKm).toBeGreaterThan(8000);
+        expect(results[1]).toMatchObject({ distanceKm: 0, minRtt: 0, geoAnomaly: null });
+        expect(results[2].minRtt).toBeUndefined();
+    });
+});
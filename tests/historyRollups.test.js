@@ -0,0 +1,107 @@
+/**
+ * Tests for the history retention policy and its rollups
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-rollups-'));
+process.env.HISTORY_RAW_DAYS = '2';
+process.env.HISTORY_HOURLY_WEEKS = '1';
+
+const { appendRun, listRuns, queryHistory } = require('../src/historyStore');
+const { applyRetention, queryRollups, rollUpResults, mergeRollups } = require('../src/historyRollups');
+const { analyzeServerHistory } = require('../src/historyAnalyzer');
+
+function result(hostname, ping, packetLoss = 0) {
+    return { hostname, country_code: 'se', country: 'Sweden', city: 'Stockholm', ping, packetLoss };
+}
+
+describe('History Rollups', () => {
+    const savePath = process.env.SAVE_PATH;
+
+    afterAll(() => {
+        fs.rmSync(savePath, { recursive: true, force: true });
+    });
+
+    test('rollUpResults should aggregate each server per hour', () => {
+        const rollups = rollUpResults([
+            { run: '2024-05-01T10:05:00.000Z', ...result('se-sto-wg-001', 10) },
+            { run: '2024-05-01T10:35:00.000Z', ...result('se-sto-wg-001', 20) },
+            { run: '2024-05-01T10:50:00.000Z', ...result('se-sto-wg-001', 9999, 100) },
+            { run: '2024-05-01T11:05:00.000Z', ...result('se-sto-wg-001', 30) }
+        ]);
+
+        expect(rollups).toEqual([
+            expect.objectContaining({ time: '2024-05-01T10:00:00.000Z', runs: 3, reachable: 2, min: 10, avg: 15, p95: 19.5, loss: 33.33 }),
+            expect.objectContaining({ time: '2024-05-01T11:00:00.000Z', runs: 1, reachable: 1, min: 30, avg: 30, p95: 30, loss: 0 })
+        ]);
+    });
+
+    test('mergeRollups should weight daily averages by reachable runs', () => {
+        const hourly = [
+            { time: '2024-05-01T10:00:00.000Z', resolution: 'hourly', hostname: 'se-sto-wg-001', runs: 4, reachable: 3, min: 10, avg: 12, p95: 14, loss: 25 },
+            { time: '2024-05-01T11:00:00.000Z', resolution: 'hourly', hostname: 'se-sto-wg-001', runs: 1, reachable: 1, min: 20, avg: 20, p95: 20, loss: 0 },
+            { time: '2024-05-01T12:00:00.000Z', resolution: 'hourly', hostname: 'se-sto-wg-001', runs: 1, reachable: 0, min: null, avg: null, p95: null, loss: 100 }
+        ];
+
+        expect(mergeRollups(hourly)).toEqual([expect.objectContaining({
+            time: '2024-05-01T00:00:00.000Z',
+            resolution: 'daily',
+            runs: 6,
+            reachable: 4,
+            min: 10,
+            avg: 14,
+            p95: 19.7,
+            loss: 33.33
+        })]);
+    });
+
+    test('applyRetention should roll up expired runs and delete their report files', async () => {
+        await appendRun([result('se-sto-wg-001', 10)], { time: '2024-05-01T10:05:00.000Z', file: 'ping_results_2024-05-01T10-05-00.json' });
+        // Saved as HTML and CSV only, so the run has no JSON result file
+        await appendRun([result('se-sto-wg-001', 20)], { time: '2024-05-01T10:35:00.000Z', stamp: '2024-05-01T10-35-00' });
+        await appendRun([result('se-sto-wg-001', 40)], { time: '2024-05-09T12:00:00.000Z' });
+        await appendRun([result('se-sto-wg-001', 50)], { time: '2024-05-10T11:30:00.000Z' });
+        ['ping_results_2024-05-01T10-05-00.json', 'ping_results_2024-05-01T10-05-00.csv', 'ping_metadata_2024-05-01T10-05-00.json',
+            'ping_results_2024-05-01T10-35-00.html', 'ping_results_2024-05-01T10-35-00.csv', 'ping_metadata_2024-05-01T10-35-00.json']
+            .forEach(file => fs.writeFileSync(path.join(savePath, file), '[]'));
+
+        const summary = await applyRetention(new Date('2024-05-08T00:00:00.000Z'));
+
+        expect(summary).toEqual({ rolledUp: 2, merged: 0, deletedFiles: 6 });
+        expect((await listRuns()).map(run => run.time)).toEqual(['2024-05-09T12:00:00.000Z', '2024-05-10T11:30:00.000Z']);
+        expect((await queryHistory({ hostname: 'se-sto-wg-001' })).map(record => record.ping)).toEqual([40, 50]);
+        expect(fs.readdirSync(savePath).filter(file => file.startsWith('ping_'))).toEqual([]);
+        expect((await queryRollups({ hostname: 'se-sto-wg-001' })).map(rollup => [rollup.time, rollup.avg])).toEqual([
+            ['2024-05-01T10:00:00.000Z', 15]
+        ]);
+    });
+
+    test('applyRetention should merge hourly rollups past the hourly tier into daily ones', async () => {
+        const summary = await applyRetention(new Date('2024-05-11T13:00:00.000Z'));
+
+        expect(summary).toEqual({ rolledUp: 1, merged: 1, deletedFiles: 0 });
+        expect((await queryRollups({ country: 'SE' })).map(rollup => [rollup.time, rollup.resolution])).toEqual([
+            ['2024-05-01T00:00:00.000Z', 'daily'],
+            ['2024-05-09T12:00:00.000Z', 'hourly']
+        ]);
+        expect(await queryRollups({ country: 'DE' })).toEqual([]);
+        await expect(queryRollups({ to: 'tomorrow' })).rejects.toThrow('Invalid date: tomorrow');
+    });
+
+    test('analyzeServerHistory should combine rollups with raw runs', async () => {
+        await appendRun([result('se-sto-wg-001', 9999, 100)], { time: '2024-05-12T11:00:00.000Z' });
+
+        const analysis = await analyzeServerHistory('se-sto-wg-001');
+
+        expect(analysis.history.map(point => [point.resolution, point.runs])).toEqual([
+            ['daily', 2],
+            ['hourly', 1],
+            ['raw', 1],
+            ['raw', 1]
+        ]);
+        expect(analysis.statistics).toMatchObject({ min: '10.00', max: '50.00', avg: '30.00', reliability: '80.00' });
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for the indexed history store
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-history-'));
+
+const {
+    appendRun,
+    listRuns,
+    loadLatestRun,
+    loadLatestResults,
+    queryHistory,
+    importResultFiles
+} = require('../src/historyStore');
+const { analyzeServerHistory, loadBaseline } = require('../src/historyAnalyzer');
+
+function result(hostname, countryCode, country, ping) {
+    return { hostname, country_code: countryCode, country, city: 'City', ping, packetLoss: 0 };
+}
+
+describe('History Store', () => {
+    const savePath = process.env.SAVE_PATH;
+
+    afterAll(() => {
+        fs.rmSync(savePath, { recursive: true, force: true });
+    });
+
+    test('should import result files with their metadata', async () => {
+        fs.writeFileSync(path.join(savePath, 'ping_results_2024-04-30T10-00-00.json'), JSON.stringify([
+            result('se-sto-wg-001', 'se', 'Sweden', 12),
+            result('de-fra-wg-001', 'de', 'Germany', 30)
+        ]));
+        fs.writeFileSync(path.join(savePath, 'ping_metadata_2024-04-30T10-00-00.json'), JSON.stringify({ partial: true }));
+        fs.writeFileSync(path.join(savePath, 'ping_results_latest.json'), '[]');
+        fs.writeFileSync(path.join(savePath, 'ping_results_broken.json'), '{');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const summary = await importResultFiles();
+        console.warn.mockRestore();
+
+        expect(summary).toEqual({ imported: 1, skipped: 1, runs: 1 });
+        expect(await listRuns()).toEqual([expect.objectContaining({
+            time: '2024-04-30T10:00:00.000Z',
+            partial: true,
+            source: 'import',
+            file: 'ping_results_2024-04-30T10-00-00.json'
+        })]);
+    });
+
+    test('should skip result files already stored by a scan or an import', async () => {
+        await appendRun([result('se-sto-wg-001', 'se', 'Sweden', 14)], {
+            time: '2024-05-02T10:00:00.000Z',
+            file: 'ping_results_2024-05-02T10-00-01.json'
+        });
+        fs.writeFileSync(path.join(savePath, 'ping_results_2024-05-02T10-00-01.json'), '[]');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const summary = await importResultFiles();
+        console.warn.mockRestore();
+
+        expect(summary).toEqual({ imported: 0, skipped: 1, runs: 2 });
+    });
+
+    test('should query by server, country and time range', async () => {
+        await appendRun([result('se-sto-wg-001', 'se', 'Sweden', 9999), result('ch-zrh-wg-001', 'ch', 'Switzerland', 25)], {
+            time: '2024-05-20T10:00:00.000Z'
+        });
+
+        const server = await queryHistory({ hostname: 'se-sto-wg-001' });
+        expect(server.map(record => [record.run, record.ping])).toEqual([
+            ['2024-04-30T10:00:00.000Z', 12],
+            ['2024-05-02T10:00:00.000Z', 14],
+            ['2024-05-20T10:00:00.000Z', 9999]
+        ]);
+
+        const may = await queryHistory({ hostname: 'se-sto-wg-001', from: '2024-05-01', to: '2024-05-10' });
+        expect(may.map(record => record.ping)).toEqual([14]);
+
+        expect((await queryHistory({ country: 'SE' })).map(record => record.ping)).toEqual([12, 14, 9999]);
+        expect((await queryHistory({ country: 'switzerland' })).map(record => record.hostname)).toEqual(['ch-zrh-wg-001']);
+        expect(await queryHistory({ hostname: 'xx-nowhere-001' })).toEqual([]);
+        await expect(queryHistory({ from: 'yesterday' })).rejects.toThrow('Invalid date: yesterday');
+    });
+
+    test('loadLatestRun should return the results of the newest run', async () => {
+        const latest = await loadLatestRun();
+
+        expect(latest.run.time).toBe('2024-05-20T10:00:00.000Z');
+        expect(latest.results).toEqual([
+            result('se-sto-wg-001', 'se', 'Sweden', 9999),
+            result('ch-zrh-wg-001', 'ch', 'Switzerland', 25)
+        ]);
+    });
+
+    test('should rebuild a lost index from the segments', async () => {
+        // Stored before runs had a header line, with the result file it came from
+        const legacy = result('de-fra-wg-001', 'de', 'Germany', 31);
+        fs.appendFileSync(path.join(savePath, 'history', 'segments', '2024-05.ndjson'),
+            JSON.stringify({ run: '2024-05-10T12:00:00.000Z', ...legacy }) + '\n');
+        fs.writeFileSync(path.join(savePath, 'ping_results_2024-05-10T12-00-00.json'), JSON.stringify([legacy]));
+        fs.rmSync(path.join(savePath, 'history', 'index.json'));
+
+        const runs = await listRuns();
+
+        expect(runs.map(run => [run.time, run.count])).toEqual([
+            ['2024-04-30T10:00:00.000Z', 2],
+            ['2024-05-02T10:00:00.000Z', 1],
+            ['2024-05-10T12:00:00.000Z', 1],
+            ['2024-05-20T10:00:00.000Z', 2]
+        ]);
+        expect(runs[0]).toMatchObject({ partial: true, source: 'import', file: 'ping_results_2024-04-30T10-00-00.json' });
+        expect(runs[2]).toMatchObject({ scope: null, file: null });
+        expect((await queryHistory({ hostname: 'de-fra-wg-001' })).map(record => record.ping)).toEqual([30, 31]);
+
+        // The restored file names and the time of the legacy run keep importing from duplicating runs
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const summary = await importResultFiles();
+        console.warn.mockRestore();
+        expect(summary).toEqual({ imported: 0, skipped: 1, runs: 4 });
+    });
+
+    test('analyzeServerHistory should read the server history from the store', async () => {
+        const analysis = await analyzeServerHistory('se-sto-wg-001', { to: '2024-05-10' });
+
+        expect(analysis.dataPoints).toBe(2);
+        expect(analysis.history[0].timestamp).toBe('2024-04-30T10:00:00.000Z');
+        expect(analysis.statistics).toMatchObject({ min: '12.00', max: '14.00', reliability: '100.00' });
+    });
+
+    test('watchlist runs should refresh the latest results and add to the baseline', async () => {
+        const measured = (row, timestamp) => ({ ...row, timestamp });
+        await appendRun([
+            measured(result('se-sto-wg-001', 'se', 'Sweden', 20), '2024-06-01T09:59:00.000Z'),
+            measured(result('ch-zrh-wg-001', 'ch', 'Switzerland', 30), '2024-06-01T09:59:00.000Z')
+        ], { time: '2024-06-01T10:00:00.000Z', scope: 'full' });
+        await appendRun([measured(result('ch-zrh-wg-001', 'ch', 'Switzerland', 28), '2024-06-01T10:00:30.000Z')], {
+            time: '2024-06-01T10:01:00.000Z',
+            scope: 'watchlist'
+        });
+        // Stored before watchlist runs kept only their own servers, the Stockholm row repeats the full run
+        await appendRun([
+            measured(result('se-sto-wg-001', 'se', 'Sweden', 20), '2024-06-01T09:59:00.000Z'),
+            measured(result('ch-zrh-wg-001', 'ch', 'Switzerland', 27), '2024-06-01T10:01:30.000Z')
+        ], { time: '2024-06-01T10:02:00.000Z', scope: 'watchlist' });
+
+        const latest = await loadLatestResults();
+        expect(latest.run.time).toBe('2024-06-01T10:02:00.000Z');
+        expect(latest.results.map(row => [row.hostname, row.ping])).toEqual([['se-sto-wg-001', 20], ['ch-zrh-wg-001', 27]]);
+        expect(latest.runTimes.get('ch-zrh-wg-001')).toBe('2024-06-01T10:02:00.000Z');
+
+        const baseline = await loadBaseline(2);
+        expect(baseline.get('se-sto-wg-001').map(row => row.ping)).toEqual([9999, 20]);
+        expect(baseline.get('ch-zrh-wg-001').map(row => row.ping)).toEqual([28, 27]);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for hour-of-week bucketing and heatmap queries
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-heatmap-'));
+process.env.HEATMAP_WEEKS = '520';
+
+const {
+    getHourOfWeek,
+    parseDays,
+    parseHour,
+    bucketByHourOfWeek,
+    combineCells,
+    describeTimeOfWeek
+} = require('../src/hourOfWeek');
+const { appendRun } = require('../src/historyStore');
+const { buildHeatmaps, findBestRelays } = require('../src/historyAnalyzer');
+
+// Local times, so the buckets do not depend on the time zone the tests run in
+function at(day, hour, minute = 0) {
+    // 2024-05-06 is a Monday
+    return new Date(2024, 4, 6 + day, hour, minute).toISOString();
+}
+
+function result(hostname, city, ping) {
+    return { hostname, country_code: 'se', country: 'Sweden', city, ping, packetLoss: ping === 9999 ? 100 : 0 };
+}
+
+describe('Hour Of Week', () => {
+    const savePath = process.env.SAVE_PATH;
+
+    afterAll(() => {
+        fs.rmSync(savePath, { recursive: true, force: true });
+    });
+
+    test('getHourOfWeek should start the week on Monday', () => {
+        expect(getHourOfWeek(at(0, 20, 45))).toEqual({ day: 0, hour: 20 });
+        expect(getHourOfWeek(at(6, 0))).toEqual({ day: 6, hour: 0 });
+    });
+
+    test('parseDays and parseHour should read time-of-week queries', () => {
+        expect(parseDays('Weekdays')).toEqual([0, 1, 2, 3, 4]);
+        expect(parseDays('sun,sat,saturday')).toEqual([5, 6]);
+        expect(() => parseDays('mon,funday')).toThrow('Unknown day \'funday\'');
+        expect(parseHour('20:00')).toBe(20);
+        expect(parseHour('8:30')).toBe(8);
+        expect(parseHour('24')).toBeNull();
+        expect(parseHour('20:75')).toBeNull();
+        expect(describeTimeOfWeek([0, 1, 2, 3, 4], 20)).toBe('20:00 on weekdays');
+        expect(describeTimeOfWeek([5, 6], 8)).toBe('08:00 on weekends');
+        expect(describeTimeOfWeek([0, 2], 8)).toBe('08:00 on Mon, Wed');
+    });
+
+    test('bucketByHourOfWeek should weight rollups by their reachable runs', () => {
+        const grid = bucketByHourOfWeek([
+            { timestamp: at(0, 20, 5), ping: 10, runs: 1, reachable: 1, min: 10 },
+            { timestamp: at(0, 20, 0), ping: 20, runs: 4, reachable: 3, min: 15 },
+            { timestamp: at(1, 20, 10), ping: 9999, runs: 1, reachable: 0, min: 9999 }
+        ]);
+
+        expect(grid[0][20]).toEqual({ runs: 5, reachable: 4, avg: 17.5, min: 10 });
+        expect(grid[1][20]).toEqual({ runs: 1, reachable: 0, avg: null, min: null });
+        expect(grid[0][8]).toBeNull();
+        expect(combineCells(grid, [0, 1, 2], 20)).toEqual({ runs: 6, reachable: 4, avg: 17.5, min: 10 });
+        expect(combineCells(grid, [2], 20)).toBeNull();
+    });
+
+    test('buildHeatmaps should bucket the stored history per server and per city', async () => {
+        await appendRun([result('se-sto-wg-001', 'Stockholm', 10), result('se-got-wg-001', 'Gothenburg', 30)], { time: at(0, 8) });
+        await appendRun([result('se-sto-wg-001', 'Stockholm', 60), result('se-got-wg-001', 'Gothenburg', 25)], { time: at(0, 20) });
+        await appendRun([result('se-sto-wg-001', 'Stockholm', 50), result('se-got-wg-001', 'Gothenburg', 9999)], { time: at(1, 20) });
+        await appendRun([result('se-sto-wg-002', 'Stockholm', 40), result('se-got-wg-001', 'Gothenburg', 35)], { time: at(2, 20) });
+
+        const servers = await buildHeatmaps();
+        expect(servers.map(heatmap => [heatmap.key, heatmap.runs])).toEqual([
+            ['se-got-wg-001', 4],
+            ['se-sto-wg-001', 3],
+            ['se-sto-wg-002', 1]
+        ]);
+        expect(servers[1].grid[0][8]).toEqual({ runs: 1, reachable: 1, avg: 10, min: 10 });
+
+        const stockholm = await buildHeatmaps({ by: 'city', city: 'stockholm' });
+        expect(stockholm.map(heatmap => heatmap.key)).toEqual(['Stockholm, Sweden']);
+        expect(stockholm[0].grid[2][20]).toEqual({ runs: 1, reachable: 1, avg: 40, min: 40 });
+    });
+
+    test('findBestRelays should rank relays by their usual ping at that time', async () => {
+        const evening = await findBestRelays({ hour: 20, days: parseDays('weekdays') });
+
+        // se-got-wg-001 is fastest when up, but was down in one of three evenings
+        expect(evening.map(relay => [relay.hostname, relay.avg, relay.reliability])).toEqual([
+            ['se-sto-wg-002', 40, 100],
+            ['se-sto-wg-001', 55, 100],
+            ['se-got-wg-001', 30, 66.67]
+        ]);
+
+        const morning = await findBestRelays({ hour: 8, days: [0] });
+        expect(morning.map(relay => relay.hostname)).toEqual(['se-sto-wg-001', 'se-got-wg-001']);
+        expect(await findBestRelays({ hour: 8, days: parseDays('weekends') })).toEqual([]);
+    });
+});
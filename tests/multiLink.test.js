@@ -0,0 +1,42 @@
+/**
+ * Tests for merging scans over several links
+ */
+
+const { mergeLinkResults } = require('../src/multiLink');
+
+describe('Multi-Link', () => {
+    const result = (hostname, ping, packetLoss = 0) => ({ hostname, ping, packetLoss, min: ping });
+
+    test('mergeLinkResults should keep the first link primary and list every link', () => {
+        const merged = mergeLinkResults([
+            { label: 'eth0', results: [result('se-sto-wg-001', 12), result('de-fra-wg-001', 9999, 100)] },
+            { label: 'wwan0', results: [result('se-sto-wg-001', 48, 10), result('de-fra-wg-001', 60)] }
+        ]);
+
+        expect(merged).toEqual([
+            {
+                ...result('se-sto-wg-001', 12),
+                link: 'eth0',
+                linkPings: { eth0: 12, wwan0: 48 },
+                linkPacketLoss: { eth0: 0, wwan0: 10 },
+                bestLink: 'eth0'
+            },
+            {
+                ...result('de-fra-wg-001', 9999, 100),
+                link: 'eth0',
+                linkPings: { eth0: 9999, wwan0: 60 },
+                linkPacketLoss: { eth0: 100, wwan0: 0 },
+                bestLink: 'wwan0'
+            }
+        ]);
+    });
+
+    test('mergeLinkResults should fall back to the next link for servers the first one missed', () => {
+        const merged = mergeLinkResults([
+            { label: 'eth0', results: [] },
+            { label: 'wlan0', results: [result('se-sto-wg-001', 9999, 100)] }
+        ]);
+
+        expect(merged[0]).toMatchObject({ link: 'wlan0', linkPings: { wlan0: 9999 }, bestLink: null });
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for multihop entry/exit recommendations
+ */
+
+const http = require('http');
+const { recommendMultihop, estimateFromDistance, createAgentEstimator } = require('../src/multihop');
+
+function relay(hostname, countryCode, city, multihopPort) {
+    return {
+        hostname,
+        country_code: countryCode,
+        country_name: countryCode.toUpperCase(),
+        city_name: city,
+        ipv4_addr_in: `10.0.0.${hostname.length}`,
+        multihop_port: multihopPort,
+        active: true
+    };
+}
+
+const relays = [
+    relay('se-sto-wg-001', 'se', 'Stockholm', 3001),
+    relay('de-fra-wg-001', 'de', 'Frankfurt', 3002),
+    relay('us-nyc-wg-001', 'us', 'New York', 3003),
+    relay('nl-ams-wg-001', 'nl', 'Amsterdam', undefined),
+    relay('ch-zrh-wg-001', 'ch', 'Zurich', 3004),
+    { ...relay('ch-zrh-wg-002', 'ch', 'Zurich', 3005), active: false }
+];
+
+const results = [
+    { hostname: 'se-sto-wg-001', ping: 10 },
+    { hostname: 'de-fra-wg-001', ping: 20 },
+    { hostname: 'us-nyc-wg-001', ping: 90 },
+    { hostname: 'nl-ams-wg-001', ping: 5 },
+    { hostname: 'ch-zrh-wg-001', ping: 9999 }
+];
+
+describe('Multihop', () => {
+    test('estimateFromDistance should stretch the fiber bound between the cities', async () => {
+        const estimates = await estimateFromDistance(relays[1], [relays[4], relay('xx-atl-wg-001', 'xx', 'Atlantis')]);
+
+        // Frankfurt to Zurich is about 300 km: 3 ms in fiber, 4.5 ms stretched
+        expect(estimates.get('ch-zrh-wg-001').rtt).toBeGreaterThan(4);
+        expect(estimates.get('ch-zrh-wg-001').rtt).toBeLessThan(5);
+        expect(estimates.get('ch-zrh-wg-001').source).toBe('distance');
+        expect(estimates.has('xx-atl-wg-001')).toBe(false);
+    });
+
+    test('recommendMultihop should rank reachable multihop entries by expected total RTT', async () => {
+        const recommendation = await recommendMultihop(results, relays, { exitCountry: 'ch' });
+
+        expect(recommendation.exitCountry).toBe('CH');
+        expect(recommendation.exitsConsidered).toBe(1);
+        // Amsterdam has no multihop port and Zurich is unreachable
+        expect(recommendation.entriesConsidered).toBe(3);
+        expect(recommendation.pairs.map(pair => pair.entry)).toEqual(['de-fra-wg-001', 'se-sto-wg-001', 'us-nyc-wg-001']);
+        expect(recommendation.pairs[0]).toMatchObject({
+            exit: 'ch-zrh-wg-001',
+            multihopPort: 3002,
+            hopSource: 'distance'
+        });
+        expect(recommendation.pairs[0].totalRtt).toBeCloseTo(20 + recommendation.pairs[0].hopRtt, 1);
+    });
+
+    test('recommendMultihop should respect the entry and pair limits', async () => {
+        const recommendation = await recommendMultihop(results, relays, {
+            exitCountry: 'CH',
+            entryCandidates: 1,
+            topPairs: 1
+        });
+
+        expect(recommendation.entriesConsidered).toBe(1);
+        expect(recommendation.pairs.map(pair => pair.entry)).toEqual(['se-sto-wg-001']);
+    });
+
+    test('recommendMultihop should not pair a relay with itself', async () => {
+        const recommendation = await recommendMultihop([{ hostname: 'ch-zrh-wg-001', ping: 30 }], relays, {
+            exitCountry: 'ch'
+        });
+
+        expect(recommendation.pairs).toEqual([]);
+    });
+
+    describe('agent estimator', () => {
+        let agent;
+        let url;
+        const requests = [];
+
+        beforeAll(done => {
+            agent = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    requests.push(JSON.parse(body));
+                    res.setHeader('Content-Type', 'application/json');
+                    res.end(JSON.stringify({ rtts: { 'ch-zrh-wg-001': 42 } }));
+                });
+            });
+            agent.listen(0, '127.0.0.1', () => {
+                url = `http://127.0.0.1:${agent.address().port}/rtt`;
+                done();
+            });
+        });
+
+        afterAll(done => {
+            agent.close(done);
+        });
+
+        test('should prefer measured RTTs and fall back to distance for the rest', async () => {
+            const estimateHop = createAgentEstimator(url);
+            const estimates = await estimateHop(relays[0], [relays[4], relays[1]]);
+
+            expect(requests[0]).toEqual({
+                from: 'se-sto-wg-001',
+                to: [
+                    { hostname: 'ch-zrh-wg-001', ip: relays[4].ipv4_addr_in },
+                    { hostname: 'de-fra-wg-001', ip: relays[1].ipv4_addr_in }
+                ]
+            });
+            expect(estimates.get('ch-zrh-wg-001')).toEqual({ rtt: 42, source: 'agent' });
+            expect(estimates.get('de-fra-wg-001').source).toBe('distance');
+        });
+
+        test('should fall back to distance estimates when the agent is unreachable', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const estimateHop = createAgentEstimator('http://127.0.0.1:1/rtt', 1000);
+
+            const first = await estimateHop(relays[0], [relays[4]]);
+            await estimateHop(relays[1], [relays[4]]);
+
+            expect(first.get('ch-zrh-wg-001').source).toBe('distance');
+            // A failed agent is only tried once
+            expect(warn).toHaveBeenCalledTimes(1);
+            warn.mockRestore();
+        });
+    });
+});
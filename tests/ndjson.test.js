@@ -0,0 +1,18 @@
+/**
+ * Tests for parsing append-only NDJSON
+ */
+
+const { parseLine, parseLines } = require('../src/ndjson');
+
+describe('NDJSON', () => {
+    test('parseLine should skip blank lines and lines cut short by a crash', () => {
+        expect(parseLine('{"hostname":"se-sto-wg-001"}')).toEqual({ hostname: 'se-sto-wg-001' });
+        expect(parseLine('  ')).toBeNull();
+        expect(parseLine('{"hostname":"de-fra')).toBeNull();
+    });
+
+    test('parseLines should keep the complete lines in order', () => {
+        expect(parseLines('{"n":1}\n\n{"n":2}\n{"n":')).toEqual([{ n: 1 }, { n: 2 }]);
+        expect(parseLines('')).toEqual([]);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for scanning servers on the probe workers
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-scan-'));
+process.env.MAX_THREADS = '2';
+process.env.CONCURRENT_PINGS = '2';
+
+// Scans run on workers that crash on the server 'crash'
+jest.mock('../src/workerPool', () => {
+    const { createWorkerPool } = jest.requireActual('../src/workerPool');
+    const script = require('path').join(__dirname, 'fixtures', 'crashingProbeWorker.js');
+    return { createWorkerPool: size => createWorkerPool(size, script) };
+});
+
+const config = require('../src/config');
+const { pingAllServers } = require('../src/pingService');
+const { pingOverLinks } = require('../src/multiLink');
+const { getCheckpointPath } = require('../src/checkpoint');
+const { resolveSource } = require('../src/sourceAddress');
+
+const server = (hostname) => ({
+    hostname,
+    ipv4_addr_in: '127.0.0.1',
+    country_code: 'se',
+    country_name: 'Sweden',
+    city_name: 'Stockholm'
+});
+
+describe('Ping Service', () => {
+    const savePath = process.env.SAVE_PATH;
+    let listener;
+
+    beforeAll(done => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        listener = net.createServer(socket => socket.destroy());
+        listener.listen(0, '127.0.0.1', () => {
+            config.PROBE_MODE = 'tcp';
+            config.PROBE_PORT = listener.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        jest.restoreAllMocks();
+        fs.rmSync(savePath, { recursive: true, force: true });
+        listener.close(done);
+    });
+
+    test('a worker crashing mid-scan should leave its server unreachable and the scan complete', async () => {
+        const servers = ['se-sto-wg-001', 'crash', 'se-sto-wg-002', 'se-sto-wg-003', 'se-sto-wg-004'].map(server);
+
+        const results = await pingAllServers(servers, {});
+
+        expect(results.map(result => result.hostname).sort()).toEqual(servers.map(({ hostname }) => hostname).sort());
+        expect(results.find(result => result.hostname === 'crash')).toMatchObject({ ping: 9999, status: 'unreachable' });
+        expect(console.error).toHaveBeenCalledWith('Probe of crash failed: Probe worker crashed');
+        expect(results.filter(result => result.ping < 9999)).toHaveLength(4);
+    });
+
+    test('a resumed multi-link run should skip the links already scanned', async () => {
+        const servers = ['se-sto-wg-001', 'se-sto-wg-002'].map(server);
+        const links = [resolveSource('lo', '4'), resolveSource('127.0.0.1', '4')];
+
+        // The first link finished before the run was cut short on the second
+        await pingAllServers(servers, {}, undefined, links[0], { keepCheckpoint: true });
+        expect(fs.existsSync(getCheckpointPath(links[0]))).toBe(true);
+
+        config.CHECKPOINT.RESUME = true;
+        try {
+            const runMetadata = {};
+            const results = await pingOverLinks(servers, links, runMetadata);
+
+            expect(runMetadata.resumedCount).toBe(2);
+            expect(runMetadata.partial).toBe(false);
+            expect(results.map(result => Object.keys(result.linkPings))).toEqual([['lo', '127.0.0.1'], ['lo', '127.0.0.1']]);
+            links.forEach(link => expect(fs.existsSync(getCheckpointPath(link))).toBe(false));
+        } finally {
+            config.CHECKPOINT.RESUME = false;
+        }
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for relay list change tracking
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-changes-'));
+
+const {
+    diffRelayLists,
+    findPinnedChanges,
+    listRelayChanges,
+    recordRelayChanges,
+    readChangelog
+} = require('../src/relayChanges');
+
+function relay(hostname, overrides = {}) {
+    return {
+        hostname,
+        ipv4_addr_in: '10.0.0.1',
+        ipv6_addr_in: null,
+        public_key: `${hostname}-key`,
+        active: true,
+        multihop_port: null,
+        ...overrides
+    };
+}
+
+const previous = [relay('se-sto-wg-001'), relay('de-fra-wg-001'), relay('nl-ams-wg-001')];
+const current = [
+    relay('se-sto-wg-001', { public_key: 'rotated', ipv4_addr_in: '10.0.0.2' }),
+    relay('de-fra-wg-001', { active: false }),
+    relay('ch-zrh-wg-001')
+];
+
+describe('Relay Changes', () => {
+    afterAll(() => {
+        fs.rmSync(process.env.SAVE_PATH, { recursive: true, force: true });
+    });
+
+    test('diffRelayLists should report added, removed and changed relays', () => {
+        expect(diffRelayLists(previous, current)).toEqual({
+            added: ['ch-zrh-wg-001'],
+            removed: ['nl-ams-wg-001'],
+            changed: [
+                { hostname: 'de-fra-wg-001', field: 'active', from: true, to: false },
+                { hostname: 'se-sto-wg-001', field: 'ipv4_addr_in', from: '10.0.0.1', to: '10.0.0.2' },
+                { hostname: 'se-sto-wg-001', field: 'public_key', from: 'se-sto-wg-001-key', to: 'rotated' }
+            ]
+        });
+    });
+
+    test('findPinnedChanges should keep key and address changes and removals of pinned relays', () => {
+        const pinned = findPinnedChanges(diffRelayLists(previous, current), ['SE-STO-WG-001', 'de-fra-wg-001', 'nl-ams-wg-001']);
+
+        expect(pinned).toEqual([
+            { hostname: 'se-sto-wg-001', field: 'ipv4_addr_in', from: '10.0.0.1', to: '10.0.0.2' },
+            { hostname: 'se-sto-wg-001', field: 'public_key', from: 'se-sto-wg-001-key', to: 'rotated' },
+            { hostname: 'nl-ams-wg-001', removed: true }
+        ]);
+    });
+
+    test('listRelayChanges should describe every change', () => {
+        expect(listRelayChanges(diffRelayLists(previous, current))).toEqual([
+            'ch-zrh-wg-001: added to the relay list',
+            'nl-ams-wg-001: removed from the relay list',
+            'de-fra-wg-001: active flag changed from true to false',
+            'se-sto-wg-001: IPv4 address changed from 10.0.0.1 to 10.0.0.2',
+            'se-sto-wg-001: public key changed from se-sto-wg-001-key to rotated'
+        ]);
+    });
+
+    test('recordRelayChanges should append entries only when something changed', async () => {
+        expect(await readChangelog()).toEqual([]);
+
+        const details = { type: 'wireguard', since: '2024-01-01T00:00:00.000Z', detectedAt: '2024-01-02T00:00:00.000Z' };
+        expect(await recordRelayChanges(previous, previous, details)).toBeNull();
+        const first = await recordRelayChanges(previous, current, details);
+        const second = await recordRelayChanges(current, previous, { ...details, detectedAt: '2024-01-03T00:00:00.000Z' });
+
+        expect(first).toMatchObject({ type: 'wireguard', added: ['ch-zrh-wg-001'], pinned: [] });
+        expect(await readChangelog()).toEqual([second, first]);
+        expect(await readChangelog(1)).toEqual([second]);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for relay list validation
+ */
+
+const { parseRelayList, normalizeRelays } = require('../src/relayModel');
+
+const apiRelay = (overrides = {}) => ({
+    hostname: 'se-sto-wg-001',
+    fqdn: 'se-sto-wg-001.relays.mullvad.net',
+    country_code: 'se',
+    country_name: 'Sweden',
+    city_code: 'sto',
+    city_name: 'Stockholm',
+    active: true,
+    owned: true,
+    provider: '31173',
+    ipv4_addr_in: '185.195.233.76',
+    ipv6_addr_in: '2a03:1b20:4:f011::a01f',
+    network_port_speed: 10,
+    pubkey: 'sjT9IAHCgZg2nyeUJuYWuW/tCbhCy+P+BBo1LJeQ8ww=',
+    multihop_port: 3003,
+    socks_name: 'se-sto-wg-socks5-001.relays.mullvad.net',
+    type: 'wireguard',
+    ...overrides
+});
+
+describe('Relay Model', () => {
+    test('parseRelayList should convert API relays to the canonical model', () => {
+        const { relays, rejected } = parseRelayList([apiRelay()]);
+
+        expect(rejected).toEqual([]);
+        expect(relays).toEqual([{
+            hostname: 'se-sto-wg-001',
+            fqdn: 'se-sto-wg-001.relays.mullvad.net',
+            country_code: 'se',
+            country_name: 'Sweden',
+            city_code: 'sto',
+            city_name: 'Stockholm',
+            active: true,
+            owned: true,
+            provider: '31173',
+            type: 'wireguard',
+            ipv4_addr_in: '185.195.233.76',
+            ipv6_addr_in: '2a03:1b20:4:f011::a01f',
+            public_key: 'sjT9IAHCgZg2nyeUJuYWuW/tCbhCy+P+BBo1LJeQ8ww=',
+            multihop_port: 3003
+        }]);
+    });
+
+    test('parseRelayList should accept canonical relays and optional fields left out', () => {
+        const minimal = apiRelay({ ipv6_addr_in: null, pubkey: undefined, multihop_port: undefined, active: undefined });
+        const { relays } = parseRelayList([minimal]);
+        const again = parseRelayList(relays);
+
+        expect(relays[0]).toMatchObject({ active: true, ipv6_addr_in: null, public_key: null, multihop_port: null });
+        expect(again.relays).toEqual(relays);
+    });
+
+    test('parseRelayList should type relays of single-type lists', () => {
+        const { type, ...untyped } = apiRelay();
+
+        expect(parseRelayList([untyped], 'openvpn').relays[0].type).toBe('openvpn');
+        expect(parseRelayList([apiRelay()], 'openvpn').relays[0].type).toBe('wireguard');
+        expect(parseRelayList([untyped]).relays[0].type).toBeNull();
+    });
+
+    test('parseRelayList should reject invalid and duplicate relays with the failing fields', () => {
+        const { relays, rejected } = parseRelayList([
+            apiRelay(),
+            apiRelay({ hostname: 'de-fra-wg-001', ipv4_addr_in: 'not-an-ip' }),
+            apiRelay({ hostname: undefined }),
+            apiRelay()
+        ]);
+
+        expect(relays).toHaveLength(1);
+        expect(rejected).toEqual([
+            { index: 1, hostname: 'de-fra-wg-001', issues: ['ipv4_addr_in: Invalid ip'] },
+            { index: 2, hostname: null, issues: ['hostname: Required'] },
+            { index: 3, hostname: 'se-sto-wg-001', issues: ['hostname: Duplicate relay'] }
+        ]);
+    });
+
+    test('parseRelayList should detect a renamed field as schema drift', () => {
+        const renamed = ['a', 'b', 'c'].map(id => {
+            const { ipv4_addr_in, ...relay } = apiRelay({ hostname: `se-sto-wg-00${id}` });
+            return { ...relay, ipv4: ipv4_addr_in };
+        });
+        const { relays, drift } = parseRelayList([...renamed, apiRelay()]);
+
+        expect(relays).toHaveLength(1);
+        expect(drift).toEqual([{ issue: 'ipv4_addr_in: Required', count: 3 }]);
+    });
+
+    test('parseRelayList should refuse data that is not a relay list', () => {
+        expect(() => parseRelayList({ error: 'rate limited' })).toThrow('Expected a list of relays, got object');
+    });
+
+    test('normalizeRelays should warn about rejected relays and drift', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        normalizeRelays([apiRelay({ ipv4_addr_in: undefined })], 'Mullvad API');
+
+        const messages = warn.mock.calls.map(call => call[0]);
+        expect(messages[0]).toContain('the Mullvad API relay format seems to have changed: "ipv4_addr_in: Required" in 1 of 1 relays');
+        expect(messages[1]).toBe('Skipped 1 of 1 relays from Mullvad API that failed validation:');
+        expect(messages[2]).toBe('  #0 se-sto-wg-001: ipv4_addr_in: Required');
+        warn.mockRestore();
+    });
+});
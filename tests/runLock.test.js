@@ -0,0 +1,51 @@
+/**
+ * Tests for the run lock
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-lock-'));
+
+const { acquireRunLock, getLockPath } = require('../src/runLock');
+
+/**
+ * Writes a lock file as if another process held it
+ */
+function writeLock(pid) {
+    fs.mkdirSync(path.dirname(getLockPath()), { recursive: true });
+    fs.writeFileSync(getLockPath(), JSON.stringify({ pid, startedAt: new Date().toISOString() }));
+}
+
+describe('Run Lock', () => {
+    afterAll(() => {
+        fs.rmSync(process.env.SAVE_PATH, { recursive: true, force: true });
+    });
+
+    test('acquireRunLock should create the lock and release should remove it', () => {
+        const release = acquireRunLock();
+
+        expect(JSON.parse(fs.readFileSync(getLockPath(), 'utf8')).pid).toBe(process.pid);
+
+        release();
+        expect(fs.existsSync(getLockPath())).toBe(false);
+    });
+
+    test('acquireRunLock should refuse a lock held by a running scan', () => {
+        writeLock(process.ppid);
+
+        expect(() => acquireRunLock()).toThrow(`Another scan (pid ${process.ppid}`);
+
+        fs.rmSync(getLockPath());
+    });
+
+    test('acquireRunLock should take over a lock left by a scan that died', () => {
+        writeLock(2 ** 22 + 1); // Above the Linux pid limit, never a live process
+
+        const release = acquireRunLock();
+
+        expect(JSON.parse(fs.readFileSync(getLockPath(), 'utf8')).pid).toBe(process.pid);
+        release();
+    });
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests for fetching and caching the relay list
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-relays-'));
+
+const config = require('../src/config');
+
+const relays = [{
+    hostname: 'se-sto-wg-001',
+    country_code: 'se',
+    country_name: 'Sweden',
+    city_code: 'sto',
+    city_name: 'Stockholm',
+    active: true,
+    ipv4_addr_in: '185.195.233.76',
+    pubkey: 'sjT9IAHCgZg2nyeUJuYWuW/tCbhCy+P+BBo1LJeQ8ww='
+}];
+
+describe('Server Fetcher', () => {
+    const requests = [];
+    let api;
+    let fetchServers;
+    let importServers;
+    const cacheFile = path.join(process.env.SAVE_PATH, '.cache', 'servers_wireguard.json');
+    const served = { etag: '"v1"', relays };
+
+    beforeAll(done => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        api = http.createServer((req, res) => {
+            requests.push({ url: req.url, etag: req.headers['if-none-match'] });
+            if (req.headers['if-none-match'] === served.etag) {
+                res.writeHead(304);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json', ETag: served.etag });
+            res.end(JSON.stringify(served.relays));
+        });
+        api.listen(0, '127.0.0.1', () => {
+            config.API_URL = `http://127.0.0.1:${api.address().port}/www/relays/`;
+            config.PINNED_RELAYS = 'SE-STO-WG-001';
+            ({ fetchServers, importServers } = require('../src/serverFetcher'));
+            done();
+        });
+    });
+
+    afterAll(done => {
+        console.log.mockRestore();
+        fs.rmSync(process.env.SAVE_PATH, { recursive: true, force: true });
+        api.close(done);
+    });
+
+    beforeEach(() => {
+        requests.length = 0;
+        config.RELAY_CACHE.TTL = 3600;
+        config.RELAY_CACHE.OFFLINE = false;
+    });
+
+    test('fetchServers should download the type list and cache it with its validators', async () => {
+        const relayList = {};
+        const servers = await fetchServers(relayList);
+
+        expect(servers.map(server => server.hostname)).toEqual(['se-sto-wg-001']);
+        expect(requests).toEqual([{ url: '/www/relays/wireguard/', etag: undefined }]);
+        expect(relayList).toMatchObject({ type: 'wireguard', source: 'api', ageSeconds: 0, stale: false });
+        expect(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))).toMatchObject({ etag: '"v1"', relays });
+    });
+
+    test('fetchServers should use a fresh cache without asking the API', async () => {
+        const relayList = {};
+        await fetchServers(relayList);
+
+        expect(requests).toEqual([]);
+        expect(relayList).toMatchObject({ source: 'cache', stale: false });
+    });
+
+    test('fetchServers should revalidate an expired cache with a conditional request', async () => {
+        config.RELAY_CACHE.TTL = 0;
+        const relayList = {};
+        const servers = await fetchServers(relayList);
+
+        expect(requests).toEqual([{ url: '/www/relays/wireguard/', etag: '"v1"' }]);
+        expect(relayList.source).toBe('not-modified');
+        expect(servers).toHaveLength(1);
+    });
+
+    test('fetchServers should serve an old cache offline and mark it stale', async () => {
+        const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        const fetchedAt = new Date(Date.now() - 3 * 3600 * 1000).toISOString();
+        fs.writeFileSync(cacheFile, JSON.stringify({ ...cache, fetchedAt }));
+        config.RELAY_CACHE.OFFLINE = true;
+
+        const relayList = {};
+        const servers = await fetchServers(relayList);
+
+        expect(requests).toEqual([]);
+        expect(servers).toHaveLength(1);
+        expect(relayList).toMatchObject({ source: 'cache', fetchedAt, stale: true });
+        expect(relayList.ageSeconds).toBeGreaterThanOrEqual(3 * 3600);
+    });
+
+    test('fetchServers should accept caches written as a bare relay list', async () => {
+        fs.writeFileSync(cacheFile, JSON.stringify(relays));
+        config.RELAY_CACHE.OFFLINE = true;
+
+        const relayList = {};
+        const servers = await fetchServers(relayList);
+
+        expect(servers).toHaveLength(1);
+        expect(relayList.stale).toBe(false);
+    });
+
+    test('fetchServers should read the WireGuard list cached before each type had its own file', async () => {
+        const legacyFile = path.join(path.dirname(cacheFile), 'servers.json');
+        fs.renameSync(cacheFile, legacyFile);
+        config.RELAY_CACHE.OFFLINE = true;
+
+        try {
+            const servers = await fetchServers({});
+
+            expect(servers.map(server => server.hostname)).toEqual(relays.map(relay => relay.hostname));
+        } finally {
+            fs.renameSync(legacyFile, cacheFile);
+        }
+    });
+
+    test('fetchServers should log relay list changes and warn about pinned relays', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const rotated = { ...relays[0], pubkey: 'rotatedKeyrotatedKeyrotatedKeyrotatedKey000=' };
+        Object.assign(served, {
+            etag: '"v2"',
+            relays: [rotated, { ...rotated, hostname: 'se-sto-wg-002', ipv4_addr_in: '185.195.233.77' }]
+        });
+        config.RELAY_CACHE.TTL = 0;
+
+        const relayList = {};
+        await fetchServers(relayList);
+        const warnings = warn.mock.calls.map(call => call[0]);
+        warn.mockRestore();
+
+        expect(relayList.changes).toMatchObject({
+            type: 'wireguard',
+            added: ['se-sto-wg-002'],
+            removed: [],
+            changed: [{ hostname: 'se-sto-wg-001', field: 'public_key', from: relays[0].pubkey, to: rotated.pubkey }]
+        });
+        expect(relayList.changes.pinned).toEqual(relayList.changes.changed);
+        expect(warnings).toEqual([expect.stringContaining('pinned relay se-sto-wg-001: public key changed')]);
+
+        const changelog = fs.readFileSync(path.join(process.env.SAVE_PATH, 'relay_changelog.ndjson'), 'utf8');
+        expect(JSON.parse(changelog.trim())).toEqual(relayList.changes);
+    });
+
+    describe('importServers', () => {
+        let warn;
+        const importFile = path.join(process.env.SAVE_PATH, 'import.txt');
+
+        beforeEach(() => {
+            warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            warn.mockRestore();
+        });
+
+        test('should validate a JSON list like the API list', async () => {
+            fs.writeFileSync(importFile, JSON.stringify([...relays, { hostname: 'broken' }]));
+            const { servers, source } = await importServers(importFile);
+
+            expect(source).toBe('import');
+            expect(servers).toHaveLength(1);
+            expect(servers[0]).toMatchObject({ hostname: 'se-sto-wg-001', type: 'wireguard' });
+            expect(warn.mock.calls[0][0]).toContain('Skipped 1 of 2 relays');
+        });
+
+        test('should read CSV with API field names', async () => {
+            fs.writeFileSync(importFile, [
+                'hostname,country_code,country_name,city_code,city_name,ipv4_addr_in,multihop_port,active',
+                '"de-fra-wg-001",de,Germany,fra,"Frankfurt, Hesse",193.27.14.2,3002,true'
+            ].join('\n'));
+            const { servers } = await importServers(importFile);
+
+            expect(servers).toEqual([expect.objectContaining({
+                hostname: 'de-fra-wg-001',
+                city_name: 'Frankfurt, Hesse',
+                multihop_port: 3002,
+                active: true
+            })]);
+        });
+
+        test('should look hostname lists up in the relay list and report unknown ones', async () => {
+            fs.writeFileSync(importFile, '# curated\nSE-STO-WG-001\nxx-nowhere-001\n\nse-sto-wg-001\n');
+            const { servers, source } = await importServers(importFile);
+
+            expect(servers.map(server => server.hostname)).toEqual(['se-sto-wg-001']);
+            expect(source).toBe('cache');
+            expect(warn.mock.calls[0][0]).toContain('xx-nowhere-001');
+        });
+
+        test('should read a line of comma-separated hostnames as a hostname list', async () => {
+            fs.writeFileSync(importFile, 'se-sto-wg-001, xx-nowhere-001\n');
+            const { servers } = await importServers(importFile);
+
+            expect(servers.map(server => server.hostname)).toEqual(['se-sto-wg-001']);
+        });
+
+        test('should fail when an import yields no relays', async () => {
+            fs.writeFileSync(importFile, 'hostname,country_code\n');
+            await expect(importServers(importFile)).rejects.toThrow(`No valid relays in ${importFile}`);
+
+            fs.writeFileSync(importFile, 'xx-nowhere-001,xx-nowhere-002');
+            await expect(importServers(importFile)).rejects.toThrow('None of the hostnames');
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the composite server score
+ */
+
+const { parseWeights, getWeights, scoreServer, explainScore, recommendByCountry } = require('../src/serverScore');
+
+const { SCORE } = require('../src/config');
+
+const weights = { latency: 0.4, jitter: 0.1, loss: 0.2, reliability: 0.2, stability: 0.1 };
+
+describe('Server Score', () => {
+    test('scoreServer should combine current measurements with the history', () => {
+        const result = { hostname: 'se-sto-wg-001', ping: 50, jitter: 5, packetLoss: 10 };
+        const history = { dataPoints: 12, statistics: { reliability: '75.00', stability: '90.00', stdDev: '2.50' } };
+
+        const scored = scoreServer(result, history, weights);
+
+        // 50 * 0.4 + 50 * 0.1 + 90 * 0.2 + 75 * 0.2 + 90 * 0.1
+        expect(scored.score).toBeCloseTo(67);
+        expect(scored.components.reliability).toMatchObject({ score: 75, value: 12 });
+        expect(scored.components.reliability.weight).toBeCloseTo(0.2);
+        expect(scored.missing).toEqual([]);
+    });
+
+    test('scoreServer should rate the fast relay that drops packets below a steady one', () => {
+        const fast = scoreServer({ ping: 10, jitter: 1, packetLoss: 0 },
+            { dataPoints: 30, statistics: { reliability: '60.00', stability: '40.00', stdDev: '30.00' } }, weights);
+        const steady = scoreServer({ ping: 25, jitter: 1, packetLoss: 0 },
+            { dataPoints: 30, statistics: { reliability: '100.00', stability: '95.00', stdDev: '1.00' } }, weights);
+
+        expect(steady.score).toBeGreaterThan(fast.score);
+    });
+
+    test('scoreServer should leave out components without data', () => {
+        const scored = scoreServer({ ping: 0, packetLoss: 0 }, { error: 'No historical data found for this server' }, weights);
+
+        expect(scored.score).toBeCloseTo(100);
+        expect(Object.keys(scored.components)).toEqual(['latency', 'loss']);
+        expect(scored.components.latency.weight).toBeCloseTo(2 / 3);
+        expect(scored.missing).toEqual(['jitter', 'reliability', 'stability']);
+        expect(explainScore(scored)).toEqual([
+            'latency 100/100 × 67% (0.00 ms)',
+            'loss 100/100 × 33% (0% lost)',
+            'no data for jitter, reliability, stability, left out'
+        ]);
+
+        const unreachable = scoreServer({ ping: 9999, packetLoss: 100 }, undefined, weights);
+        expect(unreachable.score).toBe(0);
+        expect(explainScore(unreachable)).toEqual(['unreachable in the latest run']);
+    });
+
+    test('parseWeights should accept known components only', () => {
+        expect(parseWeights('Latency=0.5, loss=0')).toEqual({ latency: 0.5, loss: 0 });
+        expect(() => parseWeights('speed=1')).toThrow('Unknown score component \'speed\'');
+        expect(() => parseWeights('jitter=-1')).toThrow('Invalid weight for jitter: -1');
+        expect(() => parseWeights('jitter')).toThrow('Invalid weight for jitter');
+    });
+
+    test('getWeights should reject weights that are all zero', () => {
+        const configured = { ...SCORE.WEIGHTS };
+        try {
+            Object.keys(SCORE.WEIGHTS).forEach(name => { SCORE.WEIGHTS[name] = 0; });
+            expect(() => getWeights()).toThrow('Score weights must not all be zero');
+
+            SCORE.WEIGHTS.LOSS = 1;
+            expect(getWeights()).toEqual({ latency: 0, jitter: 0, loss: 1, reliability: 0, stability: 0 });
+        } finally {
+            Object.assign(SCORE.WEIGHTS, configured);
+        }
+    });
+
+    test('recommendByCountry should keep the best reachable servers of each country', () => {
+        const recommendations = recommendByCountry([
+            { hostname: 'se-sto-wg-001', country: 'Sweden', score: 60 },
+            { hostname: 'de-fra-wg-001', country: 'Germany', score: 70 },
+            { hostname: 'se-got-wg-001', country: 'Sweden', score: 80 },
+            { hostname: 'se-mma-wg-001', country: 'Sweden', score: 40 },
+            { hostname: 'no-osl-wg-001', country: 'Norway', score: 0, unreachable: true }
+        ], 2);
+
+        expect(recommendations.map(({ country, servers }) => [country, servers.map(server => server.hostname)])).toEqual([
+            ['Germany', ['de-fra-wg-001']],
+            ['Sweden', ['se-got-wg-001', 'se-sto-wg-001']]
+        ]);
+    });
+});
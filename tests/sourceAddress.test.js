@@ -0,0 +1,90 @@
+/**
+ * Tests for resolving the source interface of probes
+ */
+
+const { resolveSource, getLocalAddress, getPingSourceArgs, getBindingWarning, getSourceSpecs } = require('../src/sourceAddress');
+
+const interfaces = {
+    lo: [
+        { address: '127.0.0.1', family: 'IPv4', internal: true },
+        { address: '::1', family: 'IPv6', internal: true }
+    ],
+    wlan0: [
+        { address: '192.168.1.23', family: 'IPv4', internal: false },
+        { address: 'fe80::1', family: 'IPv6', internal: false },
+        { address: '2001:db8::23', family: 'IPv6', internal: false }
+    ],
+    wwan0: [
+        { address: '10.64.0.7', family: 4, internal: false }
+    ]
+};
+
+describe('Source Address', () => {
+    test('resolveSource should pick an address of each family for an interface', () => {
+        expect(resolveSource('wlan0', 'both', interfaces)).toEqual({
+            label: 'wlan0',
+            interface: 'wlan0',
+            v4: '192.168.1.23',
+            // Link-local addresses are skipped
+            v6: '2001:db8::23'
+        });
+        expect(resolveSource('wwan0', '4', interfaces).v4).toBe('10.64.0.7');
+    });
+
+    test('resolveSource should find the interface of a local address', () => {
+        expect(resolveSource('2001:db8::23', '6', interfaces)).toEqual({
+            label: '2001:db8::23',
+            interface: 'wlan0',
+            v4: undefined,
+            v6: '2001:db8::23'
+        });
+    });
+
+    test('resolveSource should reject unknown interfaces and missing families', () => {
+        expect(() => resolveSource('eth9', '4', interfaces)).toThrow('Unknown network interface: eth9. Available: lo, wlan0, wwan0');
+        expect(() => resolveSource('192.0.2.1', '4', interfaces)).toThrow('is not assigned to a local interface');
+        expect(() => resolveSource('wwan0', 'both', interfaces)).toThrow('wwan0 has no usable IPv6 address');
+        expect(() => resolveSource('192.168.1.23', '6', interfaces)).toThrow('has no usable IPv6 address');
+    });
+
+    test('getLocalAddress should match the family of the probed host', () => {
+        const source = resolveSource('wlan0', 'both', interfaces);
+
+        expect(getLocalAddress(source, '185.65.134.1')).toBe('192.168.1.23');
+        expect(getLocalAddress(source, '2a03:1b20::1')).toBe('2001:db8::23');
+        expect(getLocalAddress(null, '185.65.134.1')).toBeUndefined();
+    });
+
+    test('getPingSourceArgs should bind Linux ping to an interface given by name', () => {
+        const wlan = resolveSource('wlan0', 'both', interfaces);
+        const address = resolveSource('192.168.1.23', '4', interfaces);
+
+        expect(getPingSourceArgs(wlan, '185.65.134.1', 'linux')).toEqual(['-I', 'wlan0']);
+        expect(getPingSourceArgs(wlan, '2a03:1b20::1', 'linux')).toEqual(['-I', 'wlan0']);
+        expect(getPingSourceArgs(address, '185.65.134.1', 'linux')).toEqual(['-I', '192.168.1.23']);
+        expect(getPingSourceArgs(wlan, '185.65.134.1', 'darwin')).toEqual(['-S', '192.168.1.23']);
+        expect(getPingSourceArgs(null, '185.65.134.1', 'linux')).toEqual([]);
+    });
+
+    test('getBindingWarning should flag interface probes bound to an address only', () => {
+        const wlan = resolveSource('wlan0', 'both', interfaces);
+        const address = resolveSource('192.168.1.23', '4', interfaces);
+
+        expect(getBindingWarning(wlan, { probeMode: 'icmp', handshake: false, platform: 'linux' })).toBeNull();
+        expect(getBindingWarning(address, { probeMode: 'tcp', handshake: false, platform: 'linux' })).toBeNull();
+        expect(getBindingWarning(null, { probeMode: 'tcp', handshake: true, platform: 'linux' })).toBeNull();
+        expect(getBindingWarning(wlan, { probeMode: 'tcp', handshake: true, platform: 'linux' })).toBe(
+            'TCP and WireGuard probes can only bind to the address of wlan0 (192.168.1.23), they follow the routing table '
+            + 'unless a rule routes that address through wlan0 (ip rule add from 192.168.1.23 table <table of wlan0>)'
+        );
+        expect(getBindingWarning(wlan, { probeMode: 'icmp', handshake: false, platform: 'darwin' }))
+            .toMatch(/^ICMP probes can only bind to the address of wlan0/);
+    });
+
+    test('getSourceSpecs should prefer the link comparison list', () => {
+        expect(getSourceSpecs({ SOURCE_INTERFACE: '', SOURCE_ADDRESS: '', COMPARE_INTERFACES: '' })).toEqual([]);
+        expect(getSourceSpecs({ SOURCE_INTERFACE: 'wlan0', SOURCE_ADDRESS: '', COMPARE_INTERFACES: '' })).toEqual(['wlan0']);
+        expect(getSourceSpecs({ SOURCE_INTERFACE: 'wlan0', SOURCE_ADDRESS: '', COMPARE_INTERFACES: 'eth0, wlan0,' }))
+            .toEqual(['eth0', 'wlan0']);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for latency statistics
+ */
+
+const {
+    percentile,
+    interarrivalJitter,
+    latencyDistribution,
+    summarizeSamples,
+    ewma,
+    normalConfidence
+} = require('../src/statistics');
+
+describe('Statistics', () => {
+    test('percentile should interpolate between closest ranks', () => {
+        const values = [40, 10, 30, 20];
+
+        expect(percentile(values, 0)).toBe(10);
+        expect(percentile(values, 50)).toBe(25);
+        expect(percentile(values, 100)).toBe(40);
+        expect(percentile([], 50)).toBeNull();
+    });
+
+    test('interarrivalJitter should follow the RFC 3550 estimator', () => {
+        // |D| = 16 then 0: J1 = 16/16 = 1, J2 = 1 + (0 - 1)/16
+        expect(interarrivalJitter([10, 26, 26])).toBeCloseTo(0.9375);
+        expect(interarrivalJitter([10, 10, 10])).toBe(0);
+        expect(interarrivalJitter([10])).toBe(0);
+    });
+
+    test('latencyDistribution should report percentiles and jitter', () => {
+        const times = Array.from({ length: 101 }, (_, i) => i);
+        const distribution = latencyDistribution(times);
+
+        expect(distribution.p50).toBe(50);
+        expect(distribution.p95).toBe(95);
+        expect(distribution.p99).toBe(99);
+        expect(distribution.jitter).toBeGreaterThan(0);
+    });
+
+    test('summarizeSamples should match the ping package result shape', () => {
+        const result = summarizeSamples([10, null, 20, 30]);
+
+        expect(result).toEqual({
+            alive: true,
+            time: 20,
+            times: [10, 20, 30],
+            min: 10,
+            max: 30,
+            avg: 20,
+            stddev: Math.sqrt(200 / 3),
+            packetLoss: 25
+        });
+    });
+
+    test('summarizeSamples should report dead hosts when every attempt is lost', () => {
+        expect(summarizeSamples([null, null])).toEqual({ alive: false, times: [], packetLoss: 100 });
+    });
+
+    test('ewma should weight newer values by alpha', () => {
+        // mean 10 + 0.5 * 10 = 15, variance 0.5 * (10 * 5) = 25
+        expect(ewma([10, 20], 0.5)).toEqual({ mean: 15, stdDev: 5 });
+        expect(ewma([30], 0.3)).toEqual({ mean: 30, stdDev: 0 });
+    });
+
+    test('normalConfidence should match the two-sided normal probabilities', () => {
+        expect(normalConfidence(0)).toBeCloseTo(0, 6);
+        expect(normalConfidence(1.96)).toBeCloseTo(0.95, 4);
+        expect(normalConfidence(-2.576)).toBeCloseTo(0.99, 4);
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for the TCP latency probe
+ */
+
+const net = require('net');
+const { probe } = require('../src/tcpProbe');
+
+describe('TCP Probe', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+        server = net.createServer(socket => socket.destroy());
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('probe should time handshakes to a listening port', async () => {
+        const result = await probe('127.0.0.1', { port, count: 3, timeout: 1000 });
+
+        expect(result.alive).toBe(true);
+        expect(result.packetLoss).toBe(0);
+        expect(result.min).toBeLessThanOrEqual(result.avg);
+        expect(result.avg).toBeLessThanOrEqual(result.max);
+        expect(result.stddev).toBeGreaterThanOrEqual(0);
+        expect(result.times).toHaveLength(3);
+    });
+
+    test('probe should connect from the given local address', async () => {
+        const remoteAddresses = [];
+        // Runs before the listener that closes the socket
+        server.prependOnceListener('connection', socket => remoteAddresses.push(socket.remoteAddress));
+
+        const result = await probe('127.0.0.1', { port, count: 1, timeout: 1000, localAddress: '127.0.0.2' });
+
+        expect(result.alive).toBe(true);
+        expect(remoteAddresses).toEqual(['127.0.0.2']);
+    });
+
+    test('probe should stop with an AbortError when its signal is aborted', async () => {
+        const controller = new AbortController();
+        const pending = probe('127.0.0.1', { port, count: 50, timeout: 1000, interval: 100, signal: controller.signal });
+
+        setTimeout(() => controller.abort(), 150);
+
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
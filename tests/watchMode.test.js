@@ -0,0 +1,46 @@
+/**
+ * Tests for watch mode scheduling
+ */
+
+const { createWatchSchedule, selectWatchlist, mergeWatchlistResults } = require('../src/watchMode');
+
+describe('Watch Mode', () => {
+    test('schedule should start with a full scan and space full scans from their start', () => {
+        const schedule = createWatchSchedule({ interval: 600000, now: 0 });
+
+        expect(schedule.next(0)).toEqual({ scope: 'full', delay: 0 });
+
+        schedule.completed('full', 0, 120000);
+        expect(schedule.next(120000)).toEqual({ scope: 'full', delay: 480000 });
+    });
+
+    test('schedule should run watchlist scans between full scans', () => {
+        const schedule = createWatchSchedule({ interval: 600000, watchlistInterval: 60000, now: 0 });
+
+        schedule.completed('full', 0, 100000);
+        expect(schedule.next(100000)).toEqual({ scope: 'watchlist', delay: 60000 });
+
+        schedule.completed('watchlist', 580000, 585000);
+        expect(schedule.next(585000)).toEqual({ scope: 'full', delay: 15000 });
+    });
+
+    test('selectWatchlist should match hostnames case-insensitively', () => {
+        const servers = [{ hostname: 'se-sto-wg-001' }, { hostname: 'de-fra-wg-001' }];
+
+        expect(selectWatchlist(servers, 'SE-STO-WG-001, nl-ams-wg-001')).toEqual([servers[0]]);
+    });
+
+    test('mergeWatchlistResults should refresh watchlist rows and keep the rest', () => {
+        const latest = [
+            { hostname: 'se-sto-wg-001', ping: 20 },
+            { hostname: 'de-fra-wg-001', ping: 40 }
+        ];
+
+        const merged = mergeWatchlistResults(latest, [{ hostname: 'se-sto-wg-001', ping: 18 }]);
+
+        expect(merged).toEqual([
+            { hostname: 'se-sto-wg-001', ping: 18 },
+            { hostname: 'de-fra-wg-001', ping: 40 }
+        ]);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for the web server
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.SAVE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ping-web-'));
+process.env.WEB_SERVER_ENABLED = 'true';
+process.env.WEB_SERVER_PORT = '0';
+process.env.WEB_SERVER_HOST = '127.0.0.1';
+
+const { startWebServer } = require('../src/webServer');
+
+function get(server, url) {
+    return new Promise((resolve, reject) => {
+        http.get(`http://127.0.0.1:${server.address().port}${url}`, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+        }).on('error', reject);
+    });
+}
+
+describe('Web Server', () => {
+    const savePath = process.env.SAVE_PATH;
+    let server;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = await startWebServer();
+        await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    });
+
+    afterAll(async () => {
+        console.log.mockRestore();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(savePath, { recursive: true, force: true });
+    });
+
+    test('/heatmap should answer an invalid date as plain text', async () => {
+        const response = await get(server, `/heatmap?from=${encodeURIComponent('<script>alert(1)</script>')}`);
+
+        expect(response.status).toBe(400);
+        expect(response.type).toMatch(/^text\/plain/);
+        expect(response.body).toBe('Invalid date: <script>alert(1)</script>');
+    });
+
+    test('history endpoints should reject invalid dates alike', async () => {
+        const history = await get(server, '/api/history?from=garbage');
+        const rollups = await get(server, '/api/history/rollups?from=garbage');
+
+        expect(history.status).toBe(400);
+        expect(rollups.status).toBe(400);
+        expect(JSON.parse(rollups.body)).toEqual({ error: 'Invalid date: garbage' });
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for the WireGuard handshake probe against a local stand-in relay
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const {
+    probe,
+    generateKeyPair,
+    blake2s,
+    hash,
+    kdf,
+    dh,
+    CONSTRUCTION,
+    IDENTIFIER
+} = require('../src/wireguardProbe');
+
+/**
+ * Decrypts an AEAD field of a handshake message the way a relay would
+ */
+function aeadDecrypt(key, ciphertext, aad) {
+    const decipher = crypto.createDecipheriv('chacha20-poly1305', key, Buffer.alloc(12), {
+        authTagLength: 16
+    });
+    decipher.setAAD(aad, { plaintextLength: ciphertext.length - 16 });
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    return Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+}
+
+/**
+ * Consumes an initiation as the responder, returning the initiator's static key
+ */
+function consumeInitiation(message, relayKeys) {
+    const mac1 = blake2s(message.subarray(0, 116), 16, hash('mac1----', relayKeys.publicKey));
+    if (!mac1.equals(message.subarray(116, 132))) {
+        throw new Error('Invalid mac1');
+    }
+
+    const ephemeral = message.subarray(8, 40);
+    let chainingKey = hash(CONSTRUCTION);
+    let handshakeHash = hash(hash(chainingKey, IDENTIFIER), relayKeys.publicKey);
+
+    [chainingKey] = kdf(chainingKey, ephemeral, 1);
+    handshakeHash = hash(handshakeHash, ephemeral);
+
+    let key;
+    [chainingKey, key] = kdf(chainingKey, dh(relayKeys.privateKey, ephemeral), 2);
+    const initiatorStatic = aeadDecrypt(key, message.subarray(40, 88), handshakeHash);
+    handshakeHash = hash(handshakeHash, message.subarray(40, 88));
+
+    [chainingKey, key] = kdf(chainingKey, dh(relayKeys.privateKey, initiatorStatic), 2);
+    const timestamp = aeadDecrypt(key, message.subarray(88, 116), handshakeHash);
+
+    return { initiatorStatic, timestamp };
+}
+
+describe('WireGuard Probe', () => {
+    const relayKeys = generateKeyPair();
+    const consumed = [];
+    let relay;
+    let port;
+
+    beforeAll(done => {
+        relay = dgram.createSocket('udp4');
+        relay.on('message', (message, remote) => {
+            try {
+                consumed.push(consumeInitiation(message, relayKeys));
+            } catch (error) {
+                return; // Real relays silently drop invalid initiations
+            }
+
+            const response = Buffer.alloc(92);
+            response.writeUInt8(2, 0);
+            response.writeUInt32LE(1, 4);
+            message.copy(response, 8, 4, 8); // Receiver index = initiator's sender index
+            relay.send(response, remote.port, remote.address);
+        });
+        relay.bind(0, '127.0.0.1', () => {
+            port = relay.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        relay.close(done);
+    });
+
+    beforeEach(() => {
+        consumed.length = 0;
+    });
+
+    test('probe should complete handshakes with a relay that accepts the initiation', async () => {
+        const result = await probe('127.0.0.1', {
+            publicKey: relayKeys.publicKey.toString('base64'),
+            port,
+            count: 2,
+            timeout: 1000
+        });
+
+        expect(result.alive).toBe(true);
+        expect(result.packetLoss).toBe(0);
+        expect(consumed).toHaveLength(2);
+        expect(consumed[0].timestamp).toHaveLength(12);
+        // Ephemeral mode must not reuse the local static key
+        expect(consumed[0].initiatorStatic.equals(consumed[1].initiatorStatic)).toBe(false);
+    });
+
+    test('probe should send the configured static key', async () => {
+        const localKeys = generateKeyPair();
+
+        await probe('127.0.0.1', {
+            publicKey: relayKeys.publicKey.toString('base64'),
+            port,
+            count: 1,
+            timeout: 1000,
+            privateKey: localKeys.privateKey.toString('base64')
+        });
+
+        expect(consumed[0].initiatorStatic.equals(localKeys.publicKey)).toBe(true);
+    });
+
+    test('probe should report loss when the relay key does not match', async () => {
+        const result = await probe('127.0.0.1', {
+            publicKey: generateKeyPair().publicKey.toString('base64'),
+            port,
+            count: 1,
+            timeout: 200
+        });
+
+        expect(result).toEqual({ alive: false, times: [], packetLoss: 100 });
+        expect(consumed).toHaveLength(0);
+    });
+
+    test('probe should reject a failed send once, bound to a local address or not', async () => {
+        const options = { publicKey: relayKeys.publicKey.toString('base64'), port: 0, count: 1, timeout: 200 };
+
+        await expect(probe('127.0.0.1', options)).rejects.toMatchObject({ code: 'ERR_SOCKET_BAD_PORT' });
+        await expect(probe('127.0.0.1', { ...options, localAddress: '127.0.0.1' }))
+            .rejects.toMatchObject({ code: 'ERR_SOCKET_BAD_PORT' });
+    });
+
+    test('probe should stop with an AbortError when aborted while binding', async () => {
+        const controller = new AbortController();
+        const pending = probe('127.0.0.1', {
+            publicKey: relayKeys.publicKey.toString('base64'),
+            port,
+            count: 1,
+            timeout: 1000,
+            signal: controller.signal,
+            localAddress: '127.0.0.1'
+        });
+        controller.abort();
+
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+        expect(consumed).toHaveLength(0);
+    });
+
+    test('probe should reject malformed public keys', async () => {
+        await expect(
+            probe('127.0.0.1', { publicKey: 'not-a-key', port, count: 1, timeout: 200 })
+        ).rejects.toThrow('Invalid WireGuard public key');
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for the probe worker pool
+ */
+
+const net = require('net');
+const path = require('path');
+const config = require('../src/config');
+const { createWorkerPool } = require('../src/workerPool');
+
+const server = (hostname) => ({
+    hostname,
+    ipv4_addr_in: '127.0.0.1',
+    country_code: 'se',
+    country_name: 'Sweden',
+    city_name: 'Stockholm'
+});
+
+describe('Worker Pool', () => {
+    let listener;
+
+    beforeAll(done => {
+        listener = net.createServer(socket => socket.destroy());
+        listener.listen(0, '127.0.0.1', () => {
+            // Workers get a snapshot of the config when the pool is created
+            config.PROBE_MODE = 'tcp';
+            config.PROBE_PORT = listener.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        listener.close(done);
+    });
+
+    test.each([1, 3])('pool of %i worker(s) should probe servers with the main thread config', async (size) => {
+        const pool = createWorkerPool(size);
+
+        try {
+            const results = await Promise.all(
+                ['se-sto-wg-001', 'se-sto-wg-002', 'se-sto-wg-003', 'se-sto-wg-004']
+                    .map(hostname => pool.run(server(hostname), { count: 2, interval: 0 }))
+            );
+
+            expect(results.map(result => result.hostname)).toEqual([
+                'se-sto-wg-001', 'se-sto-wg-002', 'se-sto-wg-003', 'se-sto-wg-004'
+            ]);
+            results.forEach(result => {
+                expect(result.probe).toBe('tcp');
+                expect(result.packetLoss).toBe(0);
+                expect(result.ping).toBeLessThan(9999);
+            });
+        } finally {
+            await pool.close();
+        }
+    });
+
+    test('cancel should stop probes in flight with an AbortError', async () => {
+        const pool = createWorkerPool(2);
+
+        try {
+            const pending = pool.run(server('se-sto-wg-001'), { count: 100, interval: 50 });
+            setTimeout(() => pool.cancel(), 100);
+
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+        } finally {
+            await pool.close();
+        }
+    });
+
+    test('a crashed worker should fail only its own probes and be replaced', async () => {
+        const pool = createWorkerPool(2, path.join(__dirname, 'fixtures', 'crashingProbeWorker.js'));
+
+        try {
+            const [crashed, other] = await Promise.allSettled([
+                pool.run(server('crash'), { count: 2, interval: 50 }),
+                pool.run(server('se-sto-wg-001'), { count: 2, interval: 50 })
+            ]);
+            expect(crashed).toMatchObject({ status: 'rejected', reason: { message: 'Probe worker crashed' } });
+            expect(other).toMatchObject({ status: 'fulfilled', value: { hostname: 'se-sto-wg-001', packetLoss: 0 } });
+
+            // Both workers take probes again
+            const results = await Promise.all(['se-sto-wg-002', 'se-sto-wg-003']
+                .map(hostname => pool.run(server(hostname), { count: 2, interval: 0 })));
+            expect(results.map(result => result.packetLoss)).toEqual([0, 0]);
+        } finally {
+            await pool.close();
+        }
+    });
+});